@@ -3,6 +3,8 @@
  * 统一管理所有服务的配置参数
  */
 
+import os from 'os';
+
 /**
  * 并发控制配置
  */
@@ -11,6 +13,8 @@ export const CONCURRENCY_CONFIG = {
   DATABASE_MAX_CONCURRENCY: parseInt(process.env.DATABASE_MAX_CONCURRENCY) || 10,
   // 嵌入请求并发数量（支持环境变量覆盖）
   EMBEDDING_MAX_CONCURRENCY: parseInt(process.env.EMBEDDING_MAX_CONCURRENCY) || 5,
+  // 嵌入请求最大排队数量，超出后返回 429（支持环境变量覆盖）
+  EMBEDDING_MAX_QUEUE_SIZE: parseInt(process.env.EMBEDDING_MAX_QUEUE_SIZE) || 100,
   // 默认重试次数（支持环境变量覆盖）
   DEFAULT_RETRIES: parseInt(process.env.DEFAULT_RETRIES) || 3,
   // 默认重试延迟(ms)（支持环境变量覆盖）
@@ -34,7 +38,21 @@ export const HTTP_CONFIG = {
   // 重试次数（支持环境变量覆盖）
   REQUEST_RETRIES: parseInt(process.env.REQUEST_RETRIES) || 3,
   // 重试延迟(ms)（支持环境变量覆盖）
-  REQUEST_RETRY_DELAY: parseInt(process.env.REQUEST_RETRY_DELAY) || 1000
+  REQUEST_RETRY_DELAY: parseInt(process.env.REQUEST_RETRY_DELAY) || 1000,
+  // 服务端返回 Retry-After 时允许等待的最长时间(ms)，超出则不再重试（支持环境变量覆盖）
+  REQUEST_MAX_RETRY_AFTER: parseInt(process.env.REQUEST_MAX_RETRY_AFTER) || 10000,
+  // 单张图像上传最大字节数，同时适用于 data URI / base64 内联图像（支持环境变量覆盖）
+  UPLOAD_MAX_BYTES: parseInt(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024,
+  // 允许上传的图像 MIME 类型，同时适用于 data URI / base64 内联图像
+  UPLOAD_ALLOWED_TYPES: [
+    'image/jpeg',   // JPEG
+    'image/jpg',    // JPEG (另一种表示)
+    'image/png',    // PNG
+    'image/gif',    // GIF
+    'image/bmp',    // BMP
+    'image/tiff',   // TIFF
+    'image/webp'    // WebP
+  ]
 };
 
 /**
@@ -53,6 +71,78 @@ export const MILVUS_CONFIG = {
   VECTOR_DIMENSION: parseInt(process.env.MILVUS_VECTOR_DIMENSION) || 768,
   // 搜索配置（支持环境变量覆盖）
   SEARCH_LIMIT: parseInt(process.env.MILVUS_SEARCH_LIMIT) || 20,
+  // 属性打标配置（入库时零样本分类，最高分标签及分数存为标量字段）
+  ATTRIBUTE_TAGGING: {
+    // 请求未指定 tagAttributes 时是否默认打标（支持环境变量覆盖）
+    enabled: process.env.MILVUS_ATTRIBUTE_TAGGING === 'true',
+    // 属性字段名 → 嵌入服务标签集（EMBEDDING_CONFIG.CLASSIFICATION.LABEL_SETS）
+    ATTRIBUTES: {
+      category: 'category',
+      color_family: 'color_family',
+      pattern: 'pattern',
+      season: 'season'
+    },
+    // 标签字段最大长度
+    maxLength: 64
+  },
+  // 重复图像检测配置（支持环境变量覆盖）
+  DEDUP: {
+    // 默认处理模式：off 不检测 / flag 标记 / link 关联到已有图像 / reject 拒绝入库
+    mode: process.env.MILVUS_DEDUP_MODE || 'off',
+    // pHash/dHash 汉明距离阈值（任一哈希小于等于该值视为近似重复，64 位哈希）
+    maxHammingDistance: parseInt(process.env.MILVUS_DEDUP_MAX_HAMMING) || 8,
+    // 向量 L2 距离阈值（特征为单位向量，距离范围 0~4；小于等于该值视为近似重复，0 表示不按向量距离判断）
+    maxVectorDistance: parseFloat(process.env.MILVUS_DEDUP_MAX_VECTOR_DISTANCE) || 0,
+    // 近似重复检测的候选数量（按向量相似度召回）
+    candidateLimit: parseInt(process.env.MILVUS_DEDUP_CANDIDATE_LIMIT) || 10
+  },
+  // 商品元数据字段（写入时由调用方提供，存为可空标量字段，可用于搜索过滤与返回）
+  METADATA: {
+    // 字段名 → 字段定义，type 可选 VarChar/Int64/Double/Bool/JSON，VarChar 需指定 maxLength
+    FIELDS: {
+      product_id: { type: 'VarChar', maxLength: 64 },
+      category_id: { type: 'VarChar', maxLength: 64 },
+      brand: { type: 'VarChar', maxLength: 128 },
+      price: { type: 'Double' },
+      shop_id: { type: 'VarChar', maxLength: 64 },
+      in_stock: { type: 'Bool' },
+      // 毫秒时间戳
+      created_at: { type: 'Int64' },
+      // 其他扩展信息
+      extras: { type: 'JSON' }
+    },
+    // JSON 字段序列化后的最大字节数
+    maxJsonBytes: parseInt(process.env.MILVUS_METADATA_MAX_JSON_BYTES) || 8192
+  },
+  // 批量写入配置（/batch-insert、/batch-upsert，支持环境变量覆盖）
+  BATCH_WRITE: {
+    // 单次请求最大条目数
+    maxItems: parseInt(process.env.MILVUS_BATCH_MAX_ITEMS) || 500,
+    // 特征提取并发数
+    concurrency: parseInt(process.env.MILVUS_BATCH_CONCURRENCY) || 8,
+    // 每次写入 Milvus 的行数
+    chunkSize: parseInt(process.env.MILVUS_BATCH_CHUNK_SIZE) || 100
+  },
+  // 异步任务配置（POST /api/v1/jobs，支持环境变量覆盖）
+  JOBS: {
+    // 任务状态与检查点目录（默认 .cache/jobs）
+    dir: process.env.MILVUS_JOBS_DIR || '',
+    // 同时运行的任务数
+    maxConcurrentJobs: parseInt(process.env.MILVUS_JOBS_MAX_CONCURRENT) || 1,
+    // 每个检查点处理的条目数（不能超过 BATCH_WRITE.maxItems）
+    chunkSize: parseInt(process.env.MILVUS_JOBS_CHUNK_SIZE) || 100,
+    // 单个任务最大条目数
+    maxItems: parseInt(process.env.MILVUS_JOBS_MAX_ITEMS) || 500000,
+    // 已结束任务的保留天数（服务启动时清理）
+    retentionDays: parseInt(process.env.MILVUS_JOBS_RETENTION_DAYS) || 7
+  },
+  // 清单导入配置（POST /api/v1/jobs/import 与 npm run import，支持环境变量覆盖）
+  IMPORT: {
+    // HTTP 导入允许读取的根目录（清单与 image_path 必须位于该目录内；未配置时禁用 HTTP 导入，命令行不受限制）
+    rootDir: process.env.MILVUS_IMPORT_ROOT || '',
+    // 校验失败时响应中返回的错误条数（完整列表由命令行写入结果文件）
+    maxReportedErrors: parseInt(process.env.MILVUS_IMPORT_MAX_REPORTED_ERRORS) || 100
+  },
   // 索引配置
   INDEX_TYPE: 'HNSW',
   INDEX_PARAMS: {
@@ -70,16 +160,236 @@ export const MILVUS_CONFIG = {
 export const EMBEDDING_CONFIG = {
   // 默认模型（支持环境变量覆盖）
   DEFAULT_MODEL: process.env.EMBEDDING_DEFAULT_MODEL || 'Marqo/marqo-fashionSigLIP',
-  // 模型配置
+  // 模型配置（可配置多个模型，请求时通过 model 参数选择）
   MODELS: {
     'Marqo/marqo-fashionSigLIP': {
       modelId: 'Marqo/marqo-fashionSigLIP',
       task: 'image-feature-extraction',
       options: {
         pool: true
+      },
+      // 输出向量维度（实际维度以首次推理结果为准）
+      dimension: 768,
+      // 图像预处理配置（覆盖 PREPROCESS 中的默认值）
+      preprocess: {},
+      // 推理运行时配置（覆盖 RUNTIME 中的默认值，如 { dtype: 'q8', intraOpNumThreads: 2 }）
+      runtime: {},
+      // 文本塔配置（与图像向量处于同一向量空间，用于以文搜图）
+      text: {
+        modelClass: 'SiglipTextModel',
+        maxLength: 64
+      },
+      // 零样本分类打分参数：模型权重中的 exp(logit_scale) 与 logit_bias（SigLIP 以 sigmoid 损失训练，每个标签独立打分）
+      // 更换模型权重后需按新检查点同步更新
+      classification: {
+        logitScale: 117.33,
+        logitBias: -12.93
+      }
+    }
+  },
+  // 中文查询翻译模型（SigLIP 文本塔仅使用英文语料训练，中文查询先翻译为英文）
+  TEXT_TRANSLATION: {
+    enabled: process.env.EMBEDDING_TEXT_TRANSLATION !== 'false',
+    modelId: process.env.EMBEDDING_TRANSLATION_MODEL || 'Xenova/opus-mt-zh-en',
+    task: 'translation'
+  },
+  // ONNX Runtime 默认配置（可在 MODELS[...].runtime 中按模型覆盖，文本塔可在 MODELS[...].text.runtime 中单独覆盖）
+  RUNTIME: {
+    // 权重精度/量化变体：fp32(model.onnx)、fp16(model_fp16.onnx)、q8(model_quantized.onnx)、int8、uint8、q4、bnb4、q4f16
+    dtype: process.env.EMBEDDING_MODEL_DTYPE || 'fp32',
+    // 单个算子内部的并行线程数（0 表示使用 onnxruntime 默认值，即物理核数）
+    intraOpNumThreads: parseInt(process.env.EMBEDDING_INTRA_OP_THREADS) || 0,
+    // 算子之间的并行线程数（仅 executionMode 为 parallel 时生效，0 表示默认值）
+    interOpNumThreads: parseInt(process.env.EMBEDDING_INTER_OP_THREADS) || 0,
+    // 执行模式：sequential / parallel
+    executionMode: process.env.EMBEDDING_EXECUTION_MODE || 'sequential',
+    // 图优化级别：disabled / basic / extended / all
+    graphOptimizationLevel: process.env.EMBEDDING_GRAPH_OPTIMIZATION || 'all'
+  },
+  // 图像预处理默认配置（可在 MODELS[...].preprocess 中按模型覆盖）
+  PREPROCESS: {
+    // 是否启用预处理
+    enabled: process.env.EMBEDDING_PREPROCESS_ENABLED !== 'false',
+    // 按 EXIF 方向自动旋转
+    autoOrient: true,
+    // 透明通道合成到背景色
+    flattenAlpha: true,
+    background: process.env.EMBEDDING_PREPROCESS_BACKGROUND || '#ffffff',
+    // 动图只取首帧
+    firstFrameOnly: true,
+    // 最短边最小像素（低于该值拒绝处理）
+    minResolution: parseInt(process.env.EMBEDDING_PREPROCESS_MIN_RESOLUTION) || 32,
+    // 最长边最大像素（超过该值等比缩小）
+    maxResolution: parseInt(process.env.EMBEDDING_PREPROCESS_MAX_RESOLUTION) || 2048
+  },
+  // 特征缓存配置（按图像内容 SHA-256 + 模型名称缓存，支持环境变量覆盖）
+  FEATURE_CACHE: {
+    // 是否启用缓存
+    enabled: process.env.EMBEDDING_CACHE_ENABLED !== 'false',
+    // 内存 LRU 最大条目数
+    maxEntries: parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES) || 10000,
+    // 是否持久化到本地磁盘
+    persist: process.env.EMBEDDING_CACHE_PERSIST === 'true',
+    // 磁盘缓存目录（默认 .cache/features）
+    dir: process.env.EMBEDDING_CACHE_DIR || ''
+  },
+  // 零样本分类配置（图像塔与文本塔相似度排序候选标签）
+  CLASSIFICATION: {
+    // 默认提示词模板，{label} 替换为标签的英文描述
+    promptTemplate: 'a photo of {label}',
+    // 单次请求最多候选标签数量
+    maxLabels: parseInt(process.env.EMBEDDING_CLASSIFY_MAX_LABELS) || 100,
+    // 命名标签集（name 为返回的标签名，text 为送入文本塔的英文描述）
+    LABEL_SETS: {
+      category: {
+        description: '服装品类',
+        promptTemplate: 'a photo of a {label}',
+        labels: [
+          { name: 'T恤', text: 't-shirt' },
+          { name: '衬衫', text: 'shirt' },
+          { name: '卫衣', text: 'hoodie' },
+          { name: '毛衣', text: 'sweater' },
+          { name: '夹克', text: 'jacket' },
+          { name: '大衣', text: 'coat' },
+          { name: '连衣裙', text: 'dress' },
+          { name: '半身裙', text: 'skirt' },
+          { name: '休闲裤', text: 'pair of trousers' },
+          { name: '牛仔裤', text: 'pair of jeans' },
+          { name: '短裤', text: 'pair of shorts' }
+        ]
+      },
+      sleeve_length: {
+        description: '袖长',
+        promptTemplate: 'a photo of a {label} top',
+        labels: [
+          { name: '无袖', text: 'sleeveless' },
+          { name: '短袖', text: 'short sleeve' },
+          { name: '七分袖', text: 'three-quarter sleeve' },
+          { name: '长袖', text: 'long sleeve' }
+        ]
+      },
+      neckline: {
+        description: '领型',
+        promptTemplate: 'a photo of a top with a {label}',
+        labels: [
+          { name: '圆领', text: 'crew neck' },
+          { name: 'V领', text: 'v-neck' },
+          { name: '高领', text: 'turtleneck' },
+          { name: '翻领', text: 'shirt collar' },
+          { name: '方领', text: 'square neckline' },
+          { name: '一字领', text: 'off-the-shoulder neckline' }
+        ]
+      },
+      color_family: {
+        description: '色系',
+        promptTemplate: 'a photo of a {label} garment',
+        labels: [
+          { name: '黑色系', text: 'black' },
+          { name: '白色系', text: 'white' },
+          { name: '灰色系', text: 'grey' },
+          { name: '红色系', text: 'red' },
+          { name: '粉色系', text: 'pink' },
+          { name: '橙色系', text: 'orange' },
+          { name: '黄色系', text: 'yellow' },
+          { name: '绿色系', text: 'green' },
+          { name: '蓝色系', text: 'blue' },
+          { name: '紫色系', text: 'purple' },
+          { name: '棕色系', text: 'brown' },
+          { name: '米色系', text: 'beige' }
+        ]
+      },
+      pattern: {
+        description: '图案',
+        promptTemplate: 'a photo of a {label} garment',
+        labels: [
+          { name: '纯色', text: 'solid color' },
+          { name: '条纹', text: 'striped' },
+          { name: '格纹', text: 'plaid' },
+          { name: '波点', text: 'polka dot' },
+          { name: '碎花', text: 'floral print' },
+          { name: '印花', text: 'graphic print' },
+          { name: '迷彩', text: 'camouflage' },
+          { name: '豹纹', text: 'leopard print' }
+        ]
+      },
+      season: {
+        description: '适用季节',
+        promptTemplate: 'a photo of {label} clothing',
+        labels: [
+          { name: '春秋', text: 'light spring and autumn' },
+          { name: '夏季', text: 'summer' },
+          { name: '冬季', text: 'warm winter' }
+        ]
       }
     }
   },
+  // 批量提取单次请求最大图像数量（支持环境变量覆盖）
+  BATCH_MAX_SIZE: parseInt(process.env.EMBEDDING_BATCH_MAX_SIZE) || 32,
+  // 远程图像下载配置（防止 SSRF 及超大文件）
+  REMOTE_FETCH: {
+    // 允许下载的主机（逗号分隔，支持 *.example.com；为空时允许所有公网主机）
+    allowedHosts: (process.env.EMBEDDING_FETCH_ALLOWED_HOSTS || '')
+      .split(',')
+      .map(host => host.trim().toLowerCase())
+      .filter(Boolean),
+    // 是否允许访问内网/回环地址（仅用于本地开发）
+    allowPrivateNetworks: process.env.EMBEDDING_FETCH_ALLOW_PRIVATE === 'true',
+    // 单张图像最大字节数
+    maxBytes: parseInt(process.env.EMBEDDING_FETCH_MAX_BYTES) || 10 * 1024 * 1024,
+    // 下载总超时时间(ms)，包括所有重定向
+    timeout: parseInt(process.env.EMBEDDING_FETCH_TIMEOUT) || 10000,
+    // 最大重定向次数
+    maxRedirects: parseInt(process.env.EMBEDDING_FETCH_MAX_REDIRECTS ?? '3')
+  },
+  // 模型完整性校验（加载模型前按模型目录中的清单校验文件大小与 SHA-256）
+  MODEL_INTEGRITY: {
+    enabled: process.env.EMBEDDING_MODEL_INTEGRITY_ENABLED !== 'false',
+    // 缺少清单时是否拒绝加载（默认仅告警）
+    requireManifest: process.env.EMBEDDING_MODEL_REQUIRE_MANIFEST === 'true',
+    manifestFile: 'model-manifest.json'
+  },
+  // 模型热重载配置（新版本通过验证推理后切换，旧版本处理完进行中的请求再释放）
+  HOT_RELOAD: {
+    // 是否监听模型目录，文件变化后自动重新加载
+    watch: process.env.EMBEDDING_MODEL_WATCH === 'true',
+    // 文件停止变化多久后触发重新加载(ms)，避免拷贝过程中反复加载
+    debounceMs: parseInt(process.env.EMBEDDING_MODEL_WATCH_DEBOUNCE) || 5000,
+    // 等待旧版本进行中请求完成的最长时间(ms)，超时后强制释放
+    drainTimeout: parseInt(process.env.EMBEDDING_MODEL_DRAIN_TIMEOUT) || 30000
+  },
+  // 启动预热配置（服务启动后加载所有已配置模型并执行一次空推理）
+  WARM_UP: {
+    enabled: process.env.EMBEDDING_WARM_UP_ENABLED !== 'false',
+    // 空推理使用的图像边长
+    imageSize: 224
+  },
+  // 就绪检查配置
+  READINESS: {
+    // 推理队列占用达到该比例时视为饱和，就绪检查失败
+    maxQueueRatio: parseFloat(process.env.EMBEDDING_READY_MAX_QUEUE_RATIO) || 0.9
+  },
+  // 推理工作线程池配置（图像推理、文本编码与查询翻译在工作线程中执行，避免阻塞 HTTP 事件循环）
+  WORKER_POOL: {
+    // 是否启用（关闭时在主线程中推理）
+    enabled: process.env.EMBEDDING_WORKER_POOL_ENABLED !== 'false',
+    // 工作线程数量（每个线程各自加载一份模型，内存占用随之增加）
+    size: parseInt(process.env.EMBEDDING_WORKER_POOL_SIZE) || 1,
+    // 单个工作线程连续异常退出后的最大重启次数（达到后停止重启，就绪检查不通过）
+    maxRestarts: parseInt(process.env.EMBEDDING_WORKER_MAX_RESTARTS) || 5,
+    // 首次重启等待时间(ms)，之后每次加倍
+    restartDelay: parseInt(process.env.EMBEDDING_WORKER_RESTART_DELAY) || 1000
+  },
+  // 微批处理配置（合并并发到达的单图像请求为一次批量推理）
+  MICRO_BATCH: {
+    // 是否启用
+    enabled: process.env.EMBEDDING_MICRO_BATCH_ENABLED !== 'false',
+    // 单批次最大图像数量（每个批次只占用一个嵌入并发槽位）
+    maxBatchSize: parseInt(process.env.EMBEDDING_MICRO_BATCH_MAX_SIZE) || 16,
+    // 首个请求到达后等待合并的时间窗口(ms)
+    maxWaitMs: parseInt(process.env.EMBEDDING_MICRO_BATCH_WAIT_MS) || 10
+  },
+  // 文本查询最大字符数（支持环境变量覆盖）
+  MAX_TEXT_LENGTH: parseInt(process.env.EMBEDDING_MAX_TEXT_LENGTH) || 200,
   // 本地模型路径（支持环境变量覆盖）
   LOCAL_MODEL_PATH: process.env.MODEL_PATH || './models',
   // 缓存目录（支持环境变量覆盖）
@@ -131,6 +441,12 @@ export function getConfig(key, defaultValue = undefined) {
   return value;
 }
 
+// 支持的权重精度/量化变体（对应 Transformers.js 的 dtype）
+const RUNTIME_DTYPES = ['fp32', 'fp16', 'q8', 'int8', 'uint8', 'q4', 'bnb4', 'q4f16'];
+
+// 支持的元数据字段类型（对应 Milvus 标量字段类型）
+const METADATA_FIELD_TYPES = ['VarChar', 'Int64', 'Double', 'Bool', 'JSON'];
+
 /**
  * 验证配置
  * @returns {Object} 验证结果
@@ -153,6 +469,110 @@ export function validateConfig() {
     errors.push('嵌入并发数量必须大于0');
   }
 
+  if (CONCURRENCY_CONFIG.EMBEDDING_MAX_QUEUE_SIZE <= 0) {
+    errors.push('嵌入排队数量必须大于0');
+  }
+
+  if (!(EMBEDDING_CONFIG.REMOTE_FETCH.maxRedirects >= 0)) {
+    errors.push('远程图像最大重定向次数必须是非负整数');
+  }
+
+  if (EMBEDDING_CONFIG.REMOTE_FETCH.allowPrivateNetworks) {
+    warnings.push('远程图像下载允许访问内网地址，请勿在生产环境启用');
+  }
+
+  if (EMBEDDING_CONFIG.READINESS.maxQueueRatio <= 0 || EMBEDDING_CONFIG.READINESS.maxQueueRatio > 1) {
+    errors.push('就绪检查队列饱和比例必须在 (0, 1] 之间');
+  }
+
+  if (EMBEDDING_CONFIG.WORKER_POOL.enabled && EMBEDDING_CONFIG.WORKER_POOL.size <= 0) {
+    errors.push('推理工作线程数量必须大于0');
+  }
+
+  // 验证推理运行时配置
+  for (const [modelName, modelConfig] of Object.entries(EMBEDDING_CONFIG.MODELS)) {
+    const imageRuntime = { ...EMBEDDING_CONFIG.RUNTIME, ...modelConfig.runtime };
+    const runtimes = [['图像塔', imageRuntime]];
+    if (modelConfig.text) {
+      runtimes.push(['文本塔', { ...imageRuntime, ...modelConfig.text.runtime }]);
+    }
+
+    for (const [tower, runtime] of runtimes) {
+      if (!RUNTIME_DTYPES.includes(runtime.dtype)) {
+        errors.push(`模型 ${modelName} ${tower}的 dtype 无效: ${runtime.dtype}，可选值: ${RUNTIME_DTYPES.join(', ')}`);
+      }
+      if (!['sequential', 'parallel'].includes(runtime.executionMode)) {
+        errors.push(`模型 ${modelName} ${tower}的 executionMode 无效: ${runtime.executionMode}`);
+      }
+      if (!['disabled', 'basic', 'extended', 'all'].includes(runtime.graphOptimizationLevel)) {
+        errors.push(`模型 ${modelName} ${tower}的 graphOptimizationLevel 无效: ${runtime.graphOptimizationLevel}`);
+      }
+      for (const option of ['intraOpNumThreads', 'interOpNumThreads']) {
+        if (!Number.isInteger(runtime[option]) || runtime[option] < 0) {
+          errors.push(`模型 ${modelName} ${tower}的 ${option} 必须是非负整数: ${runtime[option]}`);
+        }
+      }
+    }
+
+    // 零样本分类需要文本塔与模型的 logit_scale/logit_bias
+    if (modelConfig.classification) {
+      const { logitScale, logitBias } = modelConfig.classification;
+      if (!modelConfig.text) {
+        warnings.push(`模型 ${modelName} 配置了分类参数但未配置文本塔，零样本分类不可用`);
+      }
+      if (!Number.isFinite(logitScale) || logitScale <= 0 || !Number.isFinite(logitBias)) {
+        errors.push(`模型 ${modelName} 的分类参数无效: logitScale 必须是正数，logitBias 必须是数值`);
+      }
+    }
+
+    // 每个工作线程各自创建推理会话，线程数按该模型各塔中最大的 intraOpNumThreads 估算
+    const workerCount = EMBEDDING_CONFIG.WORKER_POOL.enabled ? EMBEDDING_CONFIG.WORKER_POOL.size : 1;
+    const threadsPerWorker = Math.max(...runtimes.map(([, runtime]) => runtime.intraOpNumThreads || 0));
+    if (threadsPerWorker * workerCount > os.cpus().length) {
+      warnings.push(`模型 ${modelName} 推理线程总数（工作线程数 × intraOpNumThreads = ${threadsPerWorker * workerCount}）超过 CPU 核数，线程争抢会降低吞吐`);
+    }
+  }
+
+  // 验证向量维度配置（默认模型的输出维度需与 Milvus 向量字段维度一致）
+  const defaultModelDimension = EMBEDDING_CONFIG.MODELS[EMBEDDING_CONFIG.DEFAULT_MODEL]?.dimension;
+  if (defaultModelDimension && defaultModelDimension !== MILVUS_CONFIG.VECTOR_DIMENSION) {
+    errors.push(`默认模型维度 ${defaultModelDimension} 与 MILVUS_VECTOR_DIMENSION=${MILVUS_CONFIG.VECTOR_DIMENSION} 不一致`);
+  }
+
+  if (MILVUS_CONFIG.BATCH_WRITE.concurrency > CONCURRENCY_CONFIG.DATABASE_MAX_CONCURRENCY) {
+    warnings.push('批量写入并发数大于数据库并发数量，实际并发受数据库并发数量限制');
+  }
+
+  if (MILVUS_CONFIG.JOBS.chunkSize > MILVUS_CONFIG.BATCH_WRITE.maxItems) {
+    errors.push('异步任务检查点条目数不能超过批量写入最大条目数');
+  }
+
+  // 验证元数据字段配置（不能与内置字段、搜索结果中的 id/score/vector 键、清单保留列重名，字段名需符合 Milvus 命名规则）
+  const reservedFields = new Set([
+    'row_id', 'image_vector', 'id', 'score', 'vector', 'metadata', 'image_url', 'image_path',
+    ...Object.keys(MILVUS_CONFIG.ATTRIBUTE_TAGGING.ATTRIBUTES).flatMap(attribute => [attribute, `${attribute}_score`]),
+    'content_hash', 'phash', 'dhash', 'duplicate_of', 'duplicate_status'
+  ]);
+
+  for (const [field, definition] of Object.entries(MILVUS_CONFIG.METADATA.FIELDS)) {
+    if (reservedFields.has(field.toLowerCase())) {
+      errors.push(`元数据字段 ${field} 与内置字段重名`);
+    }
+    if (!/^[A-Za-z_][A-Za-z0-9_]{0,254}$/.test(field)) {
+      errors.push(`元数据字段名 ${field} 无效，只能包含字母、数字和下划线且不能以数字开头`);
+    }
+    if (!definition || typeof definition !== 'object') {
+      errors.push(`元数据字段 ${field} 的定义必须是对象`);
+      continue;
+    }
+    if (!METADATA_FIELD_TYPES.includes(definition.type)) {
+      errors.push(`元数据字段 ${field} 的类型无效: ${definition.type}，可选值: ${METADATA_FIELD_TYPES.join(', ')}`);
+    }
+    if (definition.type === 'VarChar' && !(definition.maxLength > 0)) {
+      errors.push(`元数据字段 ${field} 必须指定 maxLength`);
+    }
+  }
+
   // 验证超时配置
   if (HTTP_CONFIG.REQUEST_TIMEOUT <= 0) {
     warnings.push('请求超时时间应该大于0');
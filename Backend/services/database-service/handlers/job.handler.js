@@ -0,0 +1,236 @@
+/**
+ * 异步任务处理器
+ * 处理任务提交、清单导入、状态查询、取消与继续请求
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { MILVUS_CONFIG } from '../../../config/shared.config.js';
+import jobService from '../services/job.service.js';
+import catalogImportService from '../services/import.service.js';
+import ServiceUtils from '../../../utils/service.util.js';
+
+// 业务错误码对应的 HTTP 状态码
+const ERROR_STATUS_CODES = {
+  INVALID_PARAMS: 400,
+  MANIFEST_INVALID: 400,
+  IMPORT_DISABLED: 403,
+  NOT_FOUND: 404,
+  JOB_FINISHED: 409,
+  JOB_NOT_RESUMABLE: 409,
+  SCHEMA_UNSUPPORTED: 409
+};
+
+/**
+ * 发送错误响应（按业务错误码映射 HTTP 状态码）
+ * @param {Object} res - 响应对象
+ * @param {Error} error - 捕获的错误
+ * @param {string} errorTitle - 错误标题
+ */
+function sendError(res, error, errorTitle) {
+  res.status(ERROR_STATUS_CODES[error.code] || 500).json({
+    success: false,
+    error: errorTitle,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.details && { details: error.details })
+  });
+}
+
+/**
+ * 解析并发数参数（只接受整数或整数字符串，范围校验由任务服务完成）
+ * @param {any} value - 参数值
+ * @returns {number|undefined} 并发数，未提供时返回 undefined，无法解析时返回 NaN
+ */
+function parseConcurrencyParam(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value === 'string' && !/^\d+$/.test(value.trim())) {
+    return NaN;
+  }
+  return typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+}
+
+/**
+ * 提交任务
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function submitJob(req, res) {
+  try {
+    const { type, items, rowIds, mode, concurrency, tagAttributes, duplicateMode } = req.body;
+
+    const job = await jobService.submit({
+      type,
+      items,
+      rowIds,
+      options: {
+        mode,
+        concurrency: parseConcurrencyParam(concurrency),
+        tagAttributes: ServiceUtils.parseBooleanParam(tagAttributes),
+        duplicateMode
+      }
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: '任务已提交'
+    });
+
+  } catch (error) {
+    console.error('❌ 提交任务失败:', error.message);
+    sendError(res, error, '提交任务失败');
+  }
+}
+
+/**
+ * 导入清单（校验服务器导入目录中的 CSV / JSONL 清单，全部通过后提交入库任务）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function importManifest(req, res) {
+  try {
+    const { rootDir } = MILVUS_CONFIG.IMPORT;
+    if (!rootDir) {
+      return res.status(403).json({
+        success: false,
+        error: '导入清单失败',
+        message: '未配置导入目录（MILVUS_IMPORT_ROOT），HTTP 导入已禁用',
+        code: 'IMPORT_DISABLED'
+      });
+    }
+
+    const { manifest, format, mode, concurrency, tagAttributes, duplicateMode } = req.body;
+
+    // 验证必需参数
+    if (!manifest || typeof manifest !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: '参数错误',
+        message: 'manifest 参数是必需的（导入目录内的清单相对路径）'
+      });
+    }
+
+    const job = await catalogImportService.submitImport(path.resolve(rootDir, manifest), {
+      rootDir,
+      format,
+      mode,
+      concurrency: parseConcurrencyParam(concurrency),
+      tagAttributes: ServiceUtils.parseBooleanParam(tagAttributes),
+      duplicateMode
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: '清单校验通过，导入任务已提交'
+    });
+
+  } catch (error) {
+    console.error('❌ 导入清单失败:', error.message);
+    sendError(res, error, '导入清单失败');
+  }
+}
+
+/**
+ * 获取任务列表
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function listJobs(req, res) {
+  try {
+    const jobs = jobService.listJobs({ status: req.query.status || undefined });
+
+    res.json({
+      success: true,
+      data: { jobs, total: jobs.length },
+      message: '获取任务列表成功'
+    });
+
+  } catch (error) {
+    console.error('❌ 获取任务列表失败:', error.message);
+    sendError(res, error, '获取任务列表失败');
+  }
+}
+
+/**
+ * 获取任务状态
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function getJob(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: jobService.getJob(req.params.id),
+      message: '获取任务状态成功'
+    });
+
+  } catch (error) {
+    sendError(res, error, '获取任务状态失败');
+  }
+}
+
+/**
+ * 取消任务
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function cancelJob(req, res) {
+  try {
+    const job = await jobService.cancel(req.params.id);
+
+    res.json({
+      success: true,
+      data: job,
+      message: job.status === 'cancelled' ? '任务已取消' : '任务将在当前分块完成后停止'
+    });
+
+  } catch (error) {
+    console.error('❌ 取消任务失败:', error.message);
+    sendError(res, error, '取消任务失败');
+  }
+}
+
+/**
+ * 继续任务（已取消或失败的任务从检查点继续）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function resumeJob(req, res) {
+  try {
+    const job = await jobService.resume(req.params.id);
+
+    res.json({
+      success: true,
+      data: job,
+      message: '任务已重新排队'
+    });
+
+  } catch (error) {
+    console.error('❌ 继续任务失败:', error.message);
+    sendError(res, error, '继续任务失败');
+  }
+}
+
+/**
+ * 下载任务失败记录（JSONL，每行一条）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function getJobFailures(req, res) {
+  try {
+    const filePath = jobService.getFailuresFile(req.params.id);
+
+    res.type('application/x-ndjson');
+    if (!fs.existsSync(filePath)) {
+      return res.send('');
+    }
+    res.sendFile(filePath);
+
+  } catch (error) {
+    sendError(res, error, '获取失败记录失败');
+  }
+}
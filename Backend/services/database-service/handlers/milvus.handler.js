@@ -4,17 +4,134 @@
  */
 
 import milvusService from '../services/milvus.service.js';
+import { HTTP_CONFIG } from '../../../config/shared.config.js';
+import ImageTypeUtils from '../../../utils/image-type.util.js';
+import ServiceUtils from '../../../utils/service.util.js';
+
+// 业务错误码对应的 HTTP 状态码
+const ERROR_STATUS_CODES = {
+  INVALID_PARAMS: 400,
+  INVALID_FILTER: 400,
+  NOT_FOUND: 404,
+  DUPLICATE_IMAGE: 409,
+  SCHEMA_UNSUPPORTED: 409,
+  DIMENSION_MISMATCH: 503
+};
+
+// 重复处理模式
+const DUPLICATE_MODES = ['off', 'flag', 'link', 'reject'];
 
-// 允许的图像文件 MIME 类型白名单（与路由配置保持一致）
-const ALLOWED_IMAGE_TYPES = [
-  'image/jpeg',   // JPEG
-  'image/jpg',    // JPEG (另一种表示)
-  'image/png',    // PNG
-  'image/gif',    // GIF
-  'image/bmp',    // BMP
-  'image/tiff',   // TIFF
-  'image/webp',   // WebP
-];
+/**
+ * 发送错误响应（按业务错误码映射 HTTP 状态码）
+ * @param {Object} res - 响应对象
+ * @param {any} error - 捕获的错误
+ * @param {string} errorTitle - 错误标题
+ */
+function sendError(res, error, errorTitle) {
+  const cause = ServiceUtils.unwrapTaskError(error);
+
+  // 嵌入服务过载（429）时向调用方返回 503 并透传重试等待时间
+  if (cause?.status === 429) {
+    const retryAfter = Math.max(1, Math.ceil((cause.retryAfter ?? 1000) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(503).json({
+      success: false,
+      error: errorTitle,
+      message: '嵌入服务繁忙，请稍后重试',
+      retryAfter
+    });
+  }
+
+  // 嵌入服务因输入问题拒绝（如图像URL被禁止、图像过大）时透传其状态码与原因
+  if (cause?.status >= 400 && cause.status < 500) {
+    return res.status(cause.status).json({
+      success: false,
+      error: errorTitle,
+      message: cause.data?.message || cause.message,
+      ...(cause.data?.code && { code: cause.data.code })
+    });
+  }
+
+  res.status(ERROR_STATUS_CODES[cause?.code] || 500).json({
+    success: false,
+    error: errorTitle,
+    message: cause?.message,
+    ...(cause?.details && { details: cause.details })
+  });
+}
+
+/**
+ * 读取写入选项（属性打标、重复处理模式与元数据，元数据由服务层按字段定义校验）
+ * @param {Object} body - 请求体
+ * @param {Object} res - 响应对象
+ * @returns {Object|null} 写入选项；校验失败时已发送 400 响应并返回 null
+ */
+function readWriteOptions(body, res) {
+  const { duplicateMode } = body;
+
+  if (duplicateMode !== undefined && !DUPLICATE_MODES.includes(duplicateMode)) {
+    res.status(400).json({
+      success: false,
+      error: '参数错误',
+      message: `duplicateMode 必须是 ${DUPLICATE_MODES.join('/')} 之一`
+    });
+    return null;
+  }
+
+  return {
+    tagAttributes: ServiceUtils.parseBooleanParam(body.tagAttributes),
+    duplicateMode,
+    metadata: body.metadata
+  };
+}
+
+/**
+ * 读取过滤条件参数（支持对象或 JSON 字符串，字段与取值由服务层校验）
+ * @param {any} value - 参数值
+ * @param {string} name - 参数名（filters 简写条件 / filter 结构化条件）
+ * @param {Object} res - 响应对象
+ * @returns {Object|null|undefined} 过滤条件；校验失败时已发送 400 响应并返回 null
+ */
+function readFilterParam(value, name, res) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  let filter = value;
+  try {
+    if (typeof filter === 'string') {
+      filter = JSON.parse(filter);
+    }
+
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      throw new Error(`${name} 必须是对象`);
+    }
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: '参数错误',
+      message: error.message
+    });
+    return null;
+  }
+
+  return filter;
+}
+
+/**
+ * 读取返回字段（支持数组或逗号分隔的字符串，字段由服务层校验）
+ * @param {any} value - outputFields 参数
+ * @returns {Array<string>|undefined} 返回字段，未提供时返回 undefined
+ */
+function readOutputFields(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value === 'string') {
+    return value.split(',').map(field => field.trim()).filter(Boolean);
+  }
+  return value;
+}
 
 /**
  * 插入图像向量
@@ -34,7 +151,12 @@ export async function insertImageVector(req, res) {
       });
     }
 
-    const result = await milvusService.insertImageVector(rowId, imageInput);
+    const options = readWriteOptions(req.body, res);
+    if (!options) {
+      return;
+    }
+
+    const result = await milvusService.insertImageVector(rowId, imageInput, options);
 
     res.json({
       success: true,
@@ -43,12 +165,8 @@ export async function insertImageVector(req, res) {
     });
 
   } catch (error) {
-    console.error('❌ 插入处理失败:', error.message);
-    res.status(500).json({
-      success: false,
-      error: '插入失败',
-      message: error.message
-    });
+    console.error('❌ 插入处理失败:', ServiceUtils.unwrapTaskError(error).message);
+    sendError(res, error, '插入失败');
   }
 }
 
@@ -70,7 +188,12 @@ export async function updateImageVector(req, res) {
       });
     }
 
-    const result = await milvusService.updateImageVector(rowId, imageInput);
+    const options = readWriteOptions(req.body, res);
+    if (!options) {
+      return;
+    }
+
+    const result = await milvusService.updateImageVector(rowId, imageInput, options);
 
     res.json({
       success: true,
@@ -79,15 +202,76 @@ export async function updateImageVector(req, res) {
     });
 
   } catch (error) {
-    console.error('❌ 更新处理失败:', error.message);
-    res.status(500).json({
-      success: false,
-      error: '更新失败',
-      message: error.message
+    console.error('❌ 更新处理失败:', ServiceUtils.unwrapTaskError(error).message);
+    sendError(res, error, '更新失败');
+  }
+}
+
+/**
+ * 批量写入图像向量（批量插入与批量更新共用）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {string} operation - 写入方式 insert/upsert
+ */
+async function handleBatchWrite(req, res, operation) {
+  const errorTitle = operation === 'insert' ? '批量插入失败' : '批量更新失败';
+
+  try {
+    const { items } = req.body;
+
+    // 验证必需参数
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '参数错误',
+        message: 'items 参数必须是非空数组'
+      });
+    }
+
+    const options = readWriteOptions(req.body, res);
+    if (!options) {
+      return;
+    }
+
+    const writeOptions = {
+      tagAttributes: options.tagAttributes,
+      duplicateMode: options.duplicateMode
+    };
+
+    const result = operation === 'insert'
+      ? await milvusService.batchInsertImageVectors(items, writeOptions)
+      : await milvusService.batchUpsertImageVectors(items, writeOptions);
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: result.message
     });
+
+  } catch (error) {
+    console.error(`❌ ${errorTitle}:`, ServiceUtils.unwrapTaskError(error).message);
+    sendError(res, error, errorTitle);
   }
 }
 
+/**
+ * 批量插入图像向量
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function batchInsertImageVectors(req, res) {
+  await handleBatchWrite(req, res, 'insert');
+}
+
+/**
+ * 批量更新图像向量
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function batchUpsertImageVectors(req, res) {
+  await handleBatchWrite(req, res, 'upsert');
+}
+
 /**
  * 批量删除图像向量
  * @param {Object} req - 请求对象
@@ -115,12 +299,8 @@ export async function batchDeleteImageVectors(req, res) {
     });
 
   } catch (error) {
-    console.error('❌ 批量删除处理失败:', error.message);
-    res.status(500).json({
-      success: false,
-      error: '批量删除失败',
-      message: error.message
-    });
+    console.error('❌ 批量删除处理失败:', ServiceUtils.unwrapTaskError(error).message);
+    sendError(res, error, '批量删除失败');
   }
 }
 
@@ -142,9 +322,21 @@ export async function searchSimilarVectors(req, res) {
       });
     }
 
+    const filters = readFilterParam(req.body.filters, 'filters', res);
+    if (filters === null) {
+      return;
+    }
+
+    const filter = readFilterParam(req.body.filter, 'filter', res);
+    if (filter === null) {
+      return;
+    }
+
     const options = {
       limit,
-      output_fields: ['row_id']
+      filters,
+      filter,
+      output_fields: readOutputFields(req.body.outputFields)
     };
 
     const result = await milvusService.searchSimilarVectors(imageInput, options);
@@ -156,12 +348,8 @@ export async function searchSimilarVectors(req, res) {
     });
 
   } catch (error) {
-    console.error('❌ 搜索处理失败:', error.message);
-    res.status(500).json({
-      success: false,
-      error: '搜索失败',
-      message: error.message
-    });
+    console.error('❌ 搜索处理失败:', ServiceUtils.unwrapTaskError(error).message);
+    sendError(res, error, '搜索失败');
   }
 }
 
@@ -186,24 +374,37 @@ export async function searchSimilarVectorsWithBlob(req, res) {
       });
     }
 
-    // 显式验证图像文件格式（双重验证，确保安全性）
-    const mimeType = imageFile.mimetype.toLowerCase();
-    if (!ALLOWED_IMAGE_TYPES.includes(mimeType)) {
+    // 按文件头验证图像格式（不信任客户端声明的 MIME 类型）
+    const mimeType = ImageTypeUtils.sniff(imageFile.buffer);
+    if (!mimeType || !HTTP_CONFIG.UPLOAD_ALLOWED_TYPES.includes(mimeType)) {
       return res.status(400).json({
         success: false,
         error: '文件类型错误',
-        message: `不支持的文件类型: ${imageFile.mimetype}。只允许上传以下图像格式: ${ALLOWED_IMAGE_TYPES.join(', ')}`,
-        allowedTypes: ALLOWED_IMAGE_TYPES
+        message: `文件内容不是支持的图像格式（声明类型: ${imageFile.mimetype}）。只允许上传以下图像格式: ${HTTP_CONFIG.UPLOAD_ALLOWED_TYPES.join(', ')}`,
+        allowedTypes: HTTP_CONFIG.UPLOAD_ALLOWED_TYPES
       });
     }
 
+    // 过滤条件与返回字段可通过表单字段或查询参数传递（JSON 字符串 / 逗号分隔）
+    const filters = readFilterParam(req.body?.filters ?? req.query.filters, 'filters', res);
+    if (filters === null) {
+      return;
+    }
+
+    const filter = readFilterParam(req.body?.filter ?? req.query.filter, 'filter', res);
+    if (filter === null) {
+      return;
+    }
+
     const options = {
       limit: limit ? parseInt(limit) : undefined,
-      output_fields: ['row_id']
+      filters,
+      filter,
+      output_fields: readOutputFields(req.body?.outputFields ?? req.query.outputFields)
     };
 
     // 将文件转换为 Blob 对象
-    imageBlob = new Blob([imageFile.buffer], { type: imageFile.mimetype });
+    imageBlob = new Blob([imageFile.buffer], { type: mimeType });
     
     
     const result = await milvusService.searchSimilarVectors(imageBlob, options);
@@ -215,12 +416,8 @@ export async function searchSimilarVectorsWithBlob(req, res) {
     });
 
   } catch (error) {
-    console.error('❌ 文件上传搜索处理失败:', error.message);
-    res.status(500).json({
-      success: false,
-      error: '搜索失败',
-      message: error.message
-    });
+    console.error('❌ 文件上传搜索处理失败:', ServiceUtils.unwrapTaskError(error).message);
+    sendError(res, error, '搜索失败');
   } finally {
     // 清理内存：释放 Blob 对象
     if (imageBlob) {
@@ -251,6 +448,54 @@ export async function searchSimilarVectorsWithBlob(req, res) {
   }
 }
 
+/**
+ * 通过文本搜索相似图像向量
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function searchSimilarVectorsByText(req, res) {
+  try {
+    const { text, limit } = req.body;
+
+    // 验证必需参数
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '参数错误',
+        message: 'text 参数是必需的，且必须是非空字符串'
+      });
+    }
+
+    const filters = readFilterParam(req.body.filters, 'filters', res);
+    if (filters === null) {
+      return;
+    }
+
+    const filter = readFilterParam(req.body.filter, 'filter', res);
+    if (filter === null) {
+      return;
+    }
+
+    const options = {
+      limit,
+      filters,
+      filter,
+      output_fields: readOutputFields(req.body.outputFields)
+    };
+
+    const result = await milvusService.searchSimilarVectorsByText(text, options);
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('❌ 文本搜索处理失败:', ServiceUtils.unwrapTaskError(error).message);
+    sendError(res, error, '文本搜索失败');
+  }
+}
 
 /**
  * 同步图像向量
@@ -270,7 +515,12 @@ export async function syncImageVector(req, res) {
       });
     }
 
-    const result = await milvusService.syncImageVector(rowId, imageInput);
+    const options = readWriteOptions(req.body, res);
+    if (!options) {
+      return;
+    }
+
+    const result = await milvusService.syncImageVector(rowId, imageInput, options);
 
     res.json({
       success: true,
@@ -279,12 +529,40 @@ export async function syncImageVector(req, res) {
     });
 
   } catch (error) {
-    console.error('❌ 同步处理失败:', error.message);
-    res.status(500).json({
-      success: false,
-      error: '同步失败',
-      message: error.message
+    console.error('❌ 同步处理失败:', ServiceUtils.unwrapTaskError(error).message);
+    sendError(res, error, '同步失败');
+  }
+}
+
+/**
+ * 查询指定图像的重复数据
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function getDuplicates(req, res) {
+  try {
+    const { rowId } = req.params;
+
+    // 验证必需参数
+    if (!rowId) {
+      return res.status(400).json({
+        success: false,
+        error: '参数错误',
+        message: 'rowId 参数是必需的'
+      });
+    }
+
+    const result = await milvusService.getDuplicates(rowId);
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: result.message
     });
+
+  } catch (error) {
+    console.error('❌ 重复数据查询失败:', ServiceUtils.unwrapTaskError(error).message);
+    sendError(res, error, '重复数据查询失败');
   }
 }
 
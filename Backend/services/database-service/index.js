@@ -6,18 +6,32 @@
 import express from 'express';
 import cors from 'cors';
 import { milvusRoutes } from './routes/milvus.routes.js';
-import { CONCURRENCY_CONFIG } from '../../config/shared.config.js';
+import { jobRoutes } from './routes/job.routes.js';
+import jobService from './services/job.service.js';
+import { CONCURRENCY_CONFIG, validateConfig } from '../../config/shared.config.js';
+import metricsRegistry from '../../utils/metrics.util.js';
+
+// 启动前校验配置（存在错误时退出，不进入监听）
+const configValidation = validateConfig();
+configValidation.warnings.forEach(warning => console.warn(`⚠️ 配置警告: ${warning}`));
+if (!configValidation.valid) {
+  configValidation.errors.forEach(error => console.error(`❌ 配置错误: ${error}`));
+  console.error('❌ 数据库服务配置校验失败，请修正后重新启动');
+  process.exit(1);
+}
 
 const app = express();
 const PORT = 3001;
 
 // 中间件配置
+app.use(metricsRegistry.httpMiddleware());
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // 路由配置 - 添加 v1 版本前缀
 app.use('/api/v1/milvus', milvusRoutes);
+app.use('/api/v1/jobs', jobRoutes);
 
 // 健康检查
 app.get('/health', (req, res) => {
@@ -35,6 +49,9 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus 指标
+app.get('/metrics', metricsRegistry.handler());
+
 // 根路径
 app.get('/', (req, res) => {
   res.json({
@@ -43,7 +60,9 @@ app.get('/', (req, res) => {
     description: 'Milvus 向量数据库服务，提供向量存储和搜索 API',
     endpoints: {
       health: '/health',
-      milvus: '/api/v1/milvus'
+      metrics: '/metrics',
+      milvus: '/api/v1/milvus',
+      jobs: '/api/v1/jobs'
     }
   });
 });
@@ -82,6 +101,13 @@ app.listen(PORT, async () => {
     console.error('💡 请检查 Milvus 服务是否正在运行');
     process.exit(1);
   }
+
+  // 加载磁盘上的异步任务，未完成的任务从检查点继续
+  try {
+    await jobService.start();
+  } catch (error) {
+    console.error('❌ 任务服务启动失败:', error.message);
+  }
 });
 
 export default app;
@@ -0,0 +1,86 @@
+/**
+ * 异步任务路由
+ * 定义 API 端点
+ */
+
+import express from 'express';
+import {
+  submitJob,
+  importManifest,
+  listJobs,
+  getJob,
+  getJobFailures,
+  cancelJob,
+  resumeJob
+} from '../handlers/job.handler.js';
+
+const router = express.Router();
+
+/**
+ * @route POST /
+ * @desc 提交异步任务（立即返回任务ID，后台分块处理，每块完成后保存检查点，重启后从检查点继续）
+ * @access Public
+ * @body {string} type - 任务类型 ingest（批量入库）/sync（仅插入不存在的条目）/delete（批量删除）
+ * @body {Array<Object>} [items] - 条目数组 [{ rowId, imageInput, metadata }]（ingest/sync 必填，最多 MILVUS_JOBS_MAX_ITEMS 条，imageInput 建议使用 URL）
+ * @body {Array<string>} [rowIds] - 行ID数组（delete 必填）
+ * @body {string} [mode] - 入库写入方式 insert/upsert（可选，默认 insert，仅 ingest）
+ * @body {number} [concurrency] - 特征提取并发数（可选，正整数，默认取 MILVUS_BATCH_CONCURRENCY，超过 DATABASE_MAX_CONCURRENCY 时按其执行）
+ * @body {boolean} [tagAttributes] - 是否属性打标（可选，对全部条目生效）
+ * @body {string} [duplicateMode] - 重复处理模式 off/flag/link/reject（可选，对全部条目生效）
+ */
+router.post('/', submitJob);
+
+/**
+ * @route POST /import
+ * @desc 导入清单（逐行校验 MILVUS_IMPORT_ROOT 内的 CSV / JSONL 清单，全部通过后提交 ingest 任务；任一行错误时不导入并返回错误行）
+ * @access Public
+ * @body {string} manifest - 清单路径（相对 MILVUS_IMPORT_ROOT），列为 row_id、image_url 或 image_path（相对清单所在目录）、元数据字段
+ * @body {string} [format] - 清单格式 csv/jsonl（可选，默认按扩展名识别）
+ * @body {string} [mode] - 写入方式 insert/upsert（可选，默认 insert）
+ * @body {number} [concurrency] - 特征提取并发数（可选，正整数，默认取 MILVUS_BATCH_CONCURRENCY，超过 DATABASE_MAX_CONCURRENCY 时按其执行）
+ * @body {boolean} [tagAttributes] - 是否属性打标（可选）
+ * @body {string} [duplicateMode] - 重复处理模式 off/flag/link/reject（可选）
+ */
+router.post('/import', importManifest);
+
+/**
+ * @route GET /
+ * @desc 获取任务列表（按提交时间倒序）
+ * @access Public
+ * @param {string} [status] - 按状态过滤 queued/running/completed/failed/cancelled（查询参数，可选）
+ */
+router.get('/', listJobs);
+
+/**
+ * @route GET /:id
+ * @desc 获取任务状态（进度、成功/失败/跳过计数、预计剩余时间与最近失败条目）
+ * @access Public
+ * @param {string} id - 任务ID
+ */
+router.get('/:id', getJob);
+
+/**
+ * @route GET /:id/failures
+ * @desc 下载任务失败记录（application/x-ndjson，每行 { index, line, row_id, error, code }）
+ * @access Public
+ * @param {string} id - 任务ID
+ */
+router.get('/:id/failures', getJobFailures);
+
+/**
+ * @route POST /:id/cancel
+ * @desc 取消任务（排队中的任务立即取消，运行中的任务在当前分块完成后停止）
+ * @access Public
+ * @param {string} id - 任务ID
+ */
+router.post('/:id/cancel', cancelJob);
+
+/**
+ * @route POST /:id/resume
+ * @desc 继续任务（已取消或失败的任务从检查点继续，已写入的条目不会重复处理）
+ * @access Public
+ * @param {string} id - 任务ID
+ */
+router.post('/:id/resume', resumeJob);
+
+export { router as jobRoutes };
@@ -5,34 +5,31 @@
 
 import express from 'express';
 import multer from 'multer';
+import { HTTP_CONFIG } from '../../../config/shared.config.js';
 import {
   insertImageVector,
   updateImageVector,
   syncImageVector,
+  batchInsertImageVectors,
+  batchUpsertImageVectors,
   batchDeleteImageVectors,
   searchSimilarVectors,
   searchSimilarVectorsWithBlob,
+  searchSimilarVectorsByText,
+  getDuplicates,
   getCollectionStats
 } from '../handlers/milvus.handler.js';
 
 const router = express.Router();
 
-// 允许的图像文件 MIME 类型白名单
-const ALLOWED_IMAGE_TYPES = [
-  'image/jpeg',   // JPEG
-  'image/jpg',    // JPEG (另一种表示)
-  'image/png',    // PNG
-  'image/gif',    // GIF
-  'image/bmp',    // BMP
-  'image/tiff',   // TIFF
-  'image/webp',   // WebP
-];
+// 允许的图像文件 MIME 类型白名单（与内联图像校验共用）
+const ALLOWED_IMAGE_TYPES = HTTP_CONFIG.UPLOAD_ALLOWED_TYPES;
 
 // 配置 multer 用于文件上传
 const upload = multer({
   storage: multer.memoryStorage(), // 使用内存存储
   limits: {
-    fileSize: 10 * 1024 * 1024, // 限制文件大小为 10MB
+    fileSize: HTTP_CONFIG.UPLOAD_MAX_BYTES, // 限制文件大小（默认 10MB）
     files: 1, // 限制文件数量为 1
     fieldSize: 1024 * 1024, // 限制字段大小为 1MB
   },
@@ -83,7 +80,10 @@ router.use((req, res, next) => {
  * @desc 插入图像向量
  * @access Public
  * @body {string} rowId - 行ID
- * @body {string|Blob} imageInput - 图像输入（URL 或 Blob）
+ * @body {string|Blob} imageInput - 图像输入（URL、data URI、base64 字符串或 Blob）
+ * @body {boolean} [tagAttributes] - 是否属性打标（可选，默认取 MILVUS_ATTRIBUTE_TAGGING）
+ * @body {string} [duplicateMode] - 重复处理模式 off/flag/link/reject（可选，默认取 MILVUS_DEDUP_MODE）
+ * @body {Object} [metadata] - 元数据（可选，字段见 MILVUS_CONFIG.METADATA），如 { "product_id": "P1001", "shop_id": "S01", "price": 199, "in_stock": true }
  */
 router.post('/insert', insertImageVector);
 
@@ -92,7 +92,10 @@ router.post('/insert', insertImageVector);
  * @desc 更新图像向量
  * @access Public
  * @body {string} rowId - 行ID
- * @body {string|Blob} imageInput - 图像输入（URL 或 Blob）
+ * @body {string|Blob} imageInput - 图像输入（URL、data URI、base64 字符串或 Blob）
+ * @body {boolean} [tagAttributes] - 是否属性打标（可选，默认取 MILVUS_ATTRIBUTE_TAGGING，不打标时保留已有标签）
+ * @body {string} [duplicateMode] - 重复处理模式 off/flag/link/reject（可选，默认取 MILVUS_DEDUP_MODE）
+ * @body {Object} [metadata] - 元数据（可选，整行覆盖，未提供的字段更新为空值）
  */
 router.post('/update', updateImageVector);
 
@@ -101,10 +104,33 @@ router.post('/update', updateImageVector);
  * @desc 同步图像向量（检查是否存在，不存在则插入）
  * @access Public
  * @body {string} rowId - 行ID
- * @body {string|Blob} imageInput - 图像输入（URL 或 Blob）
+ * @body {string|Blob} imageInput - 图像输入（URL、data URI、base64 字符串或 Blob）
+ * @body {boolean} [tagAttributes] - 是否属性打标（可选，默认取 MILVUS_ATTRIBUTE_TAGGING）
+ * @body {string} [duplicateMode] - 重复处理模式 off/flag/link/reject（可选，默认取 MILVUS_DEDUP_MODE）
+ * @body {Object} [metadata] - 元数据（可选，字段见 MILVUS_CONFIG.METADATA），如 { "product_id": "P1001", "shop_id": "S01", "price": 199, "in_stock": true }
  */
 router.post('/sync', syncImageVector);
 
+/**
+ * @route POST /batch-insert
+ * @desc 批量插入图像向量（并发提取特征、分块多行写入，逐条返回结果，部分失败不回滚）
+ * @access Public
+ * @body {Array<Object>} items - 条目数组 [{ rowId, imageInput, metadata }]（最多 MILVUS_BATCH_MAX_ITEMS 条）
+ * @body {boolean} [tagAttributes] - 是否属性打标（可选，对全部条目生效）
+ * @body {string} [duplicateMode] - 重复处理模式 off/flag/link/reject（可选，对全部条目生效）
+ */
+router.post('/batch-insert', batchInsertImageVectors);
+
+/**
+ * @route POST /batch-upsert
+ * @desc 批量更新图像向量（整行覆盖，不存在时插入，逐条返回结果）
+ * @access Public
+ * @body {Array<Object>} items - 条目数组 [{ rowId, imageInput, metadata }]（最多 MILVUS_BATCH_MAX_ITEMS 条）
+ * @body {boolean} [tagAttributes] - 是否属性打标（可选，对全部条目生效，不打标时保留已有标签）
+ * @body {string} [duplicateMode] - 重复处理模式 off/flag/link/reject（可选，对全部条目生效）
+ */
+router.post('/batch-upsert', batchUpsertImageVectors);
+
 /**
  * @route POST /batch-delete
  * @desc 批量删除图像向量
@@ -117,8 +143,11 @@ router.post('/batch-delete', batchDeleteImageVectors);
  * @route POST /search
  * @desc 搜索相似向量（通过URL）
  * @access Public
- * @body {string} imageInput - 图像URL
+ * @body {string} imageInput - 图像URL、data URI 或 base64 字符串
  * @body {number} [limit] - 返回结果数量限制（可选，默认20）
+ * @body {Object} [filters] - 简写过滤条件（可选），如 { "category": "连衣裙", "shop_id": "S01", "in_stock": true, "price": { "lte": 300 } }
+ * @body {Object} [filter] - 结构化过滤条件（可选，与 filters 按「且」合并），如 { "or": [{ "field": "brand", "eq": "ACME" }, { "field": "extras.material", "in": ["cotton", "linen"] }] }
+ * @body {Array<string>} [outputFields] - 返回字段（可选，默认返回 row_id、属性字段与元数据字段）
  */
 router.post('/search', searchSimilarVectors);
 
@@ -128,9 +157,32 @@ router.post('/search', searchSimilarVectors);
  * @access Public
  * @param {number} [limit] - 返回结果数量限制（可选，默认20）
  * @body {File} image - 图像文件（multipart/form-data）
+ * @body {string} [filters] - 简写过滤条件 JSON 字符串（可选，表单字段或查询参数）
+ * @body {string} [filter] - 结构化过滤条件 JSON 字符串（可选，表单字段或查询参数）
+ * @body {string} [outputFields] - 返回字段，逗号分隔（可选，表单字段或查询参数）
  */
 router.post('/search/blob', upload.single('image'), searchSimilarVectorsWithBlob);
 
+/**
+ * @route POST /search/text
+ * @desc 以文搜图（通过文本描述搜索相似图像，支持中英文）
+ * @access Public
+ * @body {string} text - 查询文本
+ * @body {number} [limit] - 返回结果数量限制（可选，默认20）
+ * @body {Object} [filters] - 简写过滤条件（可选）
+ * @body {Object} [filter] - 结构化过滤条件（可选）
+ * @body {Array<string>} [outputFields] - 返回字段（可选）
+ */
+router.post('/search/text', searchSimilarVectorsByText);
+
+/**
+ * @route GET /duplicates/:rowId
+ * @desc 查询指定图像的完全重复与近似重复数据（供目录质检复核）
+ * @access Public
+ * @param {string} rowId - 行ID
+ */
+router.get('/duplicates/:rowId', getDuplicates);
+
 /**
  * @route GET /stats
  * @desc 获取集合统计信息
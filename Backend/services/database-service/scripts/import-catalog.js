@@ -0,0 +1,266 @@
+/**
+ * 清单导入命令
+ * 逐行校验本地 CSV / JSONL 清单，全部通过后分块入库；失败条目写入结果文件，中断后再次执行同一清单从检查点继续
+ *
+ * 用法:
+ *   node scripts/import-catalog.js <清单文件> [选项]
+ *
+ * 选项:
+ *   --format <csv|jsonl>      清单格式（默认按扩展名识别）
+ *   --mode <insert|upsert>    写入方式（默认 insert）
+ *   --concurrency <数量>      特征提取并发数（默认取 MILVUS_BATCH_CONCURRENCY，不超过 DATABASE_MAX_CONCURRENCY）
+ *   --duplicate-mode <模式>   重复处理模式 off/flag/link/reject（默认取 MILVUS_DEDUP_MODE）
+ *   --tag-attributes          属性打标
+ *   --failures <文件>         失败结果文件（默认 <清单文件>.failures.jsonl）
+ *   --state-dir <目录>        导入进度目录（默认 Backend/.cache/imports）
+ *   --validate-only           只校验清单，不导入
+ *   --restart                 忽略已有进度，重新导入
+ *
+ * 每个清单的进度保存在 <state-dir>/<清单路径哈希>/，清单文件修改后视为新清单重新导入
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import milvusService from '../services/milvus.service.js';
+import { JobService } from '../services/job.service.js';
+import { CatalogImportService } from '../services/import.service.js';
+
+// 获取当前文件目录
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 默认导入进度目录（Backend/.cache/imports）
+const DEFAULT_STATE_DIR = path.join(__dirname, '..', '..', '..', '.cache', 'imports');
+
+// 进度输出间隔（毫秒）
+const PROGRESS_INTERVAL = 2000;
+
+// 用法说明
+const USAGE = '用法: node scripts/import-catalog.js <清单文件> [--format csv|jsonl] [--mode insert|upsert] [--concurrency <数量>] ' +
+  '[--duplicate-mode <模式>] [--tag-attributes] [--failures <文件>] [--state-dir <目录>] [--validate-only] [--restart]';
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} args - 参数
+ * @returns {Object} 导入参数
+ */
+function parseArgs(args) {
+  const options = {
+    manifestPath: null,
+    format: undefined,
+    mode: undefined,
+    concurrency: undefined,
+    duplicateMode: undefined,
+    tagAttributes: undefined,
+    failuresPath: null,
+    stateDir: DEFAULT_STATE_DIR,
+    validateOnly: false,
+    restart: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--format':
+        options.format = args[++i];
+        break;
+      case '--mode':
+        options.mode = args[++i];
+        break;
+      case '--concurrency':
+        options.concurrency = Number(args[++i]);
+        if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+          throw new Error(`--concurrency 必须是正整数: ${args[i]}\n${USAGE}`);
+        }
+        break;
+      case '--duplicate-mode':
+        options.duplicateMode = args[++i];
+        break;
+      case '--tag-attributes':
+        options.tagAttributes = true;
+        break;
+      case '--failures':
+        options.failuresPath = path.resolve(args[++i] ?? '');
+        break;
+      case '--state-dir':
+        options.stateDir = path.resolve(args[++i] ?? '');
+        break;
+      case '--validate-only':
+        options.validateOnly = true;
+        break;
+      case '--restart':
+        options.restart = true;
+        break;
+      default:
+        if (args[i].startsWith('--') || options.manifestPath) {
+          throw new Error(`无法识别的参数: ${args[i]}\n${USAGE}`);
+        }
+        options.manifestPath = path.resolve(args[i]);
+    }
+  }
+
+  if (!options.manifestPath) {
+    throw new Error(USAGE);
+  }
+  options.failuresPath = options.failuresPath || `${options.manifestPath}.failures.jsonl`;
+
+  return options;
+}
+
+/**
+ * 写入失败结果文件（每行一条 JSON）
+ * @param {string} filePath - 结果文件路径
+ * @param {Array<Object>} failures - 失败条目
+ */
+async function writeFailures(filePath, failures) {
+  await fs.writeFile(filePath, failures.map(failure => JSON.stringify(failure)).join('\n') + (failures.length > 0 ? '\n' : ''));
+}
+
+/**
+ * 格式化剩余时间
+ * @param {number|null} seconds - 秒数
+ * @returns {string} 剩余时间
+ */
+function formatEta(seconds) {
+  if (seconds === null) {
+    return '计算中';
+  }
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h${minutes}m` : `${minutes}m${seconds % 60}s`;
+}
+
+/**
+ * 查找同一清单（路径、大小与修改时间一致）的已有任务
+ * @param {JobService} jobService - 任务服务
+ * @param {Object} stats - 清单文件信息
+ * @returns {Object|undefined} 最近一次导入任务
+ */
+function findPreviousJob(jobService, stats) {
+  return jobService.listJobs().find(job =>
+    job.source?.size === stats.size && job.source?.mtimeMs === stats.mtimeMs
+  );
+}
+
+/**
+ * 等待任务结束并输出进度（Ctrl+C 时在当前分块完成后停止，再次 Ctrl+C 立即退出）
+ * @param {JobService} jobService - 任务服务
+ * @param {string} jobId - 任务ID
+ * @returns {Promise<Object>} 任务最终状态
+ */
+async function waitForJob(jobService, jobId) {
+  let interrupted = false;
+  process.on('SIGINT', () => {
+    if (interrupted) {
+      process.exit(130);
+    }
+    interrupted = true;
+    console.log('\n🛑 正在停止（当前分块完成后保存进度，再次按 Ctrl+C 立即退出）...');
+    jobService.cancel(jobId).catch(() => {});
+  });
+
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, PROGRESS_INTERVAL));
+
+    const job = jobService.getJob(jobId);
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+      return job;
+    }
+
+    const percent = (job.progress * 100).toFixed(1);
+    console.log(`⏳ 进度 ${job.processed}/${job.total}（${percent}%），成功 ${job.succeeded}，失败 ${job.failed}，跳过 ${job.skipped}，预计剩余 ${formatEta(job.etaSeconds)}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { manifestPath, failuresPath } = options;
+
+  // 每个清单使用独立的进度目录，不会继续其他清单或服务端的任务
+  const manifestKey = crypto.createHash('sha256').update(manifestPath).digest('hex').slice(0, 16);
+  const jobService = new JobService({ dir: path.join(options.stateDir, manifestKey) });
+  const importService = new CatalogImportService(jobService);
+
+  if (options.validateOnly) {
+    const report = await importService.validateManifest(manifestPath, { format: options.format });
+    await writeFailures(failuresPath, report.errors);
+
+    if (report.errors.length > 0) {
+      console.error(`❌ 清单校验失败：${report.errors.length} 行存在错误，详见 ${failuresPath}`);
+      process.exit(1);
+    }
+    console.log(`✅ 清单校验通过：${report.items.length} 行`);
+    process.exit(0);
+  }
+
+  await jobService.start({ resume: false });
+
+  const stats = await fs.stat(manifestPath);
+  const previous = options.restart ? undefined : findPreviousJob(jobService, stats);
+
+  // 取消已过期（清单已修改或要求重新导入）的未完成任务
+  for (const job of jobService.listJobs()) {
+    if (job.id !== previous?.id && ['queued', 'running'].includes(job.status)) {
+      await jobService.cancel(job.id);
+    }
+  }
+
+  let job;
+  if (previous?.status === 'completed') {
+    console.log(`✅ 该清单已导入完成（任务 ${previous.id}），如需重新导入请使用 --restart`);
+    process.exit(0);
+  } else if (previous) {
+    console.log(`🔁 从上次进度继续: 已处理 ${previous.processed}/${previous.total} 行`);
+    job = await jobService.resume(previous.id);
+  } else {
+    try {
+      job = await importService.submitImport(manifestPath, {
+        format: options.format,
+        mode: options.mode,
+        concurrency: options.concurrency,
+        tagAttributes: options.tagAttributes,
+        duplicateMode: options.duplicateMode
+      });
+    } catch (error) {
+      if (error.code === 'MANIFEST_INVALID' && error.errors) {
+        await writeFailures(failuresPath, error.errors);
+        console.error(`❌ ${error.message}，详见 ${failuresPath}`);
+        process.exit(1);
+      }
+      throw error;
+    }
+  }
+
+  const result = await waitForJob(jobService, job.id);
+
+  // 失败结果文件包含该清单所有运行中失败的条目
+  try {
+    await fs.copyFile(jobService.getFailuresFile(job.id), failuresPath);
+  } catch (error) {
+    await writeFailures(failuresPath, []);
+  }
+
+  console.log(`🏁 导入${result.status === 'completed' ? '完成' : '结束'}（${result.status}）：成功 ${result.succeeded}，失败 ${result.failed}，跳过 ${result.skipped}，共 ${result.total} 行`);
+  if (result.failed > 0) {
+    console.log(`📄 失败条目: ${failuresPath}`);
+  }
+
+  if (result.status === 'cancelled') {
+    console.log('💡 再次执行相同命令可从当前进度继续');
+    process.exit(130);
+  }
+  if (result.status === 'failed') {
+    console.error(`❌ 导入中止: ${result.error?.message}（再次执行相同命令可从当前进度继续）`);
+    process.exit(1);
+  }
+
+  milvusService.stop();
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('❌ 执行失败:', error.message);
+  error.details?.errors?.forEach(item => console.error(`   - 第 ${item.line} 行: ${item.error}`));
+  process.exit(1);
+});
@@ -0,0 +1,338 @@
+/**
+ * 清单导入服务
+ * 读取本地 CSV / JSONL 清单（row_id、image_url 或 image_path、元数据列），先逐行校验整个清单，
+ * 全部通过后作为 ingest 异步任务提交：由任务服务分块入库、记录失败条目（failures.jsonl）并从检查点继续
+ *
+ * 清单格式：
+ *   CSV   row_id,image_url,image_path,product_id,price,...（首行为表头，元数据列名与 MILVUS_CONFIG.METADATA.FIELDS 一致）
+ *   JSONL { "row_id": "...", "image_url": "...", "metadata": { ... } }（元数据也可平铺在顶层）
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { MILVUS_CONFIG, HTTP_CONFIG } from '../../../config/shared.config.js';
+import ManifestReader from '../../../utils/manifest.util.js';
+import milvusService from './milvus.service.js';
+import jobService from './job.service.js';
+import ServiceUtils from '../../../utils/service.util.js';
+
+// 清单保留列（其余列均为元数据字段）
+const RESERVED_COLUMNS = ['row_id', 'image_url', 'image_path', 'metadata'];
+
+// 行ID最大长度（与集合主键 row_id 的 max_length 一致）
+const ROW_ID_MAX_LENGTH = 36;
+
+/**
+ * 判断单元格是否为空（CSV 空单元格、JSONL 的 null 或空字符串）
+ * @param {any} value - 取值
+ * @returns {boolean} 是否为空
+ */
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * 清单导入服务类
+ */
+class CatalogImportService {
+  /**
+   * @param {JobService} [jobs] - 提交导入任务的任务服务（命令行使用独立的状态目录）
+   */
+  constructor(jobs = jobService) {
+    this.jobService = jobs;
+  }
+
+  /**
+   * 校验清单并提交导入任务（任一行校验失败时不提交）
+   * @param {string} manifestPath - 清单文件路径
+   * @param {Object} [options] - 导入选项
+   * @param {string} [options.format] - 清单格式 csv/jsonl（默认按扩展名识别）
+   * @param {string} [options.rootDir] - 允许读取的根目录（清单与 image_path 必须位于该目录内）
+   * @param {string} [options.mode] - 写入方式 insert/upsert
+   * @param {number} [options.concurrency] - 特征提取并发数
+   * @param {boolean} [options.tagAttributes] - 是否属性打标
+   * @param {string} [options.duplicateMode] - 重复处理模式
+   * @returns {Promise<Object>} 任务状态
+   * @throws {Error} 清单校验失败时抛出 MANIFEST_INVALID，error.errors 为完整的错误列表
+   */
+  async submitImport(manifestPath, options = {}) {
+    const { format, rootDir, ...writeOptions } = options;
+
+    // 先校验写入选项，避免校验完整个清单后才失败
+    const jobOptions = this.jobService.resolveJobOptions('ingest', writeOptions);
+
+    const report = await this.validateManifest(manifestPath, { format, rootDir });
+
+    if (report.errors.length > 0) {
+      const error = ServiceUtils.createError(
+        `清单校验失败：${report.errors.length} 行存在错误，未导入任何数据`,
+        'MANIFEST_INVALID',
+        {
+          errorCount: report.errors.length,
+          errors: report.errors.slice(0, MILVUS_CONFIG.IMPORT.maxReportedErrors)
+        }
+      );
+      error.errors = report.errors;
+      throw error;
+    }
+    if (report.items.length === 0) {
+      throw ServiceUtils.createError('清单中没有可导入的条目', 'MANIFEST_INVALID');
+    }
+
+    return await this.jobService.submit({
+      type: 'ingest',
+      items: report.items,
+      options: jobOptions,
+      source: {
+        type: 'manifest',
+        path: report.path,
+        format: report.format,
+        size: report.size,
+        mtimeMs: report.mtimeMs
+      }
+    });
+  }
+
+  /**
+   * 逐行校验清单（读取全部行后返回，不写入数据）
+   * @param {string} manifestPath - 清单文件路径
+   * @param {Object} [options] - 校验选项
+   * @param {string} [options.format] - 清单格式 csv/jsonl
+   * @param {string} [options.rootDir] - 允许读取的根目录
+   * @returns {Promise<Object>} { path, format, size, mtimeMs, items, errors }，errors 为 [{ line, row_id, error }]
+   */
+  async validateManifest(manifestPath, options = {}) {
+    const { rootDir } = options;
+
+    let format;
+    try {
+      format = ManifestReader.resolveFormat(manifestPath, options.format);
+    } catch (error) {
+      throw ServiceUtils.createError(error.message, 'INVALID_PARAMS');
+    }
+
+    const filePath = await this.resolveLocalFile(manifestPath, rootDir, '清单文件');
+    const { size, mtimeMs } = await fs.stat(filePath);
+
+    // 元数据校验依赖集合字段
+    await milvusService.autoInitialize();
+
+    const header = await ManifestReader.readHeader(filePath, format);
+    if (header) {
+      this.validateHeader(header);
+    }
+
+    const context = {
+      baseDir: path.dirname(filePath),
+      rootDir,
+      seenRowIds: new Map(),
+      format
+    };
+    const items = [];
+    const errors = [];
+
+    try {
+      for await (const { line, record, error } of ManifestReader.readRecords(filePath, format)) {
+        if (items.length + errors.length >= this.jobService.maxItems) {
+          throw ServiceUtils.createError(`清单超过单个任务最大条目数 ${this.jobService.maxItems}`, 'MANIFEST_INVALID');
+        }
+
+        if (error) {
+          errors.push({ line, error });
+          continue;
+        }
+
+        try {
+          items.push(await this.validateRecord(record, line, context));
+        } catch (recordError) {
+          errors.push({
+            line,
+            ...(typeof record.row_id === 'string' && record.row_id !== '' && { row_id: record.row_id }),
+            error: recordError.message
+          });
+        }
+      }
+    } catch (error) {
+      if (error.code) {
+        throw error;
+      }
+      throw ServiceUtils.createError(`清单读取失败: ${error.message}`, 'MANIFEST_INVALID');
+    }
+
+    console.log(`🧾 清单校验完成: ${filePath}（${format}），有效 ${items.length} 行，错误 ${errors.length} 行`);
+
+    return { path: filePath, format, size, mtimeMs, items, errors };
+  }
+
+  /**
+   * 校验 CSV 表头（必需列与未知列）
+   * @param {Array<string>} header - 列名
+   * @private
+   */
+  validateHeader(header) {
+    if (!header.includes('row_id')) {
+      throw ServiceUtils.createError('CSV 表头缺少 row_id 列', 'MANIFEST_INVALID');
+    }
+    if (!header.includes('image_url') && !header.includes('image_path')) {
+      throw ServiceUtils.createError('CSV 表头缺少 image_url 或 image_path 列', 'MANIFEST_INVALID');
+    }
+
+    const { FIELDS } = MILVUS_CONFIG.METADATA;
+    const unknown = header.filter(name =>
+      !RESERVED_COLUMNS.includes(name) && !Object.prototype.hasOwnProperty.call(FIELDS, name)
+    );
+    if (unknown.length > 0) {
+      throw ServiceUtils.createError(`CSV 表头包含不支持的列: ${unknown.join(', ')}`, 'MANIFEST_INVALID');
+    }
+  }
+
+  /**
+   * 校验单行记录并转换为任务条目
+   * @param {Object} record - 清单记录
+   * @param {number} line - 行号
+   * @param {Object} context - 校验上下文（清单目录、根目录、已出现的行ID）
+   * @returns {Promise<Object>} 任务条目 { rowId, imageInput | imagePath, metadata, line }
+   * @private
+   */
+  async validateRecord(record, line, context) {
+    const { row_id: rawRowId, image_url: imageUrl, image_path: imagePath, metadata, ...columns } = record;
+
+    // 1. 行ID
+    if (isBlank(rawRowId) || (typeof rawRowId !== 'string' && typeof rawRowId !== 'number')) {
+      throw new Error('row_id 不能为空');
+    }
+    const rowId = String(rawRowId).trim();
+    if (rowId.length > ROW_ID_MAX_LENGTH) {
+      throw new Error(`row_id 长度不能超过 ${ROW_ID_MAX_LENGTH}`);
+    }
+    if (context.seenRowIds.has(rowId)) {
+      throw new Error(`row_id 与第 ${context.seenRowIds.get(rowId)} 行重复`);
+    }
+    context.seenRowIds.set(rowId, line);
+
+    // 2. 图像来源
+    if (isBlank(imageUrl) === isBlank(imagePath)) {
+      throw new Error('image_url 与 image_path 必须且只能提供一个');
+    }
+
+    const image = {};
+    if (!isBlank(imageUrl)) {
+      let url;
+      try {
+        url = new URL(String(imageUrl).trim());
+      } catch {
+        throw new Error(`image_url 无效: ${imageUrl}`);
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('image_url 仅支持 http/https');
+      }
+      image.imageInput = url.href;
+    } else {
+      const filePath = await this.resolveLocalFile(
+        path.resolve(context.baseDir, String(imagePath).trim()),
+        context.rootDir,
+        '图像文件'
+      );
+      const { size } = await fs.stat(filePath);
+      if (size > HTTP_CONFIG.UPLOAD_MAX_BYTES) {
+        throw new Error(`图像文件超过 ${HTTP_CONFIG.UPLOAD_MAX_BYTES} 字节: ${imagePath}`);
+      }
+      image.imagePath = filePath;
+    }
+
+    // 3. 元数据（JSONL 可使用 metadata 对象或平铺字段，CSV 为各元数据列）
+    const values = {};
+    if (!isBlank(metadata)) {
+      Object.assign(values, this.parseMetadataObject(metadata));
+    }
+    for (const [field, value] of Object.entries(columns)) {
+      if (!isBlank(value)) {
+        values[field] = context.format === 'csv' ? this.parseCsvCell(field, value) : value;
+      }
+    }
+
+    return {
+      rowId,
+      ...image,
+      metadata: milvusService.normalizeMetadata(values),
+      line
+    };
+  }
+
+  /**
+   * 解析 metadata 列（CSV 为 JSON 文本，JSONL 为对象）
+   * @param {string|Object} metadata - metadata 列取值
+   * @returns {Object} 元数据
+   * @private
+   */
+  parseMetadataObject(metadata) {
+    let value = metadata;
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`metadata 不是有效的 JSON: ${error.message}`);
+      }
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error('metadata 必须是对象');
+    }
+    return value;
+  }
+
+  /**
+   * 解析 CSV 元数据单元格（JSON 字段按 JSON 文本解析，其余字段由元数据校验按类型转换）
+   * @param {string} field - 字段名
+   * @param {string} value - 单元格文本
+   * @returns {any} 取值
+   * @private
+   */
+  parseCsvCell(field, value) {
+    const definition = MILVUS_CONFIG.METADATA.FIELDS[field];
+    if (definition?.type !== 'JSON') {
+      return value.trim();
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`元数据字段 ${field} 不是有效的 JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * 解析本地文件路径（必须为普通文件，指定根目录时不能位于根目录之外，包括经由符号链接）
+   * @param {string} filePath - 文件路径
+   * @param {string} [rootDir] - 允许读取的根目录
+   * @param {string} label - 错误消息中的文件说明
+   * @returns {Promise<string>} 真实路径
+   * @private
+   */
+  async resolveLocalFile(filePath, rootDir, label) {
+    let realPath;
+    try {
+      realPath = await fs.realpath(filePath);
+    } catch {
+      throw ServiceUtils.createError(`${label}不存在: ${filePath}`, 'NOT_FOUND');
+    }
+
+    if (rootDir) {
+      const relative = path.relative(await fs.realpath(rootDir), realPath);
+      if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw ServiceUtils.createError(`${label}不在导入目录内: ${filePath}`, 'INVALID_PARAMS');
+      }
+    }
+
+    if (!(await fs.stat(realPath)).isFile()) {
+      throw ServiceUtils.createError(`${label}不是文件: ${filePath}`, 'INVALID_PARAMS');
+    }
+
+    return realPath;
+  }
+}
+
+// 创建单例实例
+const catalogImportService = new CatalogImportService();
+
+export { CatalogImportService };
+export default catalogImportService;
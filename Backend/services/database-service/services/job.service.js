@@ -0,0 +1,719 @@
+/**
+ * 异步任务服务
+ * 批量入库、同步与删除以后台任务执行，调用方提交后立即返回任务ID，通过状态接口查询进度
+ * 每个任务的状态、条目与失败记录保存在本地磁盘，每处理完一个分块写入检查点，服务重启后从最近的检查点继续
+ *
+ * 任务目录结构（MILVUS_CONFIG.JOBS.dir/<任务ID>/）：
+ *   job.json       任务状态与检查点（cursor 为已处理条目数，failuresSize 为检查点时 failures.jsonl 的字节数）
+ *   items.jsonl    任务条目，每行一条
+ *   failures.jsonl 失败条目，每行一条 { index, line, row_id, error, code }（line 为清单导入任务中的行号）
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { MILVUS_CONFIG, HTTP_CONFIG, CONCURRENCY_CONFIG } from '../../../config/shared.config.js';
+import metricsRegistry from '../../../utils/metrics.util.js';
+import ImageTypeUtils from '../../../utils/image-type.util.js';
+import milvusService from './milvus.service.js';
+import ServiceUtils from '../../../utils/service.util.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 默认任务目录（Backend/.cache/jobs）
+const DEFAULT_JOBS_DIR = path.join(__dirname, '..', '..', '..', '.cache', 'jobs');
+
+// 任务类型：ingest 批量入库（insert/upsert）、sync 仅插入不存在的条目、delete 批量删除
+const JOB_TYPES = ['ingest', 'sync', 'delete'];
+
+// 入库写入模式
+const INGEST_MODES = ['insert', 'upsert'];
+
+// 任务状态
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// 已结束的任务状态
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// 状态中保留的最近失败条目数（完整记录见 failures.jsonl）
+const RECENT_ERRORS_LIMIT = 20;
+
+// 分块整体失败（如 Milvus 暂时不可用）时的重试次数，仍失败则该分块条目记为失败，任务继续
+const CHUNK_RETRIES = 2;
+
+// 影响所有分块的错误（配置或集合问题），直接中止任务，修复后可继续
+const JOB_FATAL_CODES = ['DIMENSION_MISMATCH', 'SCHEMA_UNSUPPORTED'];
+
+/**
+ * 异步任务服务类
+ */
+class JobService {
+  /**
+   * @param {Object} [options] - 任务选项（默认取 MILVUS_CONFIG.JOBS）
+   */
+  constructor(options = {}) {
+    const config = { ...MILVUS_CONFIG.JOBS, ...options };
+
+    this.dir = config.dir || DEFAULT_JOBS_DIR;
+    this.maxConcurrentJobs = config.maxConcurrentJobs;
+    // 每个分块作为一次批量写入，不能超过批量写入最大条目数
+    this.chunkSize = Math.min(config.chunkSize, MILVUS_CONFIG.BATCH_WRITE.maxItems);
+    this.maxItems = config.maxItems;
+    this.retentionMs = config.retentionDays * 24 * 60 * 60 * 1000;
+
+    // 任务状态（任务ID → 状态对象，与 job.json 内容一致）
+    this.jobs = new Map();
+    // 等待运行的任务ID
+    this.queue = [];
+    // 运行中任务的控制信息（任务ID → { cancelRequested, startedAt, startCursor }）
+    this.running = new Map();
+    // 临时文件序号（同一任务的状态可能被并发写入）
+    this.writeSeq = 0;
+
+    const jobsGauge = metricsRegistry.gauge('database_jobs', '异步任务数（按状态）', ['status']);
+    metricsRegistry.registerCollector(() => {
+      const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+      for (const job of this.jobs.values()) {
+        counts[job.status]++;
+      }
+      for (const status of JOB_STATUSES) {
+        jobsGauge.set({ status }, counts[status]);
+      }
+    });
+  }
+
+  /**
+   * 启动任务服务：加载磁盘上的任务，清理过期任务，未结束的任务从检查点继续
+   * @param {Object} [options] - 启动选项
+   * @param {boolean} [options.resume=true] - 是否自动继续未结束的任务（为 false 时由调用方通过 resume 决定）
+   * @returns {Promise<void>}
+   */
+  async start(options = {}) {
+    const { resume = true } = options;
+
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const entries = await fs.readdir(this.dir, { withFileTypes: true });
+    const resumable = [];
+    let removed = 0;
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || this.jobs.has(entry.name)) {
+        continue;
+      }
+
+      let job;
+      try {
+        job = JSON.parse(await fs.readFile(this.getJobFile(entry.name), 'utf8'));
+      } catch (error) {
+        console.warn(`⚠️ 跳过无法读取的任务 ${entry.name}:`, error.message);
+        continue;
+      }
+
+      if (FINISHED_STATUSES.includes(job.status)) {
+        if (Date.now() - Date.parse(job.finishedAt) > this.retentionMs) {
+          await fs.rm(path.join(this.dir, entry.name), { recursive: true, force: true });
+          removed++;
+          continue;
+        }
+      } else {
+        // 运行中被中断的任务重新排队，从 cursor 继续
+        if (job.status === 'running') {
+          job.status = 'queued';
+          job.resumeCount++;
+        }
+        resumable.push(job);
+      }
+
+      this.jobs.set(job.id, job);
+    }
+
+    resumable.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const job of resumable) {
+      await this.saveJob(job);
+      if (resume) {
+        this.queue.push(job.id);
+      }
+    }
+
+    console.log(`📋 任务服务已启动: 已加载 ${this.jobs.size} 个任务，待继续 ${resumable.length} 个，清理过期 ${removed} 个`);
+    this.processQueue();
+  }
+
+  /**
+   * 提交任务
+   * @param {Object} params - 任务参数
+   * @param {string} params.type - 任务类型 ingest/sync/delete
+   * @param {Array<Object>} [params.items] - 条目数组 [{ rowId, imageInput, metadata }]（ingest/sync）
+   * @param {Array<string>} [params.rowIds] - 行ID数组（delete）
+   * @param {Object} [params.options] - 写入选项（mode insert/upsert、concurrency、tagAttributes、duplicateMode）
+   * @param {Object} [params.source] - 条目来源（如清单导入的 { type: 'manifest', path, format, size, mtimeMs }），随状态返回
+   * @returns {Promise<Object>} 任务状态
+   */
+  async submit({ type, items, rowIds, options = {}, source = null }) {
+    if (!JOB_TYPES.includes(type)) {
+      throw ServiceUtils.createError(`type 必须是 ${JOB_TYPES.join('/')} 之一`, 'INVALID_PARAMS');
+    }
+
+    const entries = type === 'delete' ? rowIds : items;
+    const entriesName = type === 'delete' ? 'rowIds' : 'items';
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw ServiceUtils.createError(`${entriesName} 参数必须是非空数组`, 'INVALID_PARAMS');
+    }
+    if (entries.length > this.maxItems) {
+      throw ServiceUtils.createError(`单个任务最多 ${this.maxItems} 条，当前 ${entries.length} 条`, 'INVALID_PARAMS');
+    }
+    if (type === 'delete' && entries.some(rowId => typeof rowId !== 'string' || rowId === '')) {
+      throw ServiceUtils.createError('rowIds 必须是非空字符串数组', 'INVALID_PARAMS');
+    }
+    // 本地图像路径只允许由清单导入（已校验路径范围）提交
+    if (source?.type !== 'manifest' && type !== 'delete' && entries.some(item => item?.imagePath !== undefined)) {
+      throw ServiceUtils.createError('imagePath 仅支持清单导入', 'INVALID_PARAMS');
+    }
+
+    const jobOptions = this.resolveJobOptions(type, options);
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      options: jobOptions,
+      source,
+      total: entries.length,
+      cursor: 0,
+      counts: { succeeded: 0, failed: 0, skipped: 0 },
+      recentErrors: [],
+      failuresSize: 0,
+      error: null,
+      resumeCount: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+
+    const jobDir = path.join(this.dir, job.id);
+    await fs.mkdir(jobDir, { recursive: true });
+    await fs.writeFile(
+      path.join(jobDir, 'items.jsonl'),
+      entries.map(entry => JSON.stringify(entry)).join('\n') + '\n'
+    );
+    await this.saveJob(job);
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    console.log(`📋 任务已提交: ${job.id}（${type}，${job.total} 条）`);
+
+    this.processQueue();
+    return this.getJob(job.id);
+  }
+
+  /**
+   * 校验并归一化任务的写入选项（清单导入在校验清单前调用，尽早发现参数错误）
+   * @param {string} type - 任务类型
+   * @param {Object} options - 写入选项
+   * @returns {Object} 归一化后的写入选项
+   */
+  resolveJobOptions(type, options) {
+    if (type === 'delete') {
+      return {};
+    }
+
+    const mode = type === 'sync' ? 'insert' : (options.mode ?? 'insert');
+    if (!INGEST_MODES.includes(mode)) {
+      throw ServiceUtils.createError(`mode 必须是 ${INGEST_MODES.join('/')} 之一`, 'INVALID_PARAMS');
+    }
+
+    let { concurrency } = options;
+    if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+      throw ServiceUtils.createError('concurrency 必须是正整数', 'INVALID_PARAMS');
+    }
+    // 特征提取任务由数据库并发控制器执行，超过其并发数量不会更快
+    if (concurrency > CONCURRENCY_CONFIG.DATABASE_MAX_CONCURRENCY) {
+      console.warn(`⚠️ concurrency ${concurrency} 超过数据库并发数量，按 ${CONCURRENCY_CONFIG.DATABASE_MAX_CONCURRENCY} 执行`);
+      concurrency = CONCURRENCY_CONFIG.DATABASE_MAX_CONCURRENCY;
+    }
+
+    // 提交时校验重复处理模式，避免任务运行后才失败
+    const duplicateMode = milvusService.resolveDuplicateMode(options);
+
+    return {
+      mode,
+      ...(concurrency !== undefined && { concurrency }),
+      tagAttributes: options.tagAttributes,
+      duplicateMode
+    };
+  }
+
+  /**
+   * 获取任务状态
+   * @param {string} id - 任务ID
+   * @returns {Object} 任务状态（含进度与预计剩余时间）
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw ServiceUtils.createError(`任务不存在: ${id}`, 'NOT_FOUND');
+    }
+
+    const control = this.running.get(id);
+    let etaSeconds = null;
+
+    // 按本次运行的处理速度估算剩余时间（重启后重新计算）
+    if (control && job.cursor > control.startCursor) {
+      const rate = (job.cursor - control.startCursor) / (Date.now() - control.startedAt);
+      etaSeconds = Math.ceil((job.total - job.cursor) / rate / 1000);
+    }
+
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      options: job.options,
+      source: job.source ?? null,
+      total: job.total,
+      processed: job.cursor,
+      ...job.counts,
+      progress: job.total > 0 ? Number((job.cursor / job.total).toFixed(4)) : 0,
+      etaSeconds,
+      cancelRequested: control?.cancelRequested ?? false,
+      error: job.error,
+      recentErrors: job.recentErrors,
+      resumeCount: job.resumeCount,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * 获取任务列表（按提交时间倒序，不含失败明细）
+   * @param {Object} [filters] - 过滤条件
+   * @param {string} [filters.status] - 任务状态
+   * @returns {Array<Object>} 任务状态列表
+   */
+  listJobs(filters = {}) {
+    if (filters.status !== undefined && !JOB_STATUSES.includes(filters.status)) {
+      throw ServiceUtils.createError(`status 必须是 ${JOB_STATUSES.join('/')} 之一`, 'INVALID_PARAMS');
+    }
+
+    return [...this.jobs.values()]
+      .filter(job => !filters.status || job.status === filters.status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(job => {
+        const { recentErrors, ...summary } = this.getJob(job.id);
+        return summary;
+      });
+  }
+
+  /**
+   * 取消任务（排队中的任务立即取消，运行中的任务在当前分块处理完成后停止）
+   * @param {string} id - 任务ID
+   * @returns {Promise<Object>} 任务状态
+   */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw ServiceUtils.createError(`任务不存在: ${id}`, 'NOT_FOUND');
+    }
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw ServiceUtils.createError(`任务已结束（${job.status}），无法取消`, 'JOB_FINISHED');
+    }
+
+    const control = this.running.get(id);
+    if (control) {
+      control.cancelRequested = true;
+      console.log(`🛑 任务取消中: ${id}（等待当前分块完成）`);
+    } else {
+      this.queue = this.queue.filter(queuedId => queuedId !== id);
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      job.updatedAt = job.finishedAt;
+      await this.saveJob(job);
+      console.log(`🛑 任务已取消: ${id}`);
+    }
+
+    return this.getJob(id);
+  }
+
+  /**
+   * 继续任务（已取消、失败或重启后未自动继续的任务从检查点重新排队）
+   * @param {string} id - 任务ID
+   * @returns {Promise<Object>} 任务状态
+   */
+  async resume(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw ServiceUtils.createError(`任务不存在: ${id}`, 'NOT_FOUND');
+    }
+
+    const waiting = job.status === 'queued' && !this.queue.includes(id);
+    if (!waiting && !['failed', 'cancelled'].includes(job.status)) {
+      throw ServiceUtils.createError(`任务状态为 ${job.status}，无法继续`, 'JOB_NOT_RESUMABLE');
+    }
+
+    // 中断前最后一个分块可能已部分写入，按恢复处理
+    if (!waiting) {
+      job.resumeCount++;
+    }
+    job.status = 'queued';
+    job.error = null;
+    job.finishedAt = null;
+    job.updatedAt = new Date().toISOString();
+    await this.saveJob(job);
+
+    this.queue.push(id);
+    console.log(`🔁 任务已重新排队: ${id}（从第 ${job.cursor} 条继续）`);
+
+    this.processQueue();
+    return this.getJob(id);
+  }
+
+  /**
+   * 获取任务失败记录文件路径
+   * @param {string} id - 任务ID
+   * @returns {string} failures.jsonl 路径（任务无失败条目时文件不存在）
+   */
+  getFailuresFile(id) {
+    if (!this.jobs.has(id)) {
+      throw ServiceUtils.createError(`任务不存在: ${id}`, 'NOT_FOUND');
+    }
+    return path.join(this.dir, id, 'failures.jsonl');
+  }
+
+  /**
+   * 启动排队中的任务（不超过最大并发任务数）
+   * @private
+   */
+  processQueue() {
+    while (this.running.size < this.maxConcurrentJobs && this.queue.length > 0) {
+      const id = this.queue.shift();
+      const job = this.jobs.get(id);
+      const control = { cancelRequested: false, startedAt: Date.now(), startCursor: job.cursor };
+
+      this.running.set(id, control);
+      this.runJob(job, control)
+        .catch(error => console.error(`❌ 任务 ${id} 状态保存失败:`, error.message))
+        .finally(() => {
+          this.running.delete(id);
+          this.processQueue();
+        });
+    }
+  }
+
+  /**
+   * 运行任务：从检查点开始逐块处理，每块完成后保存检查点
+   * @param {Object} job - 任务状态
+   * @param {Object} control - 运行控制信息
+   * @returns {Promise<void>}
+   * @private
+   */
+  async runJob(job, control) {
+    const now = new Date().toISOString();
+    job.status = 'running';
+    job.startedAt = job.startedAt || now;
+    job.updatedAt = now;
+    await this.saveJob(job);
+
+    console.log(`▶️ 任务开始运行: ${job.id}（${job.type}，从第 ${job.cursor} 条开始，共 ${job.total} 条）`);
+
+    // 中断前最后一个分块可能已部分写入，恢复后的首个插入分块跳过已存在的行
+    let verifyExisting = job.resumeCount > 0;
+
+    try {
+      // 丢弃上次检查点之后追加的失败记录（对应的分块会重新处理）
+      await this.truncateFailures(job);
+
+      for await (const chunk of this.readChunks(job)) {
+        if (control.cancelRequested) {
+          break;
+        }
+
+        const results = await this.processChunkWithRetry(job, chunk, verifyExisting, control);
+        verifyExisting = false;
+
+        await this.recordResults(job, chunk, results);
+        job.cursor += chunk.length;
+        job.updatedAt = new Date().toISOString();
+        await this.saveJob(job);
+      }
+
+      job.status = control.cancelRequested ? 'cancelled' : 'completed';
+    } catch (error) {
+      const cause = ServiceUtils.unwrapTaskError(error);
+      job.status = 'failed';
+      job.error = { message: cause.message, ...(cause.code && { code: cause.code }) };
+      console.error(`❌ 任务失败: ${job.id}`, cause.message);
+    }
+
+    job.finishedAt = new Date().toISOString();
+    job.updatedAt = job.finishedAt;
+    await this.saveJob(job);
+
+    const { succeeded, failed, skipped } = job.counts;
+    console.log(`🏁 任务结束: ${job.id}（${job.status}），成功 ${succeeded}，失败 ${failed}，跳过 ${skipped}`);
+  }
+
+  /**
+   * 从检查点开始按分块读取任务条目
+   * @param {Object} job - 任务状态
+   * @returns {AsyncGenerator<Array>} 条目分块
+   * @private
+   */
+  async *readChunks(job) {
+    const lines = readline.createInterface({
+      input: createReadStream(path.join(this.dir, job.id, 'items.jsonl'), 'utf8'),
+      crlfDelay: Infinity
+    });
+
+    let index = 0;
+    let chunk = [];
+
+    try {
+      for await (const line of lines) {
+        if (line === '') {
+          continue;
+        }
+        if (index++ < job.cursor) {
+          continue;
+        }
+
+        chunk.push(JSON.parse(line));
+        if (chunk.length >= this.chunkSize) {
+          yield chunk;
+          chunk = [];
+        }
+      }
+
+      if (chunk.length > 0) {
+        yield chunk;
+      }
+    } finally {
+      lines.close();
+    }
+  }
+
+  /**
+   * 处理一个分块，分块整体失败时重试，重试后仍失败则该分块条目全部记为失败（配置或集合错误直接中止任务）
+   * @param {Object} job - 任务状态
+   * @param {Array} chunk - 条目分块
+   * @param {boolean} verifyExisting - 是否跳过集合中已存在的行
+   * @param {Object} control - 运行控制信息
+   * @returns {Promise<Array<Object>>} 逐条结果
+   * @private
+   */
+  async processChunkWithRetry(job, chunk, verifyExisting, control) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // 插入分块失败时可能已部分写入，重试时跳过已存在的行
+        return await this.processChunk(job, chunk, verifyExisting || attempt > 0);
+      } catch (error) {
+        const cause = ServiceUtils.unwrapTaskError(error);
+        if (JOB_FATAL_CODES.includes(cause.code)) {
+          throw error;
+        }
+
+        if (attempt < CHUNK_RETRIES && cause.retryable !== false && !control.cancelRequested) {
+          console.warn(`⚠️ 任务 ${job.id} 分块处理失败，${attempt + 1}/${CHUNK_RETRIES} 次重试: ${cause.message}`);
+          await new Promise(resolve => setTimeout(resolve, CONCURRENCY_CONFIG.DEFAULT_RETRY_DELAY * 2 ** attempt));
+          continue;
+        }
+
+        console.error(`❌ 任务 ${job.id} 分块处理失败，${chunk.length} 条记为失败: ${cause.message}`);
+        return chunk.map((item, offset) => ({
+          offset,
+          row_id: job.type === 'delete' ? item : (item?.rowId ?? null),
+          success: false,
+          error: cause.message,
+          ...(cause.code && { code: cause.code })
+        }));
+      }
+    }
+  }
+
+  /**
+   * 处理一个分块
+   * @param {Object} job - 任务状态
+   * @param {Array} chunk - 条目分块
+   * @param {boolean} verifyExisting - 是否跳过集合中已存在的行（sync 任务始终跳过）
+   * @returns {Promise<Array<Object>>} 逐条结果 [{ offset, row_id, success, skipped, error, code }]
+   * @private
+   */
+  async processChunk(job, chunk, verifyExisting) {
+    if (job.type === 'delete') {
+      await milvusService.batchDeleteImageVectors(chunk);
+      return chunk.map((rowId, offset) => ({ offset, row_id: rowId, success: true }));
+    }
+
+    const { mode, ...writeOptions } = job.options;
+    const results = new Array(chunk.length);
+    let pending = chunk.map((item, offset) => ({ item, offset }));
+
+    if (job.type === 'sync' || (mode === 'insert' && verifyExisting)) {
+      const rowIds = pending
+        .map(({ item }) => item?.rowId)
+        .filter(rowId => typeof rowId === 'string' && rowId !== '');
+      const existing = await milvusService.findExistingRowIds([...new Set(rowIds)]);
+
+      pending = pending.filter(({ item, offset }) => {
+        if (!existing.has(item?.rowId)) {
+          return true;
+        }
+        results[offset] = { offset, row_id: item.rowId, success: true, skipped: true };
+        return false;
+      });
+    }
+
+    pending = await this.loadImageFiles(pending, results);
+
+    if (pending.length > 0) {
+      const { data } = await milvusService.batchWriteImageVectors(
+        mode,
+        pending.map(({ item }) => item),
+        writeOptions
+      );
+
+      for (const result of data.results) {
+        const { offset } = pending[result.index];
+        results[offset] = { ...result, offset };
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 读取本地图像文件（清单导入的 imagePath 条目），读取失败的条目直接记为失败
+   * @param {Array<Object>} pending - 待写入条目 [{ item, offset }]
+   * @param {Array<Object>} results - 逐条结果（记录读取失败）
+   * @returns {Promise<Array<Object>>} 可写入的条目，imagePath 已替换为 imageInput（Blob）
+   * @private
+   */
+  async loadImageFiles(pending, results) {
+    const loaded = await Promise.all(pending.map(async ({ item, offset }) => {
+      if (!item?.imagePath) {
+        return { item, offset };
+      }
+
+      try {
+        const { size } = await fs.stat(item.imagePath);
+        if (size > HTTP_CONFIG.UPLOAD_MAX_BYTES) {
+          throw new Error(`图像文件超过 ${HTTP_CONFIG.UPLOAD_MAX_BYTES} 字节`);
+        }
+
+        const buffer = await fs.readFile(item.imagePath);
+        const type = ImageTypeUtils.sniff(buffer);
+        if (!type) {
+          throw new Error('无法识别的图像格式');
+        }
+
+        const { imagePath, ...rest } = item;
+        return { item: { ...rest, imageInput: new Blob([buffer], { type }) }, offset };
+      } catch (error) {
+        results[offset] = { offset, row_id: item.rowId, success: false, error: `读取图像文件失败: ${error.message}` };
+        return null;
+      }
+    }));
+
+    return loaded.filter(Boolean);
+  }
+
+  /**
+   * 累计分块结果，失败条目追加到 failures.jsonl
+   * @param {Object} job - 任务状态
+   * @param {Array} chunk - 条目分块
+   * @param {Array<Object>} results - 逐条结果
+   * @returns {Promise<void>}
+   * @private
+   */
+  async recordResults(job, chunk, results) {
+    const failures = [];
+
+    for (const result of results) {
+      if (result.skipped) {
+        job.counts.skipped++;
+      } else if (result.success) {
+        job.counts.succeeded++;
+      } else {
+        job.counts.failed++;
+        failures.push({
+          index: job.cursor + result.offset,
+          ...(chunk[result.offset]?.line && { line: chunk[result.offset].line }),
+          row_id: result.row_id,
+          error: result.error,
+          ...(result.code && { code: result.code })
+        });
+      }
+    }
+
+    if (failures.length === 0) {
+      return;
+    }
+
+    // 失败记录先于检查点写入，failuresSize 随检查点保存，中断后由 truncateFailures 截掉未提交的部分
+    const content = failures.map(failure => JSON.stringify(failure)).join('\n') + '\n';
+    job.recentErrors = [...job.recentErrors, ...failures].slice(-RECENT_ERRORS_LIMIT);
+    await fs.appendFile(this.getFailuresFile(job.id), content);
+    job.failuresSize = (job.failuresSize ?? 0) + Buffer.byteLength(content);
+  }
+
+  /**
+   * 将 failures.jsonl 截断到上次检查点的长度（检查点之后的分块会重新处理，避免重复记录）
+   * @param {Object} job - 任务状态
+   * @returns {Promise<void>}
+   * @private
+   */
+  async truncateFailures(job) {
+    if (job.failuresSize === undefined) {
+      return;
+    }
+
+    try {
+      const { size } = await fs.stat(this.getFailuresFile(job.id));
+      if (size > job.failuresSize) {
+        await fs.truncate(this.getFailuresFile(job.id), job.failuresSize);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * 获取任务状态文件路径
+   * @param {string} id - 任务ID
+   * @returns {string} 状态文件路径
+   * @private
+   */
+  getJobFile(id) {
+    return path.join(this.dir, id, 'job.json');
+  }
+
+  /**
+   * 保存任务状态（先写临时文件再重命名，避免中断时留下不完整的文件）
+   * @param {Object} job - 任务状态
+   * @returns {Promise<void>}
+   * @private
+   */
+  async saveJob(job) {
+    const filePath = this.getJobFile(job.id);
+    const tempPath = `${filePath}.${process.pid}.${++this.writeSeq}.tmp`;
+
+    await fs.writeFile(tempPath, JSON.stringify(job, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+}
+
+// 创建单例实例
+const jobService = new JobService();
+
+export { JobService };
+export default jobService;
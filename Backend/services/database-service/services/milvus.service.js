@@ -3,10 +3,26 @@
  * 处理向量数据库操作，集成嵌入服务调用
  */
 
-import { MilvusClient } from '@zilliz/milvus2-sdk-node';
-import { MILVUS_CONFIG, CONCURRENCY_CONFIG, HTTP_CONFIG } from '../../../config/shared.config.js';
-import { ConcurrencyController } from '../../../utils/concurrency.util.js';
+import { MilvusClient, ConsistencyLevelEnum } from '@zilliz/milvus2-sdk-node';
+import { MILVUS_CONFIG, CONCURRENCY_CONFIG, HTTP_CONFIG, EMBEDDING_CONFIG } from '../../../config/shared.config.js';
+import { ConcurrencyController, ConcurrencyUtils } from '../../../utils/concurrency.util.js';
 import { HttpClient } from '../../../utils/http.util.js';
+import { PerceptualHashUtils } from '../../../utils/perceptual-hash.util.js';
+import { MilvusFilterCompiler } from '../../../utils/milvus-filter.util.js';
+import metricsRegistry from '../../../utils/metrics.util.js';
+import ServiceUtils from '../../../utils/service.util.js';
+
+// 重复图像处理模式
+const DEDUP_MODES = ['off', 'flag', 'link', 'reject'];
+
+// 查询关联重复图像时的最大返回数量
+const LINKED_DUPLICATES_LIMIT = 100;
+
+// 维度校验未通过（或未能校验）时，写入前重新校验的最短间隔(ms)
+const DIMENSION_RECHECK_INTERVAL = 30000;
+
+// 重复检测锁的键（近似重复的图像内容哈希不同，无法按内容分组加锁，开启重复检测的写入共用同一个键）
+const DUPLICATE_CHECK_LOCK_KEY = 'duplicate-check';
 
 /**
  * Milvus 数据库服务类
@@ -16,6 +32,19 @@ class MilvusService {
     this.client = null;
     this.isConnected = false;
     this.isInitialized = false;
+
+    // 集合现有字段名（用于判断属性字段是否可用）
+    this.collectionFields = new Set();
+
+    // 集合向量字段维度与维度一致性校验结果
+    this.collectionDimension = null;
+    this.dimensionCheck = { status: 'unknown', checkedAt: 0 };
+    
+    // 过滤表达式编译器（所有 Milvus 过滤表达式均由其生成）
+    this.filterCompiler = new MilvusFilterCompiler(this.getFilterableFields());
+
+    // 重复检测锁（开启重复检测的写入依次完成检测与写入）
+    this.duplicateCheckLock = ConcurrencyUtils.createKeyedLock();
     
     // 创建并发控制器
     this.concurrencyController = new ConcurrencyController({
@@ -29,7 +58,8 @@ class MilvusService {
       baseURL: HTTP_CONFIG.EMBEDDING_SERVICE_URL,
       timeout: HTTP_CONFIG.REQUEST_TIMEOUT,
       retries: HTTP_CONFIG.REQUEST_RETRIES,
-      retryDelay: HTTP_CONFIG.REQUEST_RETRY_DELAY
+      retryDelay: HTTP_CONFIG.REQUEST_RETRY_DELAY,
+      maxRetryAfter: HTTP_CONFIG.REQUEST_MAX_RETRY_AFTER
     });
 
     // 启动并发控制器
@@ -43,6 +73,20 @@ class MilvusService {
     this.concurrencyController.on('taskFailed', (result) => {
       console.error(`❌ 数据库任务失败: ${result.error.message}`);
     });
+
+    // 注册指标
+    this.milvusDuration = metricsRegistry.histogram(
+      'milvus_operation_duration_seconds',
+      'Milvus 调用耗时（秒）',
+      ['operation', 'status']
+    );
+    this.batchItems = metricsRegistry.counter(
+      'milvus_batch_items_total',
+      '批量写入条目数',
+      ['operation', 'result']
+    );
+    metricsRegistry.registerConcurrencyController('database', this.concurrencyController);
+    metricsRegistry.registerHttpClient('embedding-service', this.httpClient);
   }
 
   /**
@@ -59,6 +103,9 @@ class MilvusService {
       
       // 确保集合存在
       await this.ensureCollection();
+
+      // 校验模型输出维度、配置维度与集合维度是否一致（不一致时拒绝写入，但不阻止启动）
+      await this.verifyDimensions();
       
       this.isInitialized = true;
       console.log('✅ 数据库服务初始化完成');
@@ -75,12 +122,12 @@ class MilvusService {
     if (this.isConnected) return;
 
     try {
-      this.client = new MilvusClient({
+      this.client = this.instrumentClient(new MilvusClient({
         address: `${MILVUS_CONFIG.HOST}:${MILVUS_CONFIG.PORT}`,
         database: 'default',
         username: MILVUS_CONFIG.USERNAME,
         password: MILVUS_CONFIG.PASSWORD
-      });
+      }));
 
       // 测试连接
       await this.client.checkHealth();
@@ -93,6 +140,39 @@ class MilvusService {
     }
   }
 
+  /**
+   * 包装 Milvus 客户端，按操作记录调用耗时
+   * 返回状态码非 Success 的响应同样记为失败
+   * @param {MilvusClient} client - Milvus 客户端
+   * @returns {MilvusClient} 代理后的客户端
+   * @private
+   */
+  instrumentClient(client) {
+    const milvusDuration = this.milvusDuration;
+
+    return new Proxy(client, {
+      get(target, property) {
+        const value = Reflect.get(target, property, target);
+        if (typeof value !== 'function' || typeof property !== 'string') {
+          return value;
+        }
+
+        return async (...args) => {
+          const endTimer = milvusDuration.startTimer({ operation: property });
+          try {
+            const result = await value.apply(target, args);
+            const errorCode = result?.status?.error_code ?? result?.error_code;
+            endTimer({ status: errorCode && errorCode !== 'Success' ? 'error' : 'success' });
+            return result;
+          } catch (error) {
+            endTimer({ status: 'error' });
+            throw error;
+          }
+        };
+      }
+    });
+  }
+
   /**
    * 确保集合存在
    */
@@ -116,6 +196,9 @@ class MilvusService {
             collection_name: MILVUS_CONFIG.COLLECTION_NAME
           });
         }
+
+        // 旧集合补充属性与去重字段
+        await this.ensureScalarFields();
       }
     } catch (error) {
       console.error('❌ 确保集合存在失败:', error.message);
@@ -143,30 +226,788 @@ class MilvusService {
             name: 'image_vector',
             data_type: 'FloatVector',
             dim: MILVUS_CONFIG.VECTOR_DIMENSION
-          }
+          },
+          ...this.getScalarFieldSchemas()
         ]
       };
 
-      await this.client.createCollection(schema);
+      await this.client.createCollection(schema);
+      this.collectionFields = new Set(schema.fields.map(field => field.name));
+      this.collectionDimension = MILVUS_CONFIG.VECTOR_DIMENSION;
+
+      // 创建HNSW索引
+      await this.client.createIndex({
+        collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+        field_name: 'image_vector',
+        index_type: 'HNSW',
+        metric_type: 'L2',
+        params: {
+          M: 16,
+          efConstruction: 200
+        }
+      });
+
+      // 加载集合到内存
+      await this.client.loadCollection({
+        collection_name: MILVUS_CONFIG.COLLECTION_NAME
+      });
+    } catch (error) {
+      console.error('❌ 集合创建失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取属性标量字段定义（每个属性对应标签字段与分数字段，均可为空）
+   * @returns {Array<Object>} 字段定义
+   */
+  getAttributeFieldSchemas() {
+    const { ATTRIBUTES, maxLength } = MILVUS_CONFIG.ATTRIBUTE_TAGGING;
+
+    return Object.keys(ATTRIBUTES).flatMap(attribute => [
+      {
+        name: attribute,
+        data_type: 'VarChar',
+        max_length: maxLength,
+        nullable: true
+      },
+      {
+        name: `${attribute}_score`,
+        data_type: 'Float',
+        nullable: true
+      }
+    ]);
+  }
+
+  /**
+   * 获取去重标量字段定义（内容哈希、感知哈希与重复关联，均可为空）
+   * @returns {Array<Object>} 字段定义
+   */
+  getDedupFieldSchemas() {
+    return [
+      { name: 'content_hash', data_type: 'VarChar', max_length: 64, nullable: true },
+      { name: 'phash', data_type: 'VarChar', max_length: 16, nullable: true },
+      { name: 'dhash', data_type: 'VarChar', max_length: 16, nullable: true },
+      { name: 'duplicate_of', data_type: 'VarChar', max_length: 36, nullable: true },
+      { name: 'duplicate_status', data_type: 'VarChar', max_length: 16, nullable: true }
+    ];
+  }
+
+  /**
+   * 获取元数据标量字段定义（按 METADATA.FIELDS 配置，均可为空）
+   * @returns {Array<Object>} 字段定义
+   */
+  getMetadataFieldSchemas() {
+    return Object.entries(MILVUS_CONFIG.METADATA.FIELDS).map(([name, definition]) => ({
+      name,
+      data_type: definition.type,
+      ...(definition.type === 'VarChar' && { max_length: definition.maxLength }),
+      nullable: true
+    }));
+  }
+
+  /**
+   * 获取全部可空标量字段定义
+   * @returns {Array<Object>} 字段定义
+   */
+  getScalarFieldSchemas() {
+    return [...this.getAttributeFieldSchemas(), ...this.getDedupFieldSchemas(), ...this.getMetadataFieldSchemas()];
+  }
+
+  /**
+   * 确保已有集合包含属性、去重与元数据字段（缺失时通过 addCollectionField 补充），并记录向量字段维度
+   * 补充失败时仅记录警告，依赖这些字段的请求会返回明确错误
+   */
+  async ensureScalarFields() {
+    const description = await this.client.describeCollection({
+      collection_name: MILVUS_CONFIG.COLLECTION_NAME
+    });
+    const fields = description.schema?.fields || [];
+    this.collectionFields = new Set(fields.map(field => field.name));
+    this.collectionDimension = this.getVectorFieldDimension(fields);
+
+    const missingFields = this.getScalarFieldSchemas()
+      .filter(field => !this.collectionFields.has(field.name));
+
+    for (const field of missingFields) {
+      try {
+        await this.client.addCollectionField({
+          collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+          field
+        });
+        this.collectionFields.add(field.name);
+        console.log(`✅ 集合已添加字段: ${field.name}`);
+      } catch (error) {
+        console.warn(`⚠️ 添加字段 ${field.name} 失败: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 读取向量字段维度
+   * @param {Array<Object>} fields - describeCollection 返回的字段列表
+   * @returns {number|null} 维度，未找到时返回 null
+   */
+  getVectorFieldDimension(fields) {
+    const vectorField = fields.find(field => field.name === 'image_vector');
+    const dim = vectorField?.dim ?? vectorField?.type_params?.find(param => param.key === 'dim')?.value;
+    return dim ? Number(dim) : null;
+  }
+
+  /**
+   * 校验嵌入模型输出维度、配置维度（VECTOR_DIMENSION）与集合向量字段维度是否一致
+   * 嵌入服务不可用时记为 unverified，写入前会按间隔重新校验
+   * @returns {Promise<Object>} 校验结果
+   */
+  async verifyDimensions() {
+    const configured = MILVUS_CONFIG.VECTOR_DIMENSION;
+    const collection = this.collectionDimension;
+    const expected = collection ?? configured;
+    const problems = [];
+    let model = null;
+    let modelName = null;
+    let modelVerified = false;
+    let modelError = null;
+
+    try {
+      const response = await this.httpClient.get('/api/v1/embedding/models', { retries: 0 });
+      const { defaultModel, models = [] } = response.data?.data || {};
+      const modelInfo = models.find(item => item.name === defaultModel);
+      modelName = defaultModel;
+      model = modelInfo?.dimension ?? null;
+      modelVerified = Boolean(modelInfo?.dimensionVerified);
+    } catch (error) {
+      modelError = error.message;
+    }
+
+    if (collection !== null && collection !== configured) {
+      problems.push(`集合 ${MILVUS_CONFIG.COLLECTION_NAME} 的向量字段维度为 ${collection}，与配置 MILVUS_VECTOR_DIMENSION=${configured} 不一致`);
+    }
+    if (model !== null && model !== expected) {
+      problems.push(`嵌入模型 ${modelName} 的输出维度为 ${model}，与集合向量字段维度 ${expected} 不一致`);
+    }
+
+    this.dimensionCheck = {
+      status: problems.length > 0 ? 'mismatch' : (model === null ? 'unverified' : 'ok'),
+      configured,
+      collection,
+      model,
+      modelName,
+      modelVerified,
+      checkedAt: Date.now(),
+      ...(problems.length > 0 && { diagnostic: problems.join('；') }),
+      ...(modelError && { modelError })
+    };
+
+    if (this.dimensionCheck.status === 'mismatch') {
+      console.error(`❌ 向量维度不一致，写入已禁用: ${this.dimensionCheck.diagnostic}`);
+      console.error('💡 请确认 EMBEDDING_DEFAULT_MODEL 与 MILVUS_VECTOR_DIMENSION；模型维度变化时需要新建集合');
+    } else if (this.dimensionCheck.status === 'unverified') {
+      console.warn(`⚠️ 无法获取嵌入模型维度，稍后写入时重新校验: ${modelError || '模型未报告维度'}`);
+    }
+
+    return this.dimensionCheck;
+  }
+
+  /**
+   * 写入前确认维度一致（未通过的校验结果超过间隔后重新校验）
+   * @throws {Error} 维度不一致时抛出 DIMENSION_MISMATCH
+   */
+  async assertDimensionsCompatible() {
+    if (this.dimensionCheck.status !== 'ok' && Date.now() - this.dimensionCheck.checkedAt >= DIMENSION_RECHECK_INTERVAL) {
+      await this.verifyDimensions();
+    }
+
+    if (this.dimensionCheck.status === 'mismatch') {
+      throw ServiceUtils.createError(`向量维度不一致，拒绝写入: ${this.dimensionCheck.diagnostic}`, 'DIMENSION_MISMATCH', this.getDimensionStatus());
+    }
+  }
+
+  /**
+   * 确认特征向量维度与集合一致（嵌入服务运行期间切换模型时在此发现）
+   * @param {Array<number>} features - 特征向量
+   * @param {Object} [options] - 校验选项
+   * @param {boolean} [options.blockWrites=true] - 不一致时是否在重新校验前拒绝后续写入（搜索路径只拒绝当前请求）
+   * @throws {Error} 维度不一致时抛出 DIMENSION_MISMATCH
+   */
+  assertVectorDimension(features, { blockWrites = true } = {}) {
+    const expected = this.collectionDimension ?? MILVUS_CONFIG.VECTOR_DIMENSION;
+    if (features.length === expected) {
+      return;
+    }
+
+    const diagnostic = `嵌入服务返回的向量维度为 ${features.length}，与集合向量字段维度 ${expected} 不一致`;
+    if (!blockWrites) {
+      console.warn(`⚠️ ${diagnostic}，已拒绝本次搜索`);
+      throw ServiceUtils.createError(`向量维度不一致: ${diagnostic}`, 'DIMENSION_MISMATCH', {
+        ...this.getDimensionStatus(),
+        model: features.length,
+        diagnostic
+      });
+    }
+
+    this.dimensionCheck = {
+      ...this.dimensionCheck,
+      status: 'mismatch',
+      model: features.length,
+      checkedAt: Date.now(),
+      diagnostic
+    };
+    console.error(`❌ ${this.dimensionCheck.diagnostic}`);
+
+    throw ServiceUtils.createError(`向量维度不一致: ${this.dimensionCheck.diagnostic}`, 'DIMENSION_MISMATCH', this.getDimensionStatus());
+  }
+
+  /**
+   * 获取维度校验状态
+   * @returns {Object} 校验结果（不含内部时间戳）
+   */
+  getDimensionStatus() {
+    const { checkedAt, ...status } = this.dimensionCheck;
+    return {
+      ...status,
+      checkedAt: checkedAt ? new Date(checkedAt).toISOString() : null
+    };
+  }
+
+  /**
+   * 检查集合是否包含全部属性字段
+   * @returns {boolean} 是否可存储属性
+   */
+  hasAttributeFields() {
+    return this.getAttributeFieldSchemas().every(field => this.collectionFields.has(field.name));
+  }
+
+  /**
+   * 检查集合是否包含全部去重字段
+   * @returns {boolean} 是否可存储图像哈希
+   */
+  hasDedupFields() {
+    return this.getDedupFieldSchemas().every(field => this.collectionFields.has(field.name));
+  }
+
+  /**
+   * 获取集合中已有的元数据字段名
+   * @returns {Array<string>} 字段名列表
+   */
+  getAvailableMetadataFields() {
+    return Object.keys(MILVUS_CONFIG.METADATA.FIELDS).filter(field => this.collectionFields.has(field));
+  }
+
+  /**
+   * 获取搜索默认返回字段（row_id 及可用的属性字段、元数据字段）
+   * @returns {Array<string>} 字段名列表
+   */
+  getDefaultOutputFields() {
+    const attributeFields = this.hasAttributeFields()
+      ? this.getAttributeFieldSchemas().map(field => field.name)
+      : [];
+    return ['row_id', ...attributeFields, ...this.getAvailableMetadataFields()];
+  }
+
+  /**
+   * 解析搜索返回字段（未指定时使用默认返回字段，row_id 始终返回）
+   * @param {Array<string>} [outputFields] - 返回字段
+   * @returns {Array<string>} 字段名列表
+   * @throws {Error} 字段不存在时抛出 INVALID_PARAMS
+   */
+  resolveOutputFields(outputFields) {
+    if (outputFields === undefined || outputFields === null) {
+      return this.getDefaultOutputFields();
+    }
+
+    if (!Array.isArray(outputFields) || outputFields.some(field => typeof field !== 'string')) {
+      throw ServiceUtils.createError('outputFields 必须是字段名数组', 'INVALID_PARAMS');
+    }
+
+    const allowedFields = new Set(this.getScalarFieldSchemas().map(field => field.name));
+    const unknownField = outputFields.find(field =>
+      field !== 'row_id' && (!allowedFields.has(field) || !this.collectionFields.has(field))
+    );
+    if (unknownField !== undefined) {
+      throw ServiceUtils.createError(`不支持的返回字段: ${unknownField}`, 'INVALID_PARAMS');
+    }
+
+    return [...new Set(['row_id', ...outputFields])];
+  }
+
+  /**
+   * 校验并转换写入的元数据（未提供的字段不写入，即为空值）
+   * @param {Object} [metadata] - 元数据，如 { product_id: 'P1001', price: 199, in_stock: true }
+   * @returns {Object} 元数据字段值
+   * @throws {Error} 字段未定义或取值不合法时抛出 INVALID_PARAMS，集合缺少字段时抛出 SCHEMA_UNSUPPORTED
+   */
+  normalizeMetadata(metadata) {
+    if (metadata === undefined || metadata === null) {
+      return {};
+    }
+
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw ServiceUtils.createError('metadata 必须是对象', 'INVALID_PARAMS');
+    }
+
+    const { FIELDS } = MILVUS_CONFIG.METADATA;
+    const values = {};
+
+    for (const [field, value] of Object.entries(metadata)) {
+      if (!Object.prototype.hasOwnProperty.call(FIELDS, field)) {
+        throw ServiceUtils.createError(`不支持的元数据字段: ${field}`, 'INVALID_PARAMS');
+      }
+      if (!this.collectionFields.has(field)) {
+        throw ServiceUtils.createError(`集合缺少元数据字段 ${field}（请升级 Milvus 或重建集合）`, 'SCHEMA_UNSUPPORTED');
+      }
+      values[field] = value === null ? null : this.coerceMetadataValue(field, FIELDS[field], value);
+    }
+
+    return values;
+  }
+
+  /**
+   * 按字段类型校验并转换元数据取值
+   * @param {string} field - 字段名
+   * @param {Object} definition - 字段定义
+   * @param {any} value - 取值
+   * @returns {string|number|boolean|Object} 转换后的取值
+   * @throws {Error} 取值不合法时抛出 INVALID_PARAMS
+   * @private
+   */
+  coerceMetadataValue(field, definition, value) {
+    const invalid = (reason) => ServiceUtils.createError(`元数据字段 ${field} ${reason}`, 'INVALID_PARAMS');
+
+    switch (definition.type) {
+      case 'VarChar': {
+        if (typeof value !== 'string' && !(typeof value === 'number' && Number.isFinite(value))) {
+          throw invalid('必须是字符串');
+        }
+        const text = String(value);
+        if (text.length > definition.maxLength) {
+          throw invalid(`长度不能超过 ${definition.maxLength}`);
+        }
+        return text;
+      }
+      case 'Int64': {
+        const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+        if (!Number.isSafeInteger(number)) {
+          throw invalid('必须是整数');
+        }
+        return number;
+      }
+      case 'Double': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          throw invalid('必须是数字');
+        }
+        return number;
+      }
+      case 'Bool': {
+        if (value === 'true' || value === 'false') {
+          return value === 'true';
+        }
+        if (typeof value !== 'boolean') {
+          throw invalid('必须是布尔值');
+        }
+        return value;
+      }
+      case 'JSON': {
+        if (typeof value !== 'object') {
+          throw invalid('必须是对象或数组');
+        }
+        if (Buffer.byteLength(JSON.stringify(value)) > MILVUS_CONFIG.METADATA.maxJsonBytes) {
+          throw invalid(`序列化后不能超过 ${MILVUS_CONFIG.METADATA.maxJsonBytes} 字节`);
+        }
+        return value;
+      }
+      default:
+        throw invalid(`类型 ${definition.type} 不受支持`);
+    }
+  }
+
+  /**
+   * 获取可过滤字段定义（row_id 及全部标量字段）
+   * @returns {Object} { 字段名: { type } }
+   */
+  getFilterableFields() {
+    const { ATTRIBUTES } = MILVUS_CONFIG.ATTRIBUTE_TAGGING;
+    const fields = { row_id: { type: 'VarChar' } };
+
+    for (const schema of this.getScalarFieldSchemas()) {
+      fields[schema.name] = {
+        type: schema.data_type,
+        ...(schema.max_length && { maxLength: schema.max_length })
+      };
+    }
+
+    // 属性字段只会写入标签集中的标签名
+    for (const [attribute, labelSet] of Object.entries(ATTRIBUTES)) {
+      const labels = EMBEDDING_CONFIG.CLASSIFICATION.LABEL_SETS[labelSet]?.labels;
+      if (labels) {
+        fields[attribute].values = labels.map(label => label.name);
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * 编译过滤条件为模板表达式
+   * @param {Object} filter - 过滤条件节点（见 MilvusFilterCompiler）
+   * @returns {Object} { filter, exprValues }，可直接展开到 query/search/deleteEntities 参数
+   * @throws {Error} 条件不合法时抛出 INVALID_FILTER，集合缺少字段时抛出 SCHEMA_UNSUPPORTED
+   */
+  compileFilter(filter) {
+    const { expr, exprValues, fields } = this.filterCompiler.compile(filter);
+
+    const missingField = [...fields].find(field => !this.collectionFields.has(field));
+    if (missingField !== undefined) {
+      throw ServiceUtils.createError(`集合缺少字段 ${missingField}，无法按该字段过滤（请升级 Milvus 或重建集合）`, 'SCHEMA_UNSUPPORTED');
+    }
+
+    return { filter: expr, exprValues };
+  }
+
+  /**
+   * 编译搜索过滤条件（字段映射简写 filters 与结构化条件 filter 按「且」合并）
+   * @param {Object} [filters] - 简写条件，如 { category: '连衣裙', shop_id: 'S01', price: { lte: 300 } }
+   * @param {Object} [filter] - 结构化条件，如 { or: [{ field: 'brand', eq: 'A' }, { field: 'extras.material', eq: 'cotton' }] }
+   * @returns {Object|null} { filter, exprValues }，无条件时返回 null
+   */
+  buildSearchFilter(filters, filter) {
+    const nodes = [];
+
+    if (filters !== undefined && filters !== null) {
+      const node = MilvusFilterCompiler.fromFieldMap(filters);
+      if (node) {
+        nodes.push(node);
+      }
+    }
+    if (filter !== undefined && filter !== null) {
+      nodes.push(filter);
+    }
+
+    if (nodes.length === 0) {
+      return null;
+    }
+    return this.compileFilter(nodes.length === 1 ? nodes[0] : { and: nodes });
+  }
+
+  /**
+   * 判断本次写入是否需要属性打标
+   * @param {Object} options - 写入选项
+   * @returns {boolean} 是否打标
+   */
+  shouldTagAttributes(options = {}) {
+    return options.tagAttributes ?? MILVUS_CONFIG.ATTRIBUTE_TAGGING.enabled;
+  }
+
+  /**
+   * 解析本次写入的重复处理模式
+   * @param {Object} options - 写入选项
+   * @returns {string} 重复处理模式
+   */
+  resolveDuplicateMode(options = {}) {
+    const mode = options.duplicateMode ?? MILVUS_CONFIG.DEDUP.mode;
+    if (!DEDUP_MODES.includes(mode)) {
+      throw ServiceUtils.createError(`不支持的重复处理模式: ${mode}`, 'INVALID_PARAMS');
+    }
+    return mode;
+  }
+
+  /**
+   * 提取特征、属性打标，构建写入集合的行数据（重复检测由 resolveRowDuplicates 在重复检测锁内完成）
+   * @param {string} rowId - 行ID
+   * @param {string|Blob} imageInput - 图像输入
+   * @param {Object} options - 写入选项（tagAttributes、duplicateMode、metadata 已校验的元数据）
+   * @returns {Promise<Object>} { row, summary, duplicateMode, features, hashes }，summary 为响应中附加的打标与重复检测结果
+   */
+  async prepareImageRow(rowId, imageInput, options = {}) {
+    const duplicateMode = this.resolveDuplicateMode(options);
+    const storeHashes = this.hasDedupFields();
+
+    if (duplicateMode !== 'off' && !storeHashes) {
+      throw ServiceUtils.createError('集合缺少去重字段，无法进行重复检测（请升级 Milvus 或重建集合）', 'SCHEMA_UNSUPPORTED');
+    }
+
+    // 调用嵌入服务提取特征（同时计算图像哈希）
+    const { features, hashes } = await this.requestImageExtraction(imageInput, { includeHashes: storeHashes });
+    this.assertVectorDimension(features);
+    const attributes = this.shouldTagAttributes(options) ? await this.tagImageAttributes(imageInput) : null;
+
+    const row = {
+      row_id: rowId,
+      image_vector: features,
+      ...attributes,
+      ...options.metadata
+    };
+
+    if (storeHashes && hashes) {
+      row.content_hash = hashes.contentHash;
+      row.phash = hashes.phash;
+      row.dhash = hashes.dhash;
+    }
+
+    const summary = {
+      dimension: features.length,
+      ...(attributes && { attributes })
+    };
+
+    return { row, summary, duplicateMode, features, hashes };
+  }
+
+  /**
+   * 对已准备的行数据进行重复检测（reject 模式下重复时抛出错误，flag/link 模式下标记行数据）
+   * 需在 withDuplicateCheckLock 内调用，使相同或相似内容的检测与写入不会交错
+   * @param {Object} prepared - prepareImageRow 的结果
+   * @returns {Promise<void>}
+   * @throws {Error} reject 模式下发现重复时抛出 DUPLICATE_IMAGE
+   */
+  async resolveRowDuplicates(prepared) {
+    const { row, summary, duplicateMode, features, hashes } = prepared;
+    if (duplicateMode === 'off') {
+      return;
+    }
+
+    const duplicates = await this.findDuplicates(row.row_id, features, hashes);
+    if (duplicates.length === 0) {
+      return;
+    }
+
+    if (duplicateMode === 'reject') {
+      throw ServiceUtils.createError(`图像与已有数据重复: ${duplicates[0].row_id}`, 'DUPLICATE_IMAGE', { row_id: row.row_id, duplicates });
+    }
+
+    // 关联到最相似图像所属的原始图像，避免形成关联链
+    row.duplicate_of = duplicates[0].duplicate_of || duplicates[0].row_id;
+    row.duplicate_status = duplicateMode === 'link' ? 'linked' : 'flagged';
+
+    summary.duplicateStatus = row.duplicate_status;
+    summary.duplicateOf = row.duplicate_of;
+    summary.duplicates = duplicates;
+  }
+
+  /**
+   * 持有重复检测锁执行任务（开启重复检测的并发写入依次完成检测与写入，后写入者能检测到先写入的完全重复与近似重复）
+   * 锁只在当前进程内生效；任务内不能再等待并发控制器的空闲槽位，否则可能与等待锁的任务互相等待
+   * @param {Array<Object>} prepared - prepareImageRow 的结果
+   * @param {Function} task - 任务函数
+   * @returns {Promise<any>} 任务结果
+   */
+  async withDuplicateCheckLock(prepared, task) {
+    const checked = prepared.some(item => item.duplicateMode !== 'off');
+    return checked ? this.duplicateCheckLock.run([DUPLICATE_CHECK_LOCK_KEY], task) : task();
+  }
+
+  /**
+   * 计算两张图像的感知哈希距离（pHash 与 dHash 汉明距离的较小值）
+   * @param {Object|null} hashes - 图像哈希 { phash, dhash }
+   * @param {Object|null} candidate - 候选图像哈希 { phash, dhash }
+   * @returns {number} 汉明距离（缺少哈希时为 Infinity）
+   * @private
+   */
+  getHammingDistance(hashes, candidate) {
+    if (!hashes || !candidate) {
+      return Infinity;
+    }
+
+    return Math.min(
+      PerceptualHashUtils.hammingDistance(hashes.phash, candidate.phash),
+      PerceptualHashUtils.hammingDistance(hashes.dhash, candidate.dhash)
+    );
+  }
+
+  /**
+   * 计算两个向量的 L2 距离（与 Milvus L2 度量一致，为欧氏距离的平方）
+   * @param {Array<number>} a - 向量 A
+   * @param {Array<number>} b - 向量 B
+   * @returns {number} L2 距离
+   * @private
+   */
+  getVectorDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      distance += (a[i] - b[i]) ** 2;
+    }
+    return distance;
+  }
+
+  /**
+   * 判断是否为近似重复（汉明距离或向量距离不超过阈值）
+   * @param {number} hammingDistance - 感知哈希汉明距离
+   * @param {number} vectorDistance - 向量 L2 距离
+   * @returns {boolean} 是否近似重复
+   * @private
+   */
+  isNearDuplicate(hammingDistance, vectorDistance) {
+    const { maxHammingDistance, maxVectorDistance } = MILVUS_CONFIG.DEDUP;
+    return hammingDistance <= maxHammingDistance || (maxVectorDistance > 0 && vectorDistance <= maxVectorDistance);
+  }
+
+  /**
+   * 重复数据排序（完全重复在前，其余按汉明距离、向量距离升序）
+   * @param {Object} a - 重复数据 A
+   * @param {Object} b - 重复数据 B
+   * @returns {number} 比较结果
+   * @private
+   */
+  compareDuplicates(a, b) {
+    return (a.hammingDistance ?? Infinity) - (b.hammingDistance ?? Infinity) ||
+      (a.vectorDistance ?? Infinity) - (b.vectorDistance ?? Infinity);
+  }
+
+  /**
+   * 查找与给定图像重复的已有数据
+   * 完全重复：内容哈希相同；近似重复：按向量相似度召回候选，pHash/dHash 汉明距离或向量距离不超过阈值
+   * @param {string} rowId - 当前行ID（结果中排除）
+   * @param {Array<number>} features - 特征向量
+   * @param {Object|null} hashes - 图像哈希 { contentHash, phash, dhash }
+   * @returns {Promise<Array<Object>>} 重复数据列表（完全重复在前，其余按汉明距离升序）
+   */
+  async findDuplicates(rowId, features, hashes) {
+    const { candidateLimit } = MILVUS_CONFIG.DEDUP;
+    const matches = new Map();
+
+    // 1. 完全重复
+    if (hashes?.contentHash) {
+      // 强一致性读取，能看到刚写入的相同内容
+      const exact = await this.client.query({
+        collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+        ...this.compileFilter({ field: 'content_hash', eq: hashes.contentHash }),
+        output_fields: ['row_id', 'duplicate_of'],
+        limit: candidateLimit,
+        consistency_level: ConsistencyLevelEnum.Strong
+      });
+
+      for (const item of exact.data || []) {
+        if (item.row_id !== rowId) {
+          matches.set(item.row_id, {
+            row_id: item.row_id,
+            duplicate_of: item.duplicate_of ?? null,
+            match: 'exact',
+            hammingDistance: 0,
+            vectorDistance: null
+          });
+        }
+      }
+    }
+
+    // 2. 近似重复（强一致性检索，能看到刚写入的相似内容）
+    const near = await this.client.search({
+      collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+      vector: features,
+      limit: candidateLimit + 1,
+      output_fields: ['row_id', 'phash', 'dhash', 'duplicate_of'],
+      metric_type: 'L2',
+      consistency_level: ConsistencyLevelEnum.Strong
+    });
+
+    for (const item of near.results || []) {
+      if (item.row_id === rowId) {
+        continue;
+      }
+
+      if (matches.has(item.row_id)) {
+        matches.get(item.row_id).vectorDistance = item.score;
+        continue;
+      }
+
+      const hammingDistance = this.getHammingDistance(hashes, item);
+      if (this.isNearDuplicate(hammingDistance, item.score)) {
+        matches.set(item.row_id, {
+          row_id: item.row_id,
+          duplicate_of: item.duplicate_of ?? null,
+          match: 'near',
+          hammingDistance: Number.isFinite(hammingDistance) ? hammingDistance : null,
+          vectorDistance: item.score
+        });
+      }
+    }
+
+    return [...matches.values()].sort((a, b) => this.compareDuplicates(a, b));
+  }
+
+  /**
+   * 整行覆盖前沿用未重新打标的行的已有属性标签（upsert 未打标时不清空已打的标签）
+   * @param {Array<Object>} rows - 待写入的行数据（直接补充属性字段）
+   * @returns {Promise<void>}
+   */
+  async preserveAttributeTags(rows) {
+    if (!this.hasAttributeFields()) {
+      return;
+    }
+
+    const attributeFields = this.getAttributeFieldSchemas().map(field => field.name);
+    const untagged = rows.filter(row => !attributeFields.some(field => row[field] !== undefined));
+    if (untagged.length === 0) {
+      return;
+    }
+
+    const existing = await this.client.query({
+      collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+      ...this.compileFilter({ field: 'row_id', in: untagged.map(row => row.row_id) }),
+      output_fields: ['row_id', ...attributeFields],
+      limit: untagged.length,
+      consistency_level: ConsistencyLevelEnum.Strong
+    });
+
+    const records = new Map((existing.data || []).map(item => [item.row_id, item]));
+    for (const row of untagged) {
+      const record = records.get(row.row_id);
+      for (const field of attributeFields) {
+        if (record?.[field] !== undefined && record[field] !== null) {
+          row[field] = record[field];
+        }
+      }
+    }
+  }
+
+  /**
+   * 调用嵌入服务零样本分类，得到各属性的最高分标签
+   * @param {string|Blob} imageInput - 图像输入
+   * @returns {Promise<Object>} 属性字段值，如 { category: '连衣裙', category_score: 0.82 }
+   */
+  async tagImageAttributes(imageInput) {
+    if (!this.hasAttributeFields()) {
+      throw new Error('集合缺少属性字段，无法存储属性标签（请升级 Milvus 或重建集合）');
+    }
+
+    const { ATTRIBUTES } = MILVUS_CONFIG.ATTRIBUTE_TAGGING;
+    const labelSets = Object.values(ATTRIBUTES);
+
+    try {
+      let response;
+
+      if (imageInput instanceof Blob) {
+        const query = new URLSearchParams({ labelSet: labelSets.join(','), topK: '1' });
+        response = await this.httpClient.post(`/api/v1/embedding/classify?${query}`, imageInput, {
+          headers: {
+            'Content-Type': imageInput.type || 'image/jpeg'
+          }
+        });
+      } else if (typeof imageInput === 'string') {
+        response = await this.httpClient.post('/api/v1/embedding/classify', {
+          imageInput,
+          labelSet: labelSets,
+          topK: 1
+        });
+      } else {
+        throw new Error(`不支持的图像输入类型: ${typeof imageInput}`);
+      }
+
+      if (!response.success) {
+        throw new Error(`嵌入服务调用失败: ${response.message}`);
+      }
 
-      // 创建HNSW索引
-      await this.client.createIndex({
-        collection_name: MILVUS_CONFIG.COLLECTION_NAME,
-        field_name: 'image_vector',
-        index_type: 'HNSW',
-        metric_type: 'L2',
-        params: {
-          M: 16,
-          efConstruction: 200
-        }
-      });
+      const predictions = response.data.data.predictions;
+      const attributes = {};
 
-      // 加载集合到内存
-      await this.client.loadCollection({
-        collection_name: MILVUS_CONFIG.COLLECTION_NAME
-      });
+      for (const [attribute, labelSet] of Object.entries(ATTRIBUTES)) {
+        const top = predictions.find(prediction => prediction.labelSet === labelSet)?.labels?.[0];
+        attributes[attribute] = top ? top.label : null;
+        attributes[`${attribute}_score`] = top ? top.score : null;
+      }
+
+      return attributes;
     } catch (error) {
-      console.error('❌ 集合创建失败:', error.message);
+      console.error('❌ 属性打标失败:', error.message);
       throw error;
     }
   }
@@ -177,31 +1018,34 @@ class MilvusService {
    * @returns {Promise<Array>} 特征向量
    */
   async callEmbeddingService(imageInput) {
-    let isBlobInput = false;
-    let blobSize = 0;
-    
+    const { features } = await this.requestImageExtraction(imageInput);
+    return features;
+  }
+
+  /**
+   * 调用嵌入服务提取图像特征（可同时获取图像哈希）
+   * @param {string|Blob} imageInput - 图像输入
+   * @param {Object} [options] - 提取选项
+   * @param {boolean} [options.includeHashes=false] - 是否返回内容哈希与感知哈希
+   * @returns {Promise<Object>} 嵌入服务返回的数据 { features, dimension, hashes, ... }
+   */
+  async requestImageExtraction(imageInput, options = {}) {
     try {
       let response;
       
       // 根据输入类型选择不同的接口
       if (imageInput instanceof Blob) {
-        isBlobInput = true;
-        blobSize = imageInput.size;
-        
-        // 将Blob对象转换为可以通过HTTP传递的格式
-        const arrayBuffer = await imageInput.arrayBuffer();
-        const uint8Array = new Uint8Array(arrayBuffer);
-        const blobData = {
-          data: Array.from(uint8Array),
-          type: imageInput.type || 'image/jpeg'
-        };
-        
-        response = await this.httpClient.post('/api/v1/embedding/extract/blob', {
-          imageBlob: blobData
+        // 以原始二进制请求体发送，避免 JSON 字节数组编码带来的体积膨胀
+        const query = options.includeHashes ? '?includeHashes=true' : '';
+        response = await this.httpClient.post(`/api/v1/embedding/extract/blob${query}`, imageInput, {
+          headers: {
+            'Content-Type': imageInput.type || 'image/jpeg'
+          }
         });
       } else if (typeof imageInput === 'string') {
         response = await this.httpClient.post('/api/v1/embedding/extract', {
-          imageInput
+          imageInput,
+          ...(options.includeHashes && { includeHashes: true })
         });
       } else {
         throw new Error(`不支持的图像输入类型: ${typeof imageInput}`);
@@ -211,7 +1055,7 @@ class MilvusService {
         throw new Error(`嵌入服务调用失败: ${response.message}`);
       }
 
-      return response.data.data.features;
+      return response.data.data;
     } catch (error) {
       console.error('❌ 嵌入服务调用失败:', error.message);
       throw error;
@@ -220,36 +1064,70 @@ class MilvusService {
     }
   }
 
+  /**
+   * 调用嵌入服务提取文本特征
+   * @param {string} text - 查询文本
+   * @returns {Promise<Array>} 特征向量
+   */
+  async callTextEmbeddingService(text) {
+    try {
+      const response = await this.httpClient.post('/api/v1/embedding/extract/text', {
+        text
+      });
+
+      if (!response.success) {
+        throw new Error(`嵌入服务调用失败: ${response.message}`);
+      }
+
+      return response.data.data.features;
+    } catch (error) {
+      console.error('❌ 文本嵌入服务调用失败:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * 插入图像向量（使用并发控制）
    * @param {string} rowId - 行ID
    * @param {string|Blob} imageInput - 图像输入
+   * @param {Object} [options] - 写入选项
+   * @param {boolean} [options.tagAttributes] - 是否属性打标（默认取 ATTRIBUTE_TAGGING.enabled）
+   * @param {string} [options.duplicateMode] - 重复处理模式 off/flag/link/reject（默认取 DEDUP.mode）
+   * @param {Object} [options.metadata] - 元数据（字段见 METADATA.FIELDS）
    * @returns {Promise<Object>} 插入结果
    */
-  async insertImageVector(rowId, imageInput) {
+  async insertImageVector(rowId, imageInput, options = {}) {
     // 确保服务已初始化
     await this.autoInitialize();
 
+    // 维度不一致时拒绝写入
+    await this.assertDimensionsCompatible();
+
+    // 在入队前校验元数据，参数错误不进入重试
+    const writeOptions = { ...options, metadata: this.normalizeMetadata(options.metadata) };
+
     const taskConfig = {
       id: `insert-${rowId}`,
       task: async () => {
-        // 调用嵌入服务提取特征
-        const features = await this.callEmbeddingService(imageInput);
+        // 提取特征并完成打标
+        const prepared = await this.prepareImageRow(rowId, imageInput, writeOptions);
+        const { row, summary } = prepared;
 
-        // 插入向量到数据库
-        const result = await this.client.insert({
-          collection_name: MILVUS_CONFIG.COLLECTION_NAME,
-          data: [{
-            row_id: rowId,
-            image_vector: features
-          }]
+        // 重复检测与插入在重复检测锁内完成
+        await this.withDuplicateCheckLock([prepared], async () => {
+          await this.resolveRowDuplicates(prepared);
+          await this.client.insert({
+            collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+            data: [row]
+          });
         });
 
         return {
           success: true,
           data: {
             row_id: rowId,
-            insert_count: "1"
+            insert_count: "1",
+            ...summary
           },
           message: '图像向量插入成功'
         };
@@ -266,32 +1144,45 @@ class MilvusService {
    * 更新图像向量（使用并发控制）
    * @param {string} rowId - 行ID
    * @param {string|Blob} imageInput - 图像输入
+   * @param {Object} [options] - 写入选项
+   * @param {boolean} [options.tagAttributes] - 是否属性打标（默认取 ATTRIBUTE_TAGGING.enabled）
+   * @param {string} [options.duplicateMode] - 重复处理模式 off/flag/link/reject（默认取 DEDUP.mode）
+   * @param {Object} [options.metadata] - 元数据（整行覆盖，未提供的字段更新为空值）
    * @returns {Promise<Object>} 更新结果
    */
-  async updateImageVector(rowId, imageInput) {
+  async updateImageVector(rowId, imageInput, options = {}) {
     // 确保服务已初始化
     await this.autoInitialize();
 
+    // 维度不一致时拒绝写入
+    await this.assertDimensionsCompatible();
+
+    // 在入队前校验元数据，参数错误不进入重试
+    const writeOptions = { ...options, metadata: this.normalizeMetadata(options.metadata) };
+
     const taskConfig = {
       id: `update-${rowId}`,
       task: async () => {
-        // 调用嵌入服务提取特征
-        const features = await this.callEmbeddingService(imageInput);
+        // 提取特征并完成打标
+        const prepared = await this.prepareImageRow(rowId, imageInput, writeOptions);
+        const { row, summary } = prepared;
 
-        // 更新向量到数据库
-        const result = await this.client.upsert({
-          collection_name: MILVUS_CONFIG.COLLECTION_NAME,
-          data: [{
-            row_id: rowId,
-            image_vector: features
-          }]
+        // 重复检测与更新在重复检测锁内完成
+        await this.withDuplicateCheckLock([prepared], async () => {
+          await this.resolveRowDuplicates(prepared);
+          await this.preserveAttributeTags([row]);
+          await this.client.upsert({
+            collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+            data: [row]
+          });
         });
 
         return {
           success: true,
           data: {
             row_id: rowId,
-            upsert_count: "1"
+            upsert_count: "1",
+            ...summary
           },
           message: '图像向量更新成功'
         };
@@ -308,21 +1199,33 @@ class MilvusService {
    * 同步图像向量（检查是否存在，不存在则插入）
    * @param {string} rowId - 行ID
    * @param {string|Blob} imageInput - 图像输入
+   * @param {Object} [options] - 写入选项
+   * @param {boolean} [options.tagAttributes] - 是否属性打标（默认取 ATTRIBUTE_TAGGING.enabled）
+   * @param {string} [options.duplicateMode] - 重复处理模式 off/flag/link/reject（默认取 DEDUP.mode）
+   * @param {Object} [options.metadata] - 元数据（字段见 METADATA.FIELDS）
    * @returns {Promise<Object>} 同步结果
    */
-  async syncImageVector(rowId, imageInput) {
+  async syncImageVector(rowId, imageInput, options = {}) {
     // 确保服务已初始化
     await this.autoInitialize();
 
+    // 维度不一致时拒绝写入
+    await this.assertDimensionsCompatible();
+
+    // 在入队前校验元数据，参数错误不进入重试
+    const writeOptions = { ...options, metadata: this.normalizeMetadata(options.metadata) };
+
     const taskConfig = {
       id: `sync-${rowId}`,
       task: async () => {
         try {
           // 1. 先检查数据库中是否已存在该 rowId
-          const existingData = await this.client.get({
+          // 不使用 get({ ids })：SDK 以字符串拼接生成主键表达式，未转义引号
+          const existingData = await this.client.query({
             collection_name: MILVUS_CONFIG.COLLECTION_NAME,
-            ids: [rowId],
-            output_fields: ['row_id']
+            ...this.compileFilter({ field: 'row_id', eq: rowId }),
+            output_fields: ['row_id'],
+            limit: 1
           });
 
           // 检查是否已存在数据
@@ -340,16 +1243,17 @@ class MilvusService {
             };
           }
 
-          // 2. 如果不存在，调用嵌入服务提取特征
-          const features = await this.callEmbeddingService(imageInput);
+          // 2. 如果不存在，提取特征并完成打标
+          const prepared = await this.prepareImageRow(rowId, imageInput, writeOptions);
+          const { summary } = prepared;
 
-          // 3. 插入向量到数据库
-          const result = await this.client.insert({
-            collection_name: MILVUS_CONFIG.COLLECTION_NAME,
-            data: [{
-              row_id: rowId,
-              image_vector: features
-            }]
+          // 3. 重复检测与插入在重复检测锁内完成
+          await this.withDuplicateCheckLock([prepared], async () => {
+            await this.resolveRowDuplicates(prepared);
+            await this.client.insert({
+              collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+              data: [prepared.row]
+            });
           });
 
           return {
@@ -358,7 +1262,7 @@ class MilvusService {
               row_id: rowId,
               action: 'inserted',
               insert_count: "1",
-              dimension: features.length
+              ...summary
             },
             message: '图像向量同步成功'
           };
@@ -376,6 +1280,352 @@ class MilvusService {
     return await this.concurrencyController.addTask(taskConfig);
   }
 
+  /**
+   * 批量插入图像向量（并发提取特征，分块多行写入，逐条返回结果）
+   * @param {Array<Object>} items - 条目 [{ rowId, imageInput, metadata }]
+   * @param {Object} [options] - 写入选项（tagAttributes、duplicateMode，对全部条目生效）
+   * @returns {Promise<Object>} 批量写入结果
+   */
+  async batchInsertImageVectors(items, options = {}) {
+    return this.batchWriteImageVectors('insert', items, options);
+  }
+
+  /**
+   * 批量更新图像向量（整行覆盖，不存在时插入）
+   * @param {Array<Object>} items - 条目 [{ rowId, imageInput, metadata }]
+   * @param {Object} [options] - 写入选项（tagAttributes、duplicateMode，对全部条目生效）
+   * @returns {Promise<Object>} 批量写入结果
+   */
+  async batchUpsertImageVectors(items, options = {}) {
+    return this.batchWriteImageVectors('upsert', items, options);
+  }
+
+  /**
+   * 批量写入图像向量
+   * 按 chunkSize 分块：块内以 BATCH_WRITE.concurrency 并发提取特征（每条作为独立任务进入并发控制器），
+   * 处理批次内内容相同的条目后，以一次多行 insert/upsert 写入成功条目；单条或单块失败只记入该条目结果，不回滚已写入的数据
+   * @param {string} operation - 写入方式 insert/upsert
+   * @param {Array<Object>} items - 条目 [{ rowId, imageInput, metadata }]
+   * @param {Object} [options] - 写入选项（concurrency 可覆盖 BATCH_WRITE.concurrency）
+   * @returns {Promise<Object>} { success, data: { results, total, successCount, failedCount }, message }
+   */
+  async batchWriteImageVectors(operation, items, options = {}) {
+    const { maxItems, chunkSize } = MILVUS_CONFIG.BATCH_WRITE;
+    // 特征提取任务进入数据库并发控制器，并发数不超过其并发数量
+    const concurrency = Math.min(
+      options.concurrency || MILVUS_CONFIG.BATCH_WRITE.concurrency,
+      CONCURRENCY_CONFIG.DATABASE_MAX_CONCURRENCY
+    );
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw ServiceUtils.createError('items 参数必须是非空数组', 'INVALID_PARAMS');
+    }
+    if (items.length > maxItems) {
+      throw ServiceUtils.createError(`单次批量写入最多 ${maxItems} 条`, 'INVALID_PARAMS');
+    }
+
+    // 确保服务已初始化
+    await this.autoInitialize();
+
+    // 维度不一致时拒绝写入
+    await this.assertDimensionsCompatible();
+
+    // 批次级参数错误直接拒绝整个请求
+    this.resolveDuplicateMode(options);
+
+    const results = new Array(items.length);
+    const pending = [];
+    const seenRowIds = new Set();
+    // 本批次已写入（或正在写入）的内容哈希 → 行ID，用于检测批次内重复（刚写入的行不一定能被查询到）
+    const batchHashes = new Map();
+
+    // 1. 逐条校验参数
+    items.forEach((item, index) => {
+      try {
+        const { rowId, imageInput, metadata } = item || {};
+        if (!rowId || typeof rowId !== 'string' || !imageInput) {
+          throw ServiceUtils.createError('rowId（字符串）和 imageInput 参数是必需的', 'INVALID_PARAMS');
+        }
+        if (seenRowIds.has(rowId)) {
+          throw ServiceUtils.createError(`批次内行ID重复: ${rowId}`, 'INVALID_PARAMS');
+        }
+        seenRowIds.add(rowId);
+
+        pending.push({
+          index,
+          rowId,
+          imageInput,
+          writeOptions: { ...options, metadata: this.normalizeMetadata(metadata) }
+        });
+      } catch (error) {
+        results[index] = this.buildBatchFailure(index, item?.rowId, error);
+      }
+    });
+
+    // 2. 分块提取特征并写入
+    for (let start = 0; start < pending.length; start += chunkSize) {
+      const chunk = pending.slice(start, start + chunkSize);
+
+      const prepared = await ConcurrencyUtils.limitConcurrency(chunk.map(entry => async () => {
+        try {
+          const { data: prepared } = await this.concurrencyController.addTask({
+            id: `batch-${operation}-${entry.rowId}`,
+            task: () => this.prepareImageRow(entry.rowId, entry.imageInput, entry.writeOptions),
+            priority: 1,
+            retries: CONCURRENCY_CONFIG.DEFAULT_RETRIES,
+            timeout: CONCURRENCY_CONFIG.DEFAULT_TIMEOUT
+          });
+          return { entry, ...prepared };
+        } catch (error) {
+          results[entry.index] = this.buildBatchFailure(entry.index, entry.rowId, error);
+          return null;
+        }
+      }), concurrency);
+
+      const ready = prepared.filter(Boolean);
+      if (ready.length > 0) {
+        await this.writeBatchChunk(operation, ready, results, batchHashes);
+
+        // 写入失败的条目不再作为批次内重复的原始图像
+        for (const { entry, row } of ready) {
+          if (!results[entry.index].success && batchHashes.get(row.content_hash)?.row_id === entry.rowId) {
+            batchHashes.delete(row.content_hash);
+          }
+        }
+      }
+    }
+
+    const successCount = results.filter(item => item.success).length;
+    this.batchItems.inc({ operation, result: 'success' }, successCount);
+    this.batchItems.inc({ operation, result: 'failed' }, results.length - successCount);
+
+    return {
+      success: true,
+      data: {
+        results,
+        total: results.length,
+        successCount,
+        failedCount: results.length - successCount
+      },
+      message: `批量${operation === 'insert' ? '插入' : '更新'}完成`
+    };
+  }
+
+  /**
+   * 处理批次内的重复（集合检索看不到同一块中尚未写入的行）
+   * 完全重复按本批次已接受的内容哈希比对；近似重复与本块中已接受的条目比对 pHash/dHash 与向量距离
+   * 首次出现的图像作为原始图像，后续重复的条目按重复处理模式拒绝或关联到该图像
+   * @param {Array<Object>} ready - 已准备的条目 [{ entry, row, summary, duplicateMode, features, hashes }]（按输入顺序）
+   * @param {Map<string, Object>} batchHashes - 本批次已接受的内容哈希 → { row_id, duplicate_of }
+   * @param {Array<Object>} results - 逐条结果（被拒绝的条目写入失败结果）
+   * @returns {Array<Object>} 需要写入的条目
+   * @private
+   */
+  applyBatchDuplicates(ready, batchHashes, results) {
+    // 本块中已接受的条目（之前的块已写入集合，由 findDuplicates 检出）
+    const accepted = [];
+
+    return ready.filter(({ entry, row, summary, duplicateMode, features, hashes }) => {
+      if (duplicateMode === 'off') {
+        return true;
+      }
+
+      const match = this.findBatchDuplicate(entry, row, features, hashes, batchHashes, accepted);
+      if (!match) {
+        if (row.content_hash) {
+          batchHashes.set(row.content_hash, { row_id: entry.rowId, duplicate_of: row.duplicate_of ?? null });
+        }
+        accepted.push({ row_id: entry.rowId, duplicate_of: row.duplicate_of ?? null, features, hashes });
+        return true;
+      }
+
+      if (duplicateMode === 'reject') {
+        results[entry.index] = this.buildBatchFailure(entry.index, entry.rowId, ServiceUtils.createError(
+          `图像与批次内条目重复: ${match.row_id}`, 'DUPLICATE_IMAGE', { row_id: entry.rowId, duplicates: [match] }
+        ));
+        return false;
+      }
+
+      // 与单条写入一致，关联到原始图像所属的原始图像
+      row.duplicate_of = match.duplicate_of || match.row_id;
+      row.duplicate_status = duplicateMode === 'link' ? 'linked' : 'flagged';
+      summary.duplicateStatus = row.duplicate_status;
+      summary.duplicateOf = row.duplicate_of;
+      summary.duplicates = [match, ...(summary.duplicates || []).filter(item => item.row_id !== match.row_id)]
+        .sort((a, b) => this.compareDuplicates(a, b));
+      return true;
+    });
+  }
+
+  /**
+   * 查找条目在本批次中的原始图像
+   * @param {Object} entry - 批量条目
+   * @param {Object} row - 行数据
+   * @param {Array<number>} features - 特征向量
+   * @param {Object|null} hashes - 图像哈希 { contentHash, phash, dhash }
+   * @param {Map<string, Object>} batchHashes - 本批次已接受的内容哈希
+   * @param {Array<Object>} accepted - 本块中已接受的条目 [{ row_id, duplicate_of, features, hashes }]
+   * @returns {Object|null} 重复数据（完全重复优先，否则为最相似的近似重复），无重复时返回 null
+   * @private
+   */
+  findBatchDuplicate(entry, row, features, hashes, batchHashes, accepted) {
+    // 写入重试时本条目可能已登记为原始图像
+    const original = row.content_hash ? batchHashes.get(row.content_hash) : undefined;
+    if (original && original.row_id !== entry.rowId) {
+      return {
+        row_id: original.row_id,
+        duplicate_of: original.duplicate_of,
+        match: 'exact',
+        hammingDistance: 0,
+        vectorDistance: null
+      };
+    }
+
+    let nearest = null;
+    for (const candidate of accepted) {
+      const hammingDistance = this.getHammingDistance(hashes, candidate.hashes);
+      const vectorDistance = this.getVectorDistance(features, candidate.features);
+      if (!this.isNearDuplicate(hammingDistance, vectorDistance)) {
+        continue;
+      }
+
+      const match = {
+        row_id: candidate.row_id,
+        duplicate_of: candidate.duplicate_of,
+        match: 'near',
+        hammingDistance: Number.isFinite(hammingDistance) ? hammingDistance : null,
+        vectorDistance
+      };
+      if (!nearest || this.compareDuplicates(match, nearest) < 0) {
+        nearest = match;
+      }
+    }
+
+    return nearest;
+  }
+
+  /**
+   * 在重复检测锁内完成一块条目的重复检测，再以一次多行写入保存，并记录逐条结果
+   * @param {string} operation - 写入方式 insert/upsert
+   * @param {Array<Object>} ready - 已准备的条目 [{ entry, ...prepareImageRow 的结果 }]
+   * @param {Array<Object>} results - 逐条结果（按输入下标写入）
+   * @param {Map<string, Object>} batchHashes - 本批次已接受的内容哈希
+   * @private
+   */
+  async writeBatchChunk(operation, ready, results, batchHashes) {
+    let writing = ready;
+
+    try {
+      const { data: response } = await this.concurrencyController.addTask({
+        id: `batch-${operation}-write-${ready[0].entry.rowId}`,
+        task: () => this.withDuplicateCheckLock(ready, async () => {
+          // 1. 与集合中已有数据比对（重复被拒绝的条目只记入该条目结果）
+          const checked = [];
+          for (const item of ready) {
+            try {
+              await this.resolveRowDuplicates(item);
+              checked.push(item);
+            } catch (error) {
+              if (error.code !== 'DUPLICATE_IMAGE') {
+                throw error;
+              }
+              results[item.entry.index] = this.buildBatchFailure(item.entry.index, item.entry.rowId, error);
+            }
+          }
+
+          // 2. 与本批次中先出现的条目比对
+          writing = this.applyBatchDuplicates(checked, batchHashes, results);
+          if (writing.length === 0) {
+            return null;
+          }
+
+          if (operation === 'upsert') {
+            await this.preserveAttributeTags(writing.map(item => item.row));
+          }
+
+          const result = await this.client[operation]({
+            collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+            data: writing.map(item => item.row)
+          });
+
+          const errorCode = result?.status?.error_code;
+          if (errorCode && errorCode !== 'Success') {
+            throw new Error(`Milvus ${operation} 失败: ${result.status.reason || errorCode}`);
+          }
+          return result;
+        }),
+        priority: 1,
+        // insert 不是幂等操作（超时后重试可能重复写入同一批行），只有 upsert 允许重试
+        retries: operation === 'upsert' ? CONCURRENCY_CONFIG.DEFAULT_RETRIES : 0,
+        timeout: CONCURRENCY_CONFIG.DEFAULT_TIMEOUT
+      });
+
+      // Milvus 可能只拒绝块内部分行（err_index 为写入行的下标）
+      const failedIndexes = new Set(response?.err_index || []);
+      writing.forEach(({ entry, summary }, chunkIndex) => {
+        results[entry.index] = failedIndexes.has(chunkIndex)
+          ? this.buildBatchFailure(entry.index, entry.rowId, new Error('Milvus 拒绝写入该行'))
+          : { index: entry.index, row_id: entry.rowId, success: true, ...summary };
+      });
+    } catch (error) {
+      // 已因重复被拒绝的条目保留其结果
+      for (const { entry } of writing) {
+        results[entry.index] ??= this.buildBatchFailure(entry.index, entry.rowId, error);
+      }
+    }
+  }
+
+  /**
+   * 构建批量写入的单条失败结果
+   * @param {number} index - 输入下标
+   * @param {string} rowId - 行ID
+   * @param {any} error - 错误（并发控制器以任务结果对象拒绝时取其 error 字段）
+   * @returns {Object} 失败结果
+   * @private
+   */
+  buildBatchFailure(index, rowId, error) {
+    const cause = error?.error instanceof Error ? error.error : error;
+    return {
+      index,
+      row_id: rowId ?? null,
+      success: false,
+      error: cause?.message || String(cause),
+      ...(cause?.code && { code: cause.code }),
+      ...(cause?.details && { details: cause.details })
+    };
+  }
+
+  /**
+   * 查询集合中已存在的行ID（使用并发控制）
+   * @param {Array<string>} rowIds - 行ID数组
+   * @returns {Promise<Set<string>>} 已存在的行ID
+   */
+  async findExistingRowIds(rowIds) {
+    // 确保服务已初始化
+    await this.autoInitialize();
+
+    if (rowIds.length === 0) {
+      return new Set();
+    }
+
+    const existsFilter = this.compileFilter({ field: 'row_id', in: rowIds });
+
+    const { data } = await this.concurrencyController.addTask({
+      id: `exists-${rowIds[0]}-${Date.now()}`,
+      task: () => this.client.query({
+        collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+        ...existsFilter,
+        output_fields: ['row_id'],
+        limit: rowIds.length
+      }),
+      priority: 1,
+      retries: CONCURRENCY_CONFIG.DEFAULT_RETRIES,
+      timeout: CONCURRENCY_CONFIG.DEFAULT_TIMEOUT
+    });
+
+    return new Set((data.data || []).map(item => item.row_id));
+  }
+
   /**
    * 批量删除图像向量（使用并发控制）
    * @param {Array<string>} rowIds - 行ID数组
@@ -386,18 +1636,18 @@ class MilvusService {
     await this.autoInitialize();
 
     if (!Array.isArray(rowIds) || rowIds.length === 0) {
-      throw new Error('rowIds 参数必须是非空数组');
+      throw ServiceUtils.createError('rowIds 参数必须是非空数组', 'INVALID_PARAMS');
     }
 
+    // 在入队前编译删除条件，参数错误不进入重试
+    const deleteFilter = this.compileFilter({ field: 'row_id', in: rowIds });
+
     const taskConfig = {
       id: `batch-delete-${rowIds.length}`,
       task: async () => {
-        // 构建删除表达式
-        const expr = `row_id in [${rowIds.map(id => `"${id}"`).join(', ')}]`;
-
         const result = await this.client.deleteEntities({
           collection_name: MILVUS_CONFIG.COLLECTION_NAME,
-          expr: expr
+          ...deleteFilter
         });
 
         return {
@@ -420,25 +1670,31 @@ class MilvusService {
   /**
    * 搜索相似向量（使用并发控制）
    * @param {string|Blob} imageInput - 图像输入
-   * @param {Object} options - 搜索选项
+   * @param {Object} options - 搜索选项（limit、output_fields 返回字段、filters 简写过滤条件、filter 结构化过滤条件）
    * @returns {Promise<Object>} 搜索结果
    */
   async searchSimilarVectors(imageInput, options = {}) {
     // 确保服务已初始化
     await this.autoInitialize();
 
+    // 在入队前编译过滤条件与返回字段，参数错误不进入重试
+    const searchFilter = this.buildSearchFilter(options.filters, options.filter);
+    const outputFields = this.resolveOutputFields(options.output_fields);
+
     const taskConfig = {
       id: `search-${Date.now()}`,
       task: async () => {
         // 调用嵌入服务提取特征
         const features = await this.callEmbeddingService(imageInput);
+        this.assertVectorDimension(features, { blockWrites: false });
 
         // 搜索相似向量
         const searchParams = {
           collection_name: MILVUS_CONFIG.COLLECTION_NAME,
           vector: features,
           limit: options.limit || MILVUS_CONFIG.SEARCH_LIMIT,
-          output_fields: options.output_fields || ['row_id'],
+          output_fields: outputFields,
+          ...searchFilter,
           metric_type: 'L2'
         };
 
@@ -458,6 +1714,121 @@ class MilvusService {
     return await this.concurrencyController.addTask(taskConfig);
   }
 
+  /**
+   * 通过文本搜索相似图像向量（使用并发控制）
+   * @param {string} text - 查询文本
+   * @param {Object} options - 搜索选项（limit、output_fields 返回字段、filters 简写过滤条件、filter 结构化过滤条件）
+   * @returns {Promise<Object>} 搜索结果
+   */
+  async searchSimilarVectorsByText(text, options = {}) {
+    // 确保服务已初始化
+    await this.autoInitialize();
+
+    // 在入队前编译过滤条件与返回字段，参数错误不进入重试
+    const searchFilter = this.buildSearchFilter(options.filters, options.filter);
+    const outputFields = this.resolveOutputFields(options.output_fields);
+
+    const taskConfig = {
+      id: `search-text-${Date.now()}`,
+      task: async () => {
+        // 调用嵌入服务提取文本特征
+        const features = await this.callTextEmbeddingService(text);
+        this.assertVectorDimension(features, { blockWrites: false });
+
+        // 搜索相似向量（嵌入服务输出的图像与文本特征均已 L2 归一化，L2 距离排序与余弦相似度一致）
+        const searchParams = {
+          collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+          vector: features,
+          limit: options.limit || MILVUS_CONFIG.SEARCH_LIMIT,
+          output_fields: outputFields,
+          ...searchFilter,
+          metric_type: 'L2'
+        };
+
+        const result = await this.client.search(searchParams);
+
+        return {
+          success: true,
+          data: result.results,
+          message: '文本搜索成功'
+        };
+      },
+      priority: 2,
+      retries: CONCURRENCY_CONFIG.DEFAULT_RETRIES,
+      timeout: CONCURRENCY_CONFIG.DEFAULT_TIMEOUT
+    };
+
+    return await this.concurrencyController.addTask(taskConfig);
+  }
+
+  /**
+   * 查询指定图像的重复数据（使用并发控制）
+   * @param {string} rowId - 行ID
+   * @returns {Promise<Object>} 重复检测结果
+   */
+  async getDuplicates(rowId) {
+    // 确保服务已初始化
+    await this.autoInitialize();
+
+    if (!this.hasDedupFields()) {
+      throw ServiceUtils.createError('集合缺少去重字段，无法查询重复数据', 'SCHEMA_UNSUPPORTED');
+    }
+
+    const taskConfig = {
+      id: `duplicates-${rowId}-${Date.now()}`,
+      task: async () => {
+        const existingData = await this.client.query({
+          collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+          ...this.compileFilter({ field: 'row_id', eq: rowId }),
+          output_fields: ['row_id', 'image_vector', 'content_hash', 'phash', 'dhash', 'duplicate_of', 'duplicate_status'],
+          limit: 1
+        });
+
+        const record = existingData.data?.[0];
+        if (!record) {
+          throw ServiceUtils.createError(`数据不存在: ${rowId}`, 'NOT_FOUND');
+        }
+
+        // 历史数据可能没有哈希，此时只按向量距离判断近似重复
+        const hashes = record.content_hash
+          ? { contentHash: record.content_hash, phash: record.phash, dhash: record.dhash }
+          : null;
+        const duplicates = await this.findDuplicates(rowId, record.image_vector, hashes);
+
+        // 已关联到当前图像的其他图像
+        const linked = await this.client.query({
+          collection_name: MILVUS_CONFIG.COLLECTION_NAME,
+          ...this.compileFilter({ field: 'duplicate_of', eq: rowId }),
+          output_fields: ['row_id', 'duplicate_status'],
+          limit: LINKED_DUPLICATES_LIMIT
+        });
+
+        return {
+          success: true,
+          data: {
+            row_id: rowId,
+            content_hash: record.content_hash ?? null,
+            phash: record.phash ?? null,
+            dhash: record.dhash ?? null,
+            duplicate_of: record.duplicate_of ?? null,
+            duplicate_status: record.duplicate_status ?? null,
+            duplicates,
+            linked: (linked.data || []).map(item => ({
+              row_id: item.row_id,
+              duplicate_status: item.duplicate_status ?? null
+            }))
+          },
+          message: '重复数据查询成功'
+        };
+      },
+      priority: 2,
+      retries: CONCURRENCY_CONFIG.DEFAULT_RETRIES,
+      timeout: CONCURRENCY_CONFIG.DEFAULT_TIMEOUT
+    };
+
+    return await this.concurrencyController.addTask(taskConfig);
+  }
+
   /**
    * 获取集合统计信息
    * @returns {Promise<Object>} 集合统计信息
@@ -476,7 +1847,8 @@ class MilvusService {
           });
 
           return {
-            rowCount: stats.row_count || 0
+            rowCount: stats.row_count || 0,
+            dimensionCheck: this.getDimensionStatus()
           };
         } catch (error) {
           console.error('❌ 获取集合统计信息失败:', error.message);
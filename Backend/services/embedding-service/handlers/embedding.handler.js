@@ -4,6 +4,153 @@
  */
 
 import embeddingService from '../services/embedding.service.js';
+import { EMBEDDING_CONFIG } from '../../../config/shared.config.js';
+
+/**
+ * 将通过HTTP传递的Blob数据重新构造为Blob对象
+ * @param {Blob|Object} inputBlob - Blob对象或包含 data/type 字段的对象
+ * @returns {Blob|null} Blob对象，格式不符时返回 null
+ */
+function buildImageBlob(inputBlob) {
+  if (inputBlob instanceof Blob) {
+    // 如果是真正的Blob对象，直接使用
+    return inputBlob;
+  }
+
+  if (!inputBlob || typeof inputBlob !== 'object' || !inputBlob.data) {
+    return null;
+  }
+
+  // 如果是通过HTTP传递的Blob数据，重新构造Blob对象
+  const { data, type = 'image/jpeg' } = inputBlob;
+  if (Array.isArray(data)) {
+    // 如果是数组，转换为Uint8Array
+    return new Blob([new Uint8Array(data)], { type });
+  }
+
+  if (typeof data === 'string') {
+    // 如果是base64字符串，解码后创建Blob
+    const binaryString = atob(data);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+      bytes[i] = binaryString.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+  }
+
+  throw new Error('无法处理的Blob数据格式');
+}
+
+/**
+ * 将 multipart 上传的文件转换为Blob对象
+ * @param {Object} file - multer 文件对象
+ * @returns {Blob} 图像Blob对象
+ */
+function uploadedFileToBlob(file) {
+  return new Blob([file.buffer], { type: file.mimetype });
+}
+
+/**
+ * 读取以 multipart 或原始二进制方式上传的图像
+ * @param {Object} req - 请求对象
+ * @returns {Blob|null} 图像Blob对象，未以二进制方式上传时返回 null
+ */
+function readUploadedImage(req) {
+  if (req.file) {
+    // multipart/form-data 上传的图像文件
+    return uploadedFileToBlob(req.file);
+  }
+
+  if (Buffer.isBuffer(req.body)) {
+    // 原始二进制请求体，octet-stream 时可通过 type 查询参数声明图像类型
+    const contentType = (req.get('Content-Type') || '').split(';')[0].trim();
+    const type = contentType.startsWith('image/') ? contentType : (req.query.type || 'image/jpeg');
+    return new Blob([req.body], { type });
+  }
+
+  return null;
+}
+
+// 图像下载、解码与模型状态错误码与 HTTP 状态码的映射
+const ERROR_STATUS_CODES = {
+  INVALID_IMAGE_URL: 400,
+  INVALID_IMAGE_DATA: 400,
+  IMAGE_HOST_BLOCKED: 403,
+  IMAGE_TOO_LARGE: 413,
+  UNSUPPORTED_IMAGE_TYPE: 415,
+  IMAGE_RESOLUTION_TOO_LOW: 422,
+  IMAGE_FETCH_FAILED: 502,
+  IMAGE_FETCH_TIMEOUT: 504,
+  MODEL_INTEGRITY_FAILED: 503,
+  MODEL_UNLOADED: 409,
+  WORKER_POOL_UNAVAILABLE: 503
+};
+
+/**
+ * 发送推理请求的错误响应
+ * 参数校验失败（INVALID_PARAMS）时返回 400
+ * 队列已满时返回 429，并通过 Retry-After 与队列状态提示调用方稍后重试
+ * 图像下载失败时按错误码返回对应状态码
+ * @param {Object} res - 响应对象
+ * @param {Error} error - 错误对象
+ * @param {string} errorTitle - 错误标题
+ */
+function sendExtractionError(res, error, errorTitle) {
+  if (error.code === 'INVALID_PARAMS') {
+    return res.status(400).json({
+      success: false,
+      error: '参数错误',
+      message: error.message
+    });
+  }
+
+  if (error.code === 'QUEUE_FULL') {
+    const admission = embeddingService.getAdmissionStatus();
+    res.set('Retry-After', String(admission.retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: '服务繁忙',
+      message: '推理队列已满，请稍后重试',
+      retryAfter: admission.retryAfter,
+      queue: {
+        depth: admission.queueSize,
+        maxQueueSize: admission.maxQueueSize,
+        running: admission.runningTasks,
+        maxConcurrency: admission.maxConcurrency
+      }
+    });
+  }
+
+  res.status(ERROR_STATUS_CODES[error.code] || 500).json({
+    success: false,
+    error: errorTitle,
+    message: error.message,
+    ...(ERROR_STATUS_CODES[error.code] && { code: error.code })
+  });
+}
+
+/**
+ * 校验请求中指定的模型是否已配置
+ * @param {Object} res - 响应对象
+ * @param {string} [model] - 模型名称
+ * @returns {boolean} 是否通过校验（未通过时已发送 400 响应）
+ */
+function ensureModelConfigured(res, model) {
+  if (model === undefined || model === null || model === '') {
+    return true;
+  }
+
+  if (typeof model !== 'string' || !embeddingService.hasModelConfig(model)) {
+    res.status(400).json({
+      success: false,
+      error: '参数错误',
+      message: `未找到模型配置: ${model}`
+    });
+    return false;
+  }
+
+  return true;
+}
 
 /**
  * 提取图像特征（通过URL）
@@ -23,16 +170,22 @@ export async function extractFeatures(req, res) {
       });
     }
 
-    // 验证输入类型（只接受URL字符串）
+    // 验证输入类型（URL、data URI 或 base64 字符串）
     if (typeof imageInput !== 'string') {
       return res.status(400).json({
         success: false,
         error: '参数类型错误',
-        message: 'imageInput 必须是字符串类型的URL'
+        message: 'imageInput 必须是图像URL、data URI 或 base64 字符串'
       });
     }
 
-    const result = await embeddingService.extractFeatures(imageInput);
+    if (!ensureModelConfigured(res, req.body.model)) {
+      return;
+    }
+
+    const result = await embeddingService.extractFeatures(imageInput, req.body.model, {
+      includeHashes: req.body.includeHashes === true
+    });
 
     res.json({
       success: true,
@@ -42,11 +195,7 @@ export async function extractFeatures(req, res) {
 
   } catch (error) {
     console.error('❌ 特征提取处理失败:', error.message);
-    res.status(500).json({
-      success: false,
-      error: '特征提取失败',
-      message: error.message
-    });
+    sendExtractionError(res, error, '特征提取失败');
   }
 }
 
@@ -59,39 +208,25 @@ export async function extractFeaturesFromBlob(req, res) {
   let imageBlob = null;
   
   try {
-    const { imageBlob: inputBlob } = req.body;
+    imageBlob = readUploadedImage(req);
 
-    // 验证必需参数
-    if (!inputBlob) {
-      return res.status(400).json({
-        success: false,
-        error: '参数错误',
-        message: 'imageBlob 参数是必需的'
-      });
-    }
+    if (!imageBlob) {
+      const { imageBlob: inputBlob } = req.body || {};
 
-    // 处理通过HTTP传递的Blob数据
-    if (inputBlob instanceof Blob) {
-      // 如果是真正的Blob对象，直接使用
-      imageBlob = inputBlob;
-    } else if (inputBlob && typeof inputBlob === 'object' && inputBlob.data) {
-      // 如果是通过HTTP传递的Blob数据，重新构造Blob对象
-      const { data, type = 'image/jpeg' } = inputBlob;
-      if (Array.isArray(data)) {
-        // 如果是数组，转换为Uint8Array
-        imageBlob = new Blob([new Uint8Array(data)], { type });
-      } else if (typeof data === 'string') {
-        // 如果是base64字符串，解码后创建Blob
-        const binaryString = atob(data);
-        const bytes = new Uint8Array(binaryString.length);
-        for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-        }
-        imageBlob = new Blob([bytes], { type });
-      } else {
-        throw new Error('无法处理的Blob数据格式');
+      // 验证必需参数
+      if (!inputBlob) {
+        return res.status(400).json({
+          success: false,
+          error: '参数错误',
+          message: 'imageBlob 参数是必需的（或以二进制/multipart 方式上传图像）'
+        });
       }
-    } else {
+
+      // 处理通过HTTP传递的Blob数据（JSON 兼容格式）
+      imageBlob = buildImageBlob(inputBlob);
+    }
+
+    if (!imageBlob) {
       return res.status(400).json({
         success: false,
         error: '参数类型错误',
@@ -99,7 +234,15 @@ export async function extractFeaturesFromBlob(req, res) {
       });
     }
 
-    const result = await embeddingService.extractFeaturesFromBlob(imageBlob);
+    // 二进制请求体时通过查询参数选择模型
+    const model = req.query.model || (Buffer.isBuffer(req.body) ? undefined : req.body?.model);
+    if (!ensureModelConfigured(res, model)) {
+      return;
+    }
+
+    // 二进制请求体时通过查询参数请求图像哈希
+    const includeHashes = req.query.includeHashes === 'true' || req.body?.includeHashes === true;
+    const result = await embeddingService.extractFeaturesFromBlob(imageBlob, model, { includeHashes });
 
     res.json({
       success: true,
@@ -109,11 +252,7 @@ export async function extractFeaturesFromBlob(req, res) {
 
   } catch (error) {
     console.error('❌ Blob特征提取处理失败:', error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Blob特征提取失败',
-      message: error.message
-    });
+    sendExtractionError(res, error, 'Blob特征提取失败');
     } finally {
       // 清理Blob对象
       if (imageBlob) {
@@ -126,3 +265,517 @@ export async function extractFeaturesFromBlob(req, res) {
     }
 }
 
+/**
+ * 提取文本特征（用于以文搜图）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function extractTextFeatures(req, res) {
+  try {
+    const { text } = req.body;
+
+    // 验证必需参数
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        error: '参数错误',
+        message: 'text 参数是必需的'
+      });
+    }
+
+    // 验证输入类型
+    if (typeof text !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: '参数类型错误',
+        message: 'text 必须是字符串类型'
+      });
+    }
+
+    if (!ensureModelConfigured(res, req.body.model)) {
+      return;
+    }
+
+    const result = await embeddingService.extractTextFeatures(text, req.body.model);
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('❌ 文本特征提取处理失败:', error.message);
+    sendExtractionError(res, error, '文本特征提取失败');
+  }
+}
+
+/**
+ * 批量提取图像特征（JSON 时 URL 与 Blob 数据可混合，multipart 时为 images 字段上传的图像文件）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function extractFeaturesBatch(req, res) {
+  try {
+    const uploadedFiles = Array.isArray(req.files) ? req.files : [];
+    // multipart 上传时按文件顺序返回结果
+    const imageInputs = uploadedFiles.length > 0 ? uploadedFiles.map(uploadedFileToBlob) : req.body?.imageInputs;
+    const model = req.body?.model || req.query.model;
+
+    // 验证必需参数
+    if (!Array.isArray(imageInputs) || imageInputs.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: '参数错误',
+        message: 'imageInputs 参数必须是非空数组（或以 multipart 方式通过 images 字段上传图像文件）'
+      });
+    }
+
+    if (imageInputs.length > EMBEDDING_CONFIG.BATCH_MAX_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: '参数错误',
+        message: `单次批量提取最多 ${EMBEDDING_CONFIG.BATCH_MAX_SIZE} 张图像`
+      });
+    }
+
+    if (!ensureModelConfigured(res, model)) {
+      return;
+    }
+
+    // 将每个条目转换为 URL 字符串或 Blob 对象，无法识别的条目保留原值交由服务层报告逐条错误
+    const inputs = imageInputs.map((item) => {
+      if (typeof item === 'string' || item instanceof Blob) {
+        return item;
+      }
+      try {
+        return buildImageBlob(item) || item;
+      } catch (error) {
+        return item;
+      }
+    });
+
+    const result = await embeddingService.extractFeaturesBatch(inputs, model);
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('❌ 批量特征提取处理失败:', error.message);
+    sendExtractionError(res, error, '批量特征提取失败');
+  }
+}
+
+/**
+ * 获取模型列表
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function listModels(req, res) {
+  try {
+    const models = embeddingService.listModels();
+
+    res.json({
+      success: true,
+      data: {
+        defaultModel: EMBEDDING_CONFIG.DEFAULT_MODEL,
+        models
+      },
+      message: '获取模型列表成功'
+    });
+
+  } catch (error) {
+    console.error('❌ 获取模型列表失败:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '获取模型列表失败',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * 加载模型
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function loadModel(req, res) {
+  try {
+    const { name } = req.params;
+
+    if (!embeddingService.hasModelConfig(name)) {
+      return res.status(404).json({
+        success: false,
+        error: '模型不存在',
+        message: `未找到模型配置: ${name}`
+      });
+    }
+
+    const result = await embeddingService.loadModel(name);
+    const model = embeddingService.listModels().find(item => item.name === name);
+
+    res.json({
+      success: true,
+      data: model,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('❌ 模型加载处理失败:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '模型加载失败',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * 推理基准测试
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function runBenchmark(req, res) {
+  try {
+    const { model, iterations, batchSize, concurrency } = req.body || {};
+
+    if (!ensureModelConfigured(res, model)) {
+      return;
+    }
+
+    const result = await embeddingService.benchmark(model, { iterations, batchSize, concurrency });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `基准测试完成: ${result.imagesPerSecond} 张/秒`
+    });
+
+  } catch (error) {
+    console.error('❌ 基准测试失败:', error.message);
+    res.status(error.code === 'BENCHMARK_RUNNING' ? 409 : 500).json({
+      success: false,
+      error: '基准测试失败',
+      message: error.message,
+      ...(error.code && { code: error.code })
+    });
+  }
+}
+
+/**
+ * 热重载模型
+ * 重载失败时：旧版本仍在服务返回 409（MODEL_RELOAD_FAILED，modelActive: true），
+ * 模型此前未加载、重载失败后无可用版本返回 503（MODEL_RELOAD_FAILED，modelActive: false），
+ * 模型已被显式卸载返回 409（MODEL_UNLOADED）
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function reloadModel(req, res) {
+  try {
+    const { name } = req.params;
+
+    if (!embeddingService.hasModelConfig(name)) {
+      return res.status(404).json({
+        success: false,
+        error: '模型不存在',
+        message: `未找到模型配置: ${name}`
+      });
+    }
+
+    const result = await embeddingService.reloadModel(name);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `模型 ${name} 已切换到新版本 r${result.revision}`
+    });
+
+  } catch (error) {
+    console.error('❌ 模型热重载处理失败:', error.message);
+
+    if (error.code === 'MODEL_RELOAD_FAILED') {
+      return res.status(error.previousActive ? 409 : 503).json({
+        success: false,
+        error: '模型热重载失败',
+        message: error.message,
+        code: error.code,
+        ...(error.reason && { reason: error.reason }),
+        modelActive: error.previousActive
+      });
+    }
+
+    res.status(error.code === 'MODEL_UNLOADED' ? 409 : 500).json({
+      success: false,
+      error: '模型热重载失败',
+      message: error.message,
+      ...(error.code && { code: error.code })
+    });
+  }
+}
+
+/**
+ * 卸载模型
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function unloadModel(req, res) {
+  try {
+    const { name } = req.params;
+
+    if (!embeddingService.hasModelConfig(name)) {
+      return res.status(404).json({
+        success: false,
+        error: '模型不存在',
+        message: `未找到模型配置: ${name}`
+      });
+    }
+
+    const result = await embeddingService.unloadModel(name);
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('❌ 模型卸载处理失败:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '模型卸载失败',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * 获取特征缓存统计信息
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function getCacheStats(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: embeddingService.getCacheStats(),
+      message: '获取缓存统计信息成功'
+    });
+
+  } catch (error) {
+    console.error('❌ 获取缓存统计信息失败:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '获取缓存统计信息失败',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * 清空特征缓存
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function clearCache(req, res) {
+  try {
+    const includeDisk = req.query.includeDisk === 'true';
+    await embeddingService.clearCache({ includeDisk });
+
+    res.json({
+      success: true,
+      data: embeddingService.getCacheStats(),
+      message: includeDisk ? '内存与磁盘缓存已清空' : '内存缓存已清空'
+    });
+
+  } catch (error) {
+    console.error('❌ 清空缓存失败:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '清空缓存失败',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * 获取微批处理统计信息
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function getMicroBatchStats(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: embeddingService.getMicroBatchStats(),
+      message: '获取微批处理统计信息成功'
+    });
+
+  } catch (error) {
+    console.error('❌ 获取微批处理统计信息失败:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '获取微批处理统计信息失败',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * 获取推理工作线程池统计信息
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function getWorkerStats(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: embeddingService.getWorkerStats(),
+      message: '获取工作线程统计信息成功'
+    });
+
+  } catch (error) {
+    console.error('❌ 获取工作线程统计信息失败:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '获取工作线程统计信息失败',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * 解析列表参数（数组、JSON 数组字符串或逗号分隔字符串）
+ * 用于 multipart 表单字段与查询参数中传递的标签列表
+ * @param {any} value - 参数值
+ * @returns {Array|undefined} 解析后的数组，未提供时返回 undefined
+ */
+function parseListParam(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      return JSON.parse(trimmed);
+    }
+    return trimmed.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  return value;
+}
+
+/**
+ * 零样本图像分类
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function classifyImage(req, res) {
+  try {
+    const isBinaryBody = Buffer.isBuffer(req.body);
+    // 二进制请求体时通过查询参数传递分类选项
+    const params = isBinaryBody ? req.query : { ...req.query, ...req.body };
+
+    let imageInput = readUploadedImage(req);
+    if (!imageInput) {
+      imageInput = params.imageBlob ? buildImageBlob(params.imageBlob) : params.imageInput;
+    }
+
+    // 验证必需参数
+    if (!imageInput) {
+      return res.status(400).json({
+        success: false,
+        error: '参数错误',
+        message: 'imageInput 或 imageBlob 参数是必需的（或以二进制/multipart 方式上传图像）'
+      });
+    }
+
+    let labels;
+    let labelSet;
+    try {
+      labels = parseListParam(params.labels);
+      labelSet = parseListParam(params.labelSet);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: '参数格式错误',
+        message: `labels/labelSet 解析失败: ${parseError.message}`
+      });
+    }
+
+    if (!labels && !labelSet) {
+      return res.status(400).json({
+        success: false,
+        error: '参数错误',
+        message: '必须提供 labels（候选标签数组）或 labelSet（命名标签集）参数'
+      });
+    }
+
+    const unknownLabelSet = (labelSet || []).find(name =>
+      !Object.prototype.hasOwnProperty.call(EMBEDDING_CONFIG.CLASSIFICATION.LABEL_SETS, name)
+    );
+    if (unknownLabelSet !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: '参数错误',
+        message: `未找到标签集: ${unknownLabelSet}`
+      });
+    }
+
+    if (!ensureModelConfigured(res, params.model)) {
+      return;
+    }
+
+    const result = await embeddingService.classifyImage(imageInput, {
+      labels,
+      labelSet,
+      topK: parseInt(params.topK) || undefined,
+      model: params.model
+    });
+
+    res.json({
+      success: true,
+      data: result.data,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('❌ 图像分类处理失败:', error.message);
+    sendExtractionError(res, error, '图像分类失败');
+  }
+}
+
+/**
+ * 获取已配置的命名标签集
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ */
+export async function listLabelSets(req, res) {
+  try {
+    const labelSets = embeddingService.listLabelSets();
+
+    res.json({
+      success: true,
+      data: {
+        labelSets,
+        total: labelSets.length
+      },
+      message: '获取标签集列表成功'
+    });
+
+  } catch (error) {
+    console.error('❌ 获取标签集列表失败:', error.message);
+    res.status(500).json({
+      success: false,
+      error: '获取标签集列表失败',
+      message: error.message
+    });
+  }
+}
@@ -5,13 +5,27 @@
 
 import express from 'express';
 import cors from 'cors';
+import multer from 'multer';
 import { embeddingRoutes } from './routes/embedding.routes.js';
-import { CONCURRENCY_CONFIG, HTTP_CONFIG, EMBEDDING_CONFIG } from '../../config/shared.config.js';
+import embeddingService from './services/embedding.service.js';
+import modelRuntimeService from './services/model-runtime.service.js';
+import { CONCURRENCY_CONFIG, HTTP_CONFIG, EMBEDDING_CONFIG, validateConfig } from '../../config/shared.config.js';
+import metricsRegistry from '../../utils/metrics.util.js';
+
+// 启动前校验配置（存在错误时退出，不进入监听）
+const configValidation = validateConfig();
+configValidation.warnings.forEach(warning => console.warn(`⚠️ 配置警告: ${warning}`));
+if (!configValidation.valid) {
+  configValidation.errors.forEach(error => console.error(`❌ 配置错误: ${error}`));
+  console.error('❌ 嵌入服务配置校验失败，请修正后重新启动');
+  process.exit(1);
+}
 
 const app = express();
 const PORT = HTTP_CONFIG.EMBEDDING_SERVICE_PORT;
 
 // 中间件配置
+app.use(metricsRegistry.httpMiddleware());
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -28,11 +42,40 @@ app.get('/health', (req, res) => {
     config: {
       port: PORT,
       maxConcurrency: CONCURRENCY_CONFIG.EMBEDDING_MAX_CONCURRENCY,
-      defaultModel: EMBEDDING_CONFIG.DEFAULT_MODEL
+      defaultModel: EMBEDDING_CONFIG.DEFAULT_MODEL,
+      workerPool: EMBEDDING_CONFIG.WORKER_POOL.enabled ? EMBEDDING_CONFIG.WORKER_POOL.size : 0,
+      // 各模型的推理运行时配置（精度/量化变体与线程数）
+      runtime: Object.fromEntries(
+        Object.keys(EMBEDDING_CONFIG.MODELS).map(name => [name, modelRuntimeService.getSummary(name)])
+      )
     }
   });
 });
 
+// 存活检查（进程可响应即返回 200，不依赖模型状态）
+app.get('/health/live', (req, res) => {
+  res.json({
+    status: 'alive',
+    service: 'embedding-service',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// 就绪检查（模型预热完成、无加载失败且推理队列未饱和时返回 200，否则返回 503）
+app.get('/health/ready', (req, res) => {
+  const readiness = embeddingService.getReadiness();
+
+  res.status(readiness.ready ? 200 : 503).json({
+    status: readiness.ready ? 'ready' : 'not_ready',
+    service: 'embedding-service',
+    timestamp: new Date().toISOString(),
+    ...readiness
+  });
+});
+
+// Prometheus 指标
+app.get('/metrics', metricsRegistry.handler());
+
 // 根路径
 app.get('/', (req, res) => {
   res.json({
@@ -41,6 +84,9 @@ app.get('/', (req, res) => {
     description: '图像嵌入服务，提供图像特征提取 API',
     endpoints: {
       health: '/health',
+      metrics: '/metrics',
+      live: '/health/live',
+      ready: '/health/ready',
       embedding: '/api/v1/embedding'
     }
   });
@@ -48,6 +94,16 @@ app.get('/', (req, res) => {
 
 // 错误处理中间件
 app.use((err, req, res, next) => {
+  // 上传文件超出限制（文件过大返回 413，文件数量或字段不符返回 400）
+  if (err instanceof multer.MulterError) {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      error: '上传文件不符合要求',
+      message: err.message,
+      code: err.code
+    });
+  }
+
   console.error('嵌入服务错误:', err);
   res.status(500).json({
     success: false,
@@ -70,6 +126,19 @@ app.listen(PORT, () => {
   console.log('🚀 嵌入服务启动成功!');
   console.log(`⚙️  并发配置: ${CONCURRENCY_CONFIG.EMBEDDING_MAX_CONCURRENCY} 个并发任务`);
   console.log(`🤖 默认模型已配置`);
+
+  // 启动预热（不阻塞监听，预热完成前就绪检查返回 503）
+  if (EMBEDDING_CONFIG.WARM_UP.enabled) {
+    console.log('🔥 开始预热模型...');
+    embeddingService.warmUp().catch(error => {
+      console.error('❌ 模型预热失败:', error.message);
+    });
+  }
+
+  // 监听模型目录，替换模型文件后自动热重载
+  if (EMBEDDING_CONFIG.HOT_RELOAD.watch) {
+    embeddingService.startModelWatcher();
+  }
 });
 
 export default app;
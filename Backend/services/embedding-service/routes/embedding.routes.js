@@ -4,28 +4,191 @@
  */
 
 import express from 'express';
+import multer from 'multer';
+import { EMBEDDING_CONFIG } from '../../../config/shared.config.js';
 import {
   extractFeatures,
-  extractFeaturesFromBlob
+  extractFeaturesFromBlob,
+  extractFeaturesBatch,
+  extractTextFeatures,
+  listModels,
+  loadModel,
+  reloadModel,
+  runBenchmark,
+  unloadModel,
+  getCacheStats,
+  clearCache,
+  getMicroBatchStats,
+  getWorkerStats,
+  classifyImage,
+  listLabelSets
 } from '../handlers/embedding.handler.js';
 
 const router = express.Router();
 
+// 二进制请求体大小限制
+const BINARY_BODY_LIMIT = '50mb';
+
+// 原始二进制请求体解析（application/octet-stream 或 image/*）
+const rawImageBody = express.raw({
+  type: ['application/octet-stream', 'image/*'],
+  limit: BINARY_BODY_LIMIT
+});
+
+// 单个上传文件大小限制（与二进制请求体限制保持一致）
+const UPLOAD_FILE_SIZE_LIMIT = 50 * 1024 * 1024;
+
+// multipart/form-data 文件上传解析（字段名 image）
+const upload = multer({
+  storage: multer.memoryStorage(), // 使用内存存储
+  limits: {
+    fileSize: UPLOAD_FILE_SIZE_LIMIT,
+    files: 1 // 限制文件数量为 1
+  }
+});
+
+// 批量上传解析（字段名 images，单个文件限制与单图上传一致，文件数量不超过批量提取上限）
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_FILE_SIZE_LIMIT,
+    files: EMBEDDING_CONFIG.BATCH_MAX_SIZE
+  }
+});
+
 /**
  * @route POST /extract
  * @desc 提取图像特征（通过URL）
  * @access Public
- * @body {string} imageInput - 图像URL
+ * @body {string} imageInput - 图像URL、data URI 或 base64 字符串
+ * @body {string} [model] - 模型名称（可选，默认使用 DEFAULT_MODEL）
+ * @body {boolean} [includeHashes] - 是否返回内容哈希与感知哈希（pHash/dHash）
  */
 router.post('/extract', extractFeatures);
 
 /**
  * @route POST /extract/blob
- * @desc 提取图像特征（通过Blob对象）
+ * @desc 提取图像特征（通过二进制图像数据）
+ * @access Public
+ * @body {Buffer} - 原始图像字节（Content-Type: application/octet-stream 或 image/*）
+ * @body {File} image - 图像文件（multipart/form-data）
+ * @body {Object} imageBlob - 兼容旧格式：{ data: number[]|base64, type }（application/json）
+ * @query {string} [model] - 模型名称（可选，默认使用 DEFAULT_MODEL）
+ * @query {boolean} [includeHashes] - 是否返回内容哈希与感知哈希（pHash/dHash）
+ */
+router.post('/extract/blob', rawImageBody, upload.single('image'), extractFeaturesFromBlob);
+
+/**
+ * @route POST /extract/batch
+ * @desc 批量提取图像特征（单次批量推理，结果按输入顺序逐条返回）
+ * @access Public
+ * @body {Array<string|Object>} imageInputs - 图像URL、data URI、base64 字符串或Blob数据（{ data, type }）数组（application/json）
+ * @body {Array<File>} images - 图像文件（multipart/form-data，可重复字段，最多 EMBEDDING_BATCH_MAX_SIZE 个，单个文件限制与 /extract/blob 一致）
+ * @body {string} [model] - 模型名称（可选，默认使用 DEFAULT_MODEL；multipart 时为表单字段或查询参数）
+ */
+router.post('/extract/batch', batchUpload.array('images', EMBEDDING_CONFIG.BATCH_MAX_SIZE), extractFeaturesBatch);
+
+/**
+ * @route POST /extract/text
+ * @desc 提取文本特征（与图像特征同一向量空间，支持中英文）
+ * @access Public
+ * @body {string} text - 查询文本
+ * @body {string} [model] - 模型名称（可选，需配置文本塔）
+ */
+router.post('/extract/text', extractTextFeatures);
+
+/**
+ * @route POST /classify
+ * @desc 零样本图像分类（按模型的 logit_scale/logit_bias 逐标签 sigmoid 打分，候选标签按概率排序返回；各标签独立打分，概率之和不为 1；标签参数无效时返回 400）
+ * @access Public
+ * @body {string} imageInput - 图像URL、data URI 或 base64 字符串（或 imageBlob / multipart 字段 image / 原始二进制请求体）
+ * @body {Array<string|Object>} [labels] - 自定义候选标签（字符串或 { name, text }）
+ * @body {string|Array<string>} [labelSet] - 命名标签集（如 category、sleeve_length、neckline）
+ * @body {number} [topK] - 每组返回的标签数量（可选，默认全部）
+ * @body {string} [model] - 模型名称（可选，需配置文本塔）
+ * @query - 二进制请求体时通过查询参数传递上述选项（列表以逗号分隔）
+ */
+router.post('/classify', rawImageBody, upload.single('image'), classifyImage);
+
+/**
+ * @route GET /classify/label-sets
+ * @desc 获取已配置的命名标签集
+ * @access Public
+ */
+router.get('/classify/label-sets', listLabelSets);
+
+/**
+ * @route GET /models
+ * @desc 获取已配置模型列表（加载状态与向量维度）
+ * @access Public
+ */
+router.get('/models', listModels);
+
+/**
+ * @route POST /models/:name/load
+ * @desc 加载模型（名称含 / 时需 URL 编码，如 Marqo%2Fmarqo-fashionSigLIP；已卸载的模型需通过此接口重新加载）
+ * @access Public
+ * @param {string} name - 模型名称
+ */
+router.post('/models/:name/load', loadModel);
+
+/**
+ * @route POST /models/:name/reload
+ * @desc 热重载模型（替换模型文件后调用）：新版本通过完整性校验与验证推理后切换，旧版本处理完进行中的请求再释放；失败时保留旧版本
+ * @returns 200 切换成功；409 MODEL_RELOAD_FAILED（modelActive: true，旧版本继续服务，reason 为失败原因如 MODEL_INTEGRITY_FAILED）；
+ *          503 MODEL_RELOAD_FAILED（modelActive: false，模型此前未加载，当前无可用版本）；409 MODEL_UNLOADED（模型已卸载，需先加载）
+ * @access Public
+ * @param {string} name - 模型名称
+ */
+router.post('/models/:name/reload', reloadModel);
+
+/**
+ * @route POST /benchmark
+ * @desc 推理基准测试：以当前运行时配置（精度、线程数、工作线程池）对合成图像重复推理，返回吞吐量（张/秒）与延迟；不经过队列与缓存，建议低峰期执行
+ * @access Public
+ * @body {string} [model] - 模型名称（可选，默认使用 DEFAULT_MODEL）
+ * @body {number} [iterations] - 推理次数（默认 20，最大 200）
+ * @body {number} [batchSize] - 每次推理的图像数量（默认 1，最大 32）
+ * @body {number} [concurrency] - 并行推理数（默认等于工作线程数，最大 16）
+ */
+router.post('/benchmark', runBenchmark);
+
+/**
+ * @route DELETE /models/:name
+ * @desc 卸载模型并释放资源（等待进行中的推理完成后释放；卸载后请求该模型返回 409 MODEL_UNLOADED，需通过 POST /models/:name/load 重新加载）
+ * @access Public
+ * @param {string} name - 模型名称
+ */
+router.delete('/models/:name', unloadModel);
+
+/**
+ * @route GET /cache/stats
+ * @desc 获取特征缓存统计信息（命中率、条目数等）
+ * @access Public
+ */
+router.get('/cache/stats', getCacheStats);
+
+/**
+ * @route DELETE /cache
+ * @desc 清空特征缓存
+ * @access Public
+ * @query {boolean} [includeDisk=false] - 是否同时删除磁盘缓存
+ */
+router.delete('/cache', clearCache);
+
+/**
+ * @route GET /micro-batch/stats
+ * @desc 获取微批处理统计信息（批次数量、平均批次大小等）
+ * @access Public
+ */
+router.get('/micro-batch/stats', getMicroBatchStats);
+
+/**
+ * @route GET /workers/stats
+ * @desc 获取推理工作线程池统计信息（每个线程的任务数与利用率）
  * @access Public
- * @body {Blob} imageBlob - 图像Blob对象
  */
-router.post('/extract/blob', extractFeaturesFromBlob);
+router.get('/workers/stats', getWorkerStats);
 
 
 export { router as embeddingRoutes };
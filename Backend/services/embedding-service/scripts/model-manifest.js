@@ -0,0 +1,110 @@
+/**
+ * 模型完整性清单命令
+ * 从已确认完整的模型目录生成清单，或按清单校验模型目录（用于拷贝到离线环境前后核对）
+ *
+ * 用法:
+ *   node scripts/model-manifest.js generate [模型名称...] [--dir <模型根目录>]
+ *   node scripts/model-manifest.js verify [模型名称...] [--dir <模型根目录>]
+ *
+ * 未指定模型名称时处理所有已配置模型及翻译模型（跳过本地不存在的模型）
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EMBEDDING_CONFIG } from '../../../config/shared.config.js';
+import modelManifestService from '../services/model-manifest.service.js';
+
+// 获取当前文件目录
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 默认模型根目录（与 EmbeddingService 中的 env.localModelPath 一致）
+const DEFAULT_MODELS_DIR = path.join(__dirname, '..', '..', '..', 'models');
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} args - 参数
+ * @returns {Object} { command, modelNames, modelsDir }
+ */
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  const modelNames = [];
+  let modelsDir = DEFAULT_MODELS_DIR;
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--dir') {
+      modelsDir = path.resolve(rest[++i] ?? '');
+    } else {
+      modelNames.push(rest[i]);
+    }
+  }
+
+  return { command, modelNames, modelsDir };
+}
+
+/**
+ * 获取默认处理的模型（已配置模型及翻译模型中本地存在的部分）
+ * @param {string} modelsDir - 模型根目录
+ * @returns {Promise<Array<string>>} 模型名称
+ */
+async function findLocalModels(modelsDir) {
+  const candidates = [...Object.keys(EMBEDDING_CONFIG.MODELS), EMBEDDING_CONFIG.TEXT_TRANSLATION.modelId];
+  const modelNames = [];
+
+  for (const modelName of new Set(candidates)) {
+    try {
+      const stats = await fs.stat(path.join(modelsDir, modelName));
+      if (stats.isDirectory()) {
+        modelNames.push(modelName);
+      }
+    } catch (error) {
+      console.warn(`⚠️ 跳过本地不存在的模型: ${modelName}`);
+    }
+  }
+
+  return modelNames;
+}
+
+async function main() {
+  const { command, modelNames, modelsDir } = parseArgs(process.argv.slice(2));
+
+  if (command !== 'generate' && command !== 'verify') {
+    console.log('用法: node scripts/model-manifest.js <generate|verify> [模型名称...] [--dir <模型根目录>]');
+    process.exit(1);
+  }
+
+  const targets = modelNames.length > 0 ? modelNames : await findLocalModels(modelsDir);
+  if (targets.length === 0) {
+    console.error(`❌ 未找到需要处理的模型: ${modelsDir}`);
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const modelName of targets) {
+    const modelDir = path.join(modelsDir, modelName);
+    try {
+      if (command === 'generate') {
+        const manifest = await modelManifestService.generateManifest(modelName, modelDir);
+        const totalBytes = manifest.files.reduce((sum, file) => sum + file.size, 0);
+        console.log(`✅ 已生成清单: ${modelName}（${manifest.files.length} 个文件，${totalBytes} 字节）`);
+      } else {
+        const result = await modelManifestService.verifyModel(modelName, modelDir, { force: true });
+        if (result.status !== 'verified') {
+          throw new Error(`校验未执行（状态: ${result.status}）`);
+        }
+      }
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${modelName}: ${error.message}`);
+      error.details?.problems?.forEach(problem => console.error(`   - ${problem.path}: ${problem.reason}`));
+    }
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('❌ 执行失败:', error.message);
+  process.exit(1);
+});
@@ -3,12 +3,26 @@
  * 处理图像特征提取请求
  */
 
-import { pipeline } from '@huggingface/transformers';
+import { pipeline, RawImage, AutoTokenizer, SiglipTextModel, CLIPTextModelWithProjection } from '@huggingface/transformers';
 import { env } from '@huggingface/transformers';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { EMBEDDING_CONFIG, CONCURRENCY_CONFIG } from '../../../config/shared.config.js';
-import { ConcurrencyController } from '../../../utils/concurrency.util.js';
+import { EMBEDDING_CONFIG, CONCURRENCY_CONFIG, MILVUS_CONFIG } from '../../../config/shared.config.js';
+import { ConcurrencyController, ConcurrencyUtils } from '../../../utils/concurrency.util.js';
+import featureCacheService from './feature-cache.service.js';
+import imagePreprocessService from './image-preprocess.service.js';
+import perceptualHashService from './perceptual-hash.service.js';
+import imageFetchService from './image-fetch.service.js';
+import inlineImageService from './inline-image.service.js';
+import modelManifestService from './model-manifest.service.js';
+import modelWatcherService from './model-watcher.service.js';
+import modelRuntimeService from './model-runtime.service.js';
+import { LRUCache } from '../../../utils/lru-cache.util.js';
+import { MicroBatcher } from '../../../utils/micro-batcher.util.js';
+import { WorkerPool } from '../../../utils/worker-pool.util.js';
+import metricsRegistry from '../../../utils/metrics.util.js';
+import ServiceUtils from '../../../utils/service.util.js';
 
 // 获取当前文件目录
 const __filename = fileURLToPath(import.meta.url);
@@ -21,17 +35,76 @@ env.allowRemoteModels = false; // 禁用远程模型下载
 env.allowLocalModels = true;  // 启用本地模型
 env.localModelPath = path.join(__dirname, '..', '..', '..', 'models'); // 本地模型路径
 
+// 文本塔模型类映射（对应 EMBEDDING_CONFIG.MODELS[...].text.modelClass）
+const TEXT_MODEL_CLASSES = {
+  SiglipTextModel,
+  CLIPTextModelWithProjection
+};
+
+// 推理工作线程脚本
+const INFERENCE_WORKER_FILE = new URL('../workers/inference.worker.js', import.meta.url);
+
+// 基准测试参数上限（避免单次测试长时间占用 CPU）
+const BENCHMARK_LIMITS = {
+  maxIterations: 200,
+  maxBatchSize: 32,
+  maxConcurrency: 16
+};
+
+// 中文字符检测（命中时先翻译为英文再编码）
+const CJK_PATTERN = /[\u3400-\u9fff\uf900-\ufaff]/;
+
 /**
  * 嵌入服务类
  */
 class EmbeddingService {
   constructor() {
     this.loadedModels = new Map();
+    this.loadingModels = new Map();
+    this.modelDimensions = new Map();
+    this.loadedTextModels = new Map();
+    this.translator = null;
     this.isInitialized = false;
+
+    // 最近一次加载失败的模型及原因（加载成功后清除）
+    this.modelLoadErrors = new Map();
+
+    // 启动预热状态
+    this.warmUpState = this.createWarmUpState('idle');
+
+    // 各模型的实例版本号（每次加载递增）、进行中的热重载及最近一次热重载结果
+    this.modelRevisions = new Map();
+    this.reloadingModels = new Map();
+    this.reloadResults = new Map();
+
+    // 按模型串行化加载、卸载与热重载（卸载后不会被并发的加载请求重新载入）
+    this.modelLock = ConcurrencyUtils.createKeyedLock();
+
+    // 显式卸载的模型（重新通过 loadModel 显式加载前，请求不会自动加载）
+    this.unloadedModels = new Set();
+
+    // 任务序号（保证并发控制器中的任务ID唯一）
+    this.taskSequence = 0;
+
+    // 分类标签文本特征缓存（候选标签通常重复使用，避免每次请求重复编码）
+    this.labelFeatureCache = new LRUCache({ maxEntries: 1000 });
+
+    // 按模型划分的微批处理器（合并并发到达的单图像推理）
+    this.microBatchers = new Map();
+
+    // 推理工作线程池（首次加载模型时创建）
+    this.workerPool = null;
+
+    // 文本模型实例序号（工作线程中新旧文本模型以实例ID区分）
+    this.textInstanceSequence = 0;
+
+    // 是否有基准测试正在运行（同一时间只允许一个）
+    this.benchmarkRunning = false;
     
-    // 创建并发控制器
+    // 创建并发控制器（所有推理请求经由此排队，队列满时拒绝以实现背压）
     this.concurrencyController = new ConcurrencyController({
       maxConcurrency: CONCURRENCY_CONFIG.EMBEDDING_MAX_CONCURRENCY,
+      maxQueueSize: CONCURRENCY_CONFIG.EMBEDDING_MAX_QUEUE_SIZE,
       retryDelay: CONCURRENCY_CONFIG.DEFAULT_RETRY_DELAY,
       defaultTimeout: CONCURRENCY_CONFIG.DEFAULT_TIMEOUT
     });
@@ -47,17 +120,31 @@ class EmbeddingService {
     this.concurrencyController.on('taskFailed', (result) => {
       console.error(`❌ 嵌入任务失败: ${result.error.message}`);
     });
+
+    // 注册指标（推理耗时按模型与图像/文本塔区分）
+    this.inferenceDuration = metricsRegistry.histogram(
+      'embedding_inference_duration_seconds',
+      '模型推理耗时（秒，每次前向推理记录一次）',
+      ['model', 'tower', 'status']
+    );
+    this.inferenceInputs = metricsRegistry.counter(
+      'embedding_inference_inputs_total',
+      '参与推理的输入数量',
+      ['model', 'tower']
+    );
+    metricsRegistry.registerConcurrencyController('embedding', this.concurrencyController);
   }
 
   /**
    * 自动初始化服务
    */
   async autoInitialize() {
-    if (this.isInitialized) return;
+    // 默认模型被显式卸载后不自动重新加载
+    if (this.isInitialized || this.unloadedModels.has(EMBEDDING_CONFIG.DEFAULT_MODEL)) return;
 
     try {
       // 加载默认模型
-      await this.loadModel(EMBEDDING_CONFIG.DEFAULT_MODEL);
+      await this.loadModel(EMBEDDING_CONFIG.DEFAULT_MODEL, { explicit: false });
       
       this.isInitialized = true;
     } catch (error) {
@@ -68,10 +155,15 @@ class EmbeddingService {
 
   /**
    * 加载模型
+   * 同一模型的加载、卸载与热重载按顺序执行
    * @param {string} modelName - 模型名称
+   * @param {Object} [options] - 加载选项
+   * @param {boolean} [options.explicit=true] - 是否为显式加载（请求触发的自动加载为 false，不会加载已显式卸载的模型）
    * @returns {Promise<Object>} 加载结果
    */
-  async loadModel(modelName) {
+  async loadModel(modelName, options = {}) {
+    const { explicit = true } = options;
+
     if (this.loadedModels.has(modelName)) {
       return {
         success: true,
@@ -86,315 +178,1916 @@ class EmbeddingService {
         throw new Error(`未找到模型配置: ${modelName}`);
       }
 
-      // 检查本地模型文件
-      const hasLocalModel = await this.checkLocalModel(modelName);
-      if (!hasLocalModel) {
-        throw new Error(`本地模型文件不存在: ${modelName}`);
-      }
+      // 并发的加载请求依次执行，排在后面的请求直接取得已加载的模型
+      const loading = this.modelLock.run([modelName], () => this.runLoad(modelName, modelConfig, explicit))
+        .finally(() => {
+          if (this.loadingModels.get(modelName) === loading) {
+            this.loadingModels.delete(modelName);
+          }
+        });
+      this.loadingModels.set(modelName, loading);
 
-      // 创建管道
-      const extractor = await pipeline(
-        modelConfig.task,
-        modelConfig.modelId,
-        modelConfig.options
-      );
+      const extractor = await loading;
 
-      this.loadedModels.set(modelName, extractor);
-      
       return {
         success: true,
-        message: `模型 ${modelName} 加载成功`,
+        message: `模型 ${modelName} 加载成功（dtype: ${extractor.instance.runtime.dtype}）`,
         model: extractor,
+        runtime: extractor.instance.runtime,
         usedLocalModel: true
       };
     } catch (error) {
       console.error(`❌ 模型加载失败:`, error.message);
+      if (this.hasModelConfig(modelName) && error.code !== 'MODEL_UNLOADED') {
+        this.modelLoadErrors.set(modelName, {
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
       throw error;
     }
   }
 
   /**
-   * 检查本地模型文件
+   * 执行模型加载（持有模型锁时调用）
    * @param {string} modelName - 模型名称
-   * @returns {Promise<boolean>} 是否存在本地模型
+   * @param {Object} modelConfig - 模型配置
+   * @param {boolean} explicit - 是否为显式加载
+   * @returns {Promise<Function>} 特征提取管道
+   * @private
    */
-  async checkLocalModel(modelName) {
-    try {
-      const fs = await import('fs/promises');
-      const modelPath = path.join(env.localModelPath, modelName);
-      
+  async runLoad(modelName, modelConfig, explicit) {
+    // 排在前面的加载已完成
+    if (this.loadedModels.has(modelName)) {
+      return this.loadedModels.get(modelName);
+    }
+
+    if (!explicit) {
+      this.assertModelNotUnloaded(modelName);
+    }
+
+    // 检查本地模型文件
+    const hasLocalModel = await this.checkLocalModel(modelName);
+    if (!hasLocalModel) {
+      throw new Error(`本地模型文件不存在: ${modelName}`);
+    }
+
+    // 校验完整性后创建管道
+    await this.verifyLocalModel(modelName);
+    const extractor = await this.createModelInstance(modelName, modelConfig);
+
+    this.loadedModels.set(modelName, extractor);
+    this.unloadedModels.delete(modelName);
+    this.modelLoadErrors.delete(modelName);
+
+    return extractor;
+  }
+
+  /**
+   * 校验模型未被显式卸载（显式卸载的模型需重新显式加载后才能使用）
+   * @param {string} modelName - 模型名称
+   * @throws {Error} 模型已被显式卸载时抛出 MODEL_UNLOADED
+   * @private
+   */
+  assertModelNotUnloaded(modelName) {
+    if (this.unloadedModels.has(modelName)) {
+      throw ServiceUtils.createError(`模型 ${modelName} 已卸载，请先通过 POST /models/${encodeURIComponent(modelName)}/load 重新加载`, 'MODEL_UNLOADED');
+    }
+  }
+
+  /**
+   * 创建预热状态
+   * @param {string} status - 状态（idle/running/completed/failed）
+   * @returns {Object} 预热状态
+   * @private
+   */
+  createWarmUpState(status) {
+    return {
+      status,
+      startedAt: status === 'idle' ? null : new Date().toISOString(),
+      completedAt: null,
+      models: {}
+    };
+  }
+
+  /**
+   * 启动预热：加载所有已配置模型并执行一次空推理
+   * 单个模型失败不影响其他模型，失败原因记录在预热状态中并反映到就绪检查
+   * @returns {Promise<Object>} 预热状态
+   */
+  async warmUp() {
+    if (this.warmUpState.status === 'running') {
+      return this.warmUpState;
+    }
+
+    this.warmUpState = this.createWarmUpState('running');
+
+    for (const modelName of Object.keys(EMBEDDING_CONFIG.MODELS)) {
+      const startTime = Date.now();
+      this.warmUpState.models[modelName] = { status: 'running' };
+
       try {
-        const stats = await fs.stat(modelPath);
-        if (stats.isDirectory()) {
-          const files = await fs.readdir(modelPath);
-          return files.length > 0;
-        }
+        await this.warmUpModel(modelName);
+        this.warmUpState.models[modelName] = { status: 'completed', duration: Date.now() - startTime };
+        console.log(`🔥 模型 ${modelName} 预热完成，耗时 ${Date.now() - startTime}ms`);
       } catch (error) {
-        return false;
+        this.warmUpState.models[modelName] = {
+          status: 'failed',
+          duration: Date.now() - startTime,
+          error: error.message
+        };
+        console.error(`❌ 模型 ${modelName} 预热失败:`, error.message);
       }
-      
-      return false;
-    } catch (error) {
-      console.error(`❌ 检查本地模型失败: ${error.message}`);
-      return false;
     }
+
+    const failed = Object.values(this.warmUpState.models).some(model => model.status === 'failed');
+    this.warmUpState.status = failed ? 'failed' : 'completed';
+    this.warmUpState.completedAt = new Date().toISOString();
+    this.isInitialized = this.loadedModels.has(EMBEDDING_CONFIG.DEFAULT_MODEL);
+
+    return this.warmUpState;
   }
 
   /**
-   * 提取图像特征（通过URL）
-   * @param {string} imageInput - 图像URL
-   * @returns {Promise<Object>} 特征提取结果
+   * 预热单个模型（图像塔、文本塔各执行一次空推理）
+   * 启用工作线程池时每个工作线程各执行一次，确保所有推理会话都已初始化
+   * @param {string} modelName - 模型名称
+   * @private
    */
-  async extractFeatures(imageInput) {
-    // 确保服务已初始化
-    await this.autoInitialize();
+  async warmUpModel(modelName) {
+    const extractor = await this.getExtractor(modelName);
+    const dimension = await this.runValidationInference(extractor);
+    this.modelDimensions.set(modelName, dimension);
+    this.assertModelDimension(modelName, dimension);
 
-    // 验证输入
-    if (!imageInput) {
-      throw new Error('图像输入不能为空');
+    if (EMBEDDING_CONFIG.MODELS[modelName].text) {
+      await this.encodeTexts(modelName, ['a photo']);
     }
+  }
 
-    // 验证输入类型（只接受URL字符串）
-    if (typeof imageInput !== 'string') {
-      throw new Error('extractFeatures 只接受字符串类型的URL输入');
+  /**
+   * 执行空推理并返回输出维度
+   * 启用工作线程池时每个工作线程各执行一次，确保所有推理会话都已初始化
+   * @param {Function} extractor - 特征提取管道
+   * @returns {Promise<number>} 输出维度
+   * @private
+   */
+  async runValidationInference(extractor) {
+    const size = EMBEDDING_CONFIG.WARM_UP.imageSize;
+    const image = new RawImage(new Uint8ClampedArray(size * size * 3).fill(128), size, size, 3);
+    const runs = EMBEDDING_CONFIG.WORKER_POOL.enabled ? EMBEDDING_CONFIG.WORKER_POOL.size : 1;
+    const outputs = await Promise.all(Array.from({ length: runs }, () => extractor(image)));
+    return this.convertToFeatureArray(outputs[0]).length;
+  }
+
+  /**
+   * 热重载模型：加载新版本并执行验证推理，通过后原子切换，旧版本处理完进行中的请求后释放
+   * 新版本校验或验证推理失败时保留旧版本继续服务（抛出 MODEL_RELOAD_FAILED，previousActive 表示旧版本是否仍在服务）
+   * 同一模型的并发重载请求共享同一个重载过程，并与该模型的加载、卸载按顺序执行
+   * 已显式卸载的模型不会被重载（抛出 MODEL_UNLOADED）
+   * @param {string} modelName - 模型名称
+   * @returns {Promise<Object>} 重载结果
+   */
+  async reloadModel(modelName) {
+    if (!this.hasModelConfig(modelName)) {
+      throw new Error(`未找到模型配置: ${modelName}`);
     }
 
-    // 检查是否为 Base64 编码（不支持）
-    if (imageInput.startsWith('data:image/')) {
-      throw new Error('不支持 Base64 编码的图像输入，请使用 URL 或 Blob 对象');
+    let reloading = this.reloadingModels.get(modelName);
+    if (!reloading) {
+      reloading = this.modelLock.run([modelName], () => this.runReload(modelName))
+        .finally(() => this.reloadingModels.delete(modelName));
+      this.reloadingModels.set(modelName, reloading);
     }
 
+    return await reloading;
+  }
+
+  /**
+   * 执行热重载（持有模型锁时调用）
+   * @param {string} modelName - 模型名称
+   * @returns {Promise<Object>} 重载结果
+   * @private
+   */
+  async runReload(modelName) {
+    const modelConfig = EMBEDDING_CONFIG.MODELS[modelName];
+    const startTime = Date.now();
+
+    this.assertModelNotUnloaded(modelName);
+
+    const previous = this.loadedModels.get(modelName) ?? null;
+    const previousText = this.loadedTextModels.get(modelName) ?? null;
+    let candidate = null;
+    let candidateText = null;
+    let dimension;
+
     try {
-      // 确保默认模型已加载
-      const modelName = EMBEDDING_CONFIG.DEFAULT_MODEL;
-      if (!this.loadedModels.has(modelName)) {
-        await this.loadModel(modelName);
+      const hasLocalModel = await this.checkLocalModel(modelName);
+      if (!hasLocalModel) {
+        throw new Error(`本地模型文件不存在: ${modelName}`);
       }
+      await modelManifestService.verifyModel(modelName, this.getModelPath(modelName), { force: true });
 
-      const extractor = this.loadedModels.get(modelName);
-      
-      const features = await extractor(imageInput);
-      
-      // 处理特征数据 - 确保是数值数组
-      let featureArray;
-      
-      // 处理特征数据
-      
-      if (Array.isArray(features)) {
-        // 如果已经是数组，检查是否包含对象
-        if (features.length > 0 && typeof features[0] === 'object' && features[0].ort_tensor) {
-          // 如果是包含ort_tensor对象的数组，提取cpuData
-          const tensorData = features[0].ort_tensor.cpuData;
-          // 提取tensor数据
-          
-          if (tensorData && typeof tensorData === 'object') {
-            // 将cpuData对象转换为数值数组，按索引排序
-            const sortedKeys = Object.keys(tensorData).map(Number).sort((a, b) => a - b);
-            featureArray = sortedKeys.map(key => tensorData[key]);
-            // 特征数组转换完成
-          } else {
-            // 如果tensorData无效，保持原数组
-            featureArray = features;
-            // 使用原始数组
-          }
-        } else {
-          featureArray = features;
-          // 使用原始数组
-        }
-      } else if (features && typeof features === 'object' && 'data' in features) {
-        // 如果是对象包含data属性，提取data
-        featureArray = Array.isArray(features.data) ? features.data : Array.from(features.data);
-        // 从data属性提取
-      } else if (features && typeof features === 'object' && 'image_embeds' in features) {
-        // 如果是对象包含image_embeds属性，提取image_embeds
-        featureArray = Array.isArray(features.image_embeds) ? features.image_embeds : Array.from(features.image_embeds);
-        // 从image_embeds属性提取
-      } else {
-        // 其他情况，尝试转换为数组
-        try {
-          featureArray = Array.from(features);
-          // 使用Array.from转换
-        } catch (error) {
-          console.error('❌ Array.from转换失败:', error.message);
-          throw new Error(`无法处理特征数据格式: ${typeof features}`);
+      // 与旧版本并存加载新版本，并执行验证推理
+      candidate = await this.createModelInstance(modelName, modelConfig);
+      dimension = await this.runValidationInference(candidate);
+      this.assertModelDimension(modelName, dimension);
+
+      if (modelConfig.text) {
+        candidateText = await this.createTextModel(modelName, modelConfig);
+        const [textFeatures] = await this.runTextModel(modelName, candidateText, ['a photo']);
+        if (textFeatures.length !== dimension) {
+          throw new Error(`文本塔输出维度 ${textFeatures.length} 与图像塔输出维度 ${dimension} 不一致`);
         }
       }
-      
-      // 确保是数值数组
-      
-      if (!Array.isArray(featureArray)) {
-        console.error('❌ featureArray不是数组');
-        throw new Error(`特征提取结果不是数组，类型: ${typeof featureArray}`);
-      }
-      
-      if (featureArray.length === 0) {
-        console.error('❌ featureArray为空数组');
-        throw new Error('特征提取结果为空数组');
+    } catch (error) {
+      await this.disposeModelResources(candidate, candidateText);
+      this.reloadResults.set(modelName, {
+        status: 'failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      const reloadError = ServiceUtils.createError(previous
+        ? `模型 ${modelName} 重新加载失败，继续使用当前版本: ${error.message}`
+        : `模型 ${modelName} 重新加载失败，当前没有可用版本: ${error.message}`, 'MODEL_RELOAD_FAILED');
+      // 失败原因（如完整性校验失败时为 MODEL_INTEGRITY_FAILED）及旧版本是否仍在服务
+      reloadError.reason = error.code || null;
+      reloadError.previousActive = Boolean(previous);
+      throw reloadError;
+    }
+
+    // 原子切换：此后的新请求使用新版本（旧版本上已排队的调用会转交新版本）
+    this.loadedModels.set(modelName, candidate);
+    if (candidateText) {
+      this.loadedTextModels.set(modelName, candidateText);
+    }
+    if (previous) {
+      previous.instance.retired = true;
+    }
+    if (previousText) {
+      previousText.retired = true;
+    }
+    this.modelDimensions.set(modelName, dimension);
+    this.modelLoadErrors.delete(modelName);
+    // 文本特征随权重变化，清空标签特征缓存（图像特征缓存按模型指纹隔离，无需清理）
+    this.labelFeatureCache.clear();
+    if (modelName === EMBEDDING_CONFIG.DEFAULT_MODEL) {
+      this.isInitialized = true;
+    }
+    console.log(`🔄 模型 ${modelName} 已切换到新版本 r${candidate.instance.revision}（指纹 ${candidate.instance.fingerprint}）`);
+
+    // 等待旧版本上进行中的请求完成后释放
+    const { drainTimeout } = EMBEDDING_CONFIG.HOT_RELOAD;
+    const drainResults = await Promise.all([
+      previous ? this.waitForDrain(previous.instance, drainTimeout) : true,
+      previousText ? this.waitForDrain(previousText, drainTimeout) : true
+    ]);
+    const drained = drainResults.every(Boolean);
+    if (!drained) {
+      console.warn(`⚠️ 模型 ${modelName} 旧版本在 ${drainTimeout}ms 内未处理完进行中的请求，强制释放`);
+    }
+    await this.disposeModelResources(previous, previousText);
+
+    const result = {
+      status: 'completed',
+      name: modelName,
+      revision: candidate.instance.revision,
+      previousRevision: previous?.instance.revision ?? null,
+      fingerprint: candidate.instance.fingerprint,
+      dimension,
+      drained,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+    this.reloadResults.set(modelName, result);
+
+    return result;
+  }
+
+  /**
+   * 开始监听模型目录，文件变化后自动热重载
+   * @returns {boolean} 是否成功开始监听
+   */
+  startModelWatcher() {
+    return modelWatcherService.start(
+      env.localModelPath,
+      Object.keys(EMBEDDING_CONFIG.MODELS),
+      async (modelName) => {
+        // 重载进行中时等待其结束后再次重载，确保加载到最终版本；已显式卸载的模型不重载
+        await this.reloadingModels.get(modelName)?.catch(() => null);
+        if (this.unloadedModels.has(modelName)) {
+          return;
+        }
+        await this.reloadModel(modelName);
       }
-      
-      // 验证特征向量是否为数值
-      const isValidFeatures = featureArray.every(feature => 
-        typeof feature === 'number' && !isNaN(feature) && isFinite(feature)
-      );
-      
-      if (!isValidFeatures) {
-        console.error('❌ 特征向量包含非数值数据');
-        throw new Error('特征向量包含非数值数据');
+    );
+  }
+
+  /**
+   * 在调用期间增加实例的进行中请求计数
+   * @param {Object} instance - 模型实例状态（含 inFlight）
+   * @param {Function} run - 执行推理的函数
+   * @returns {Promise<any>} 推理结果
+   * @private
+   */
+  async runTracked(instance, run) {
+    instance.inFlight++;
+    try {
+      return await run();
+    } finally {
+      instance.inFlight--;
+      if (instance.inFlight === 0) {
+        instance.onDrained?.();
       }
-      
-      return {
-        success: true,
-        data: {
-          features: featureArray,
-          dimension: featureArray.length
-        },
-        message: '特征提取成功'
-      };
-    } catch (error) {
-      console.error('❌ 特征提取失败:', error.message);
-      throw error;
     }
   }
 
   /**
-   * 提取图像特征（通过Blob对象）
-   * @param {Blob} imageBlob - 图像Blob对象
-   * @returns {Promise<Object>} 特征提取结果
+   * 等待实例上进行中的请求全部完成
+   * @param {Object} instance - 模型实例状态
+   * @param {number} timeout - 最长等待时间(ms)
+   * @returns {Promise<boolean>} 是否在超时前完成
+   * @private
    */
-  async extractFeaturesFromBlob(imageBlob) {
-    // 确保服务已初始化
-    await this.autoInitialize();
+  async waitForDrain(instance, timeout) {
+    // 让已取得旧实例、尚未发起调用的请求先进入计数
+    await new Promise(resolve => setImmediate(resolve));
 
-    // 验证输入
-    if (!imageBlob) {
-      throw new Error('图像Blob对象不能为空');
+    if (instance.inFlight === 0) {
+      return true;
     }
 
-    // 验证Blob对象类型
-    if (!(imageBlob instanceof Blob)) {
-      throw new Error('extractFeaturesFromBlob 只接受Blob对象输入');
+    return await new Promise(resolve => {
+      const timer = setTimeout(() => {
+        instance.onDrained = null;
+        resolve(false);
+      }, timeout);
+
+      instance.onDrained = () => {
+        clearTimeout(timer);
+        instance.onDrained = null;
+        resolve(true);
+      };
+    });
+  }
+
+  /**
+   * 释放模型资源（图像塔与文本塔）
+   * @param {Function} [extractor] - 特征提取管道
+   * @param {Object} [textModel] - 文本模型
+   * @private
+   */
+  async disposeModelResources(extractor, textModel) {
+    if (textModel) {
+      textModel.retired = true;
     }
 
-    // 验证Blob对象大小
-    if (imageBlob.size === 0) {
-      throw new Error('图像Blob对象不能为空');
+    try {
+      await extractor?.dispose?.();
+      await textModel?.dispose?.();
+    } catch (error) {
+      console.warn(`⚠️ 释放模型资源失败: ${error.message}`);
     }
+  }
 
-    // 验证MIME类型
-    if (!imageBlob.type.startsWith('image/')) {
-      throw new Error('Blob对象必须是图像类型');
+  /**
+   * 校验模型实际输出维度与配置是否一致
+   * 默认模型的向量写入 Milvus，还需与 MILVUS_CONFIG.VECTOR_DIMENSION 一致
+   * @param {string} modelName - 模型名称
+   * @param {number} dimension - 实际输出维度
+   * @throws {Error} 维度不一致时抛出错误（预热失败，就绪检查不通过）
+   * @private
+   */
+  assertModelDimension(modelName, dimension) {
+    const configured = EMBEDDING_CONFIG.MODELS[modelName].dimension;
+    if (configured && configured !== dimension) {
+      throw new Error(`模型 ${modelName} 的输出维度为 ${dimension}，与配置的 dimension=${configured} 不一致`);
     }
 
-    let result = null;
-    
-    try {
-      // 确保默认模型已加载
-      const modelName = EMBEDDING_CONFIG.DEFAULT_MODEL;
-      if (!this.loadedModels.has(modelName)) {
-        await this.loadModel(modelName);
-      }
+    if (modelName === EMBEDDING_CONFIG.DEFAULT_MODEL && dimension !== MILVUS_CONFIG.VECTOR_DIMENSION) {
+      throw new Error(`默认模型 ${modelName} 的输出维度为 ${dimension}，与 MILVUS_VECTOR_DIMENSION=${MILVUS_CONFIG.VECTOR_DIMENSION} 不一致，写入向量库将失败`);
+    }
+  }
 
-      const extractor = this.loadedModels.get(modelName);
-      
-      const features = await extractor(imageBlob);
-      
-      // 处理特征数据 - 确保是数值数组
-      let featureArray;
-      
-      // 处理特征数据
-      
-      if (Array.isArray(features)) {
-        // 如果已经是数组，检查是否包含对象
-        if (features.length > 0 && typeof features[0] === 'object' && features[0].ort_tensor) {
-          // 如果是包含ort_tensor对象的数组，提取cpuData
-          const tensorData = features[0].ort_tensor.cpuData;
-          // 提取tensor数据
-          
-          if (tensorData && typeof tensorData === 'object') {
-            // 将cpuData对象转换为数值数组，按索引排序
-            const sortedKeys = Object.keys(tensorData).map(Number).sort((a, b) => a - b);
-            featureArray = sortedKeys.map(key => tensorData[key]);
-            // 特征数组转换完成
-          } else {
-            // 如果tensorData无效，保持原数组
-            featureArray = features;
-            // 使用原始数组
-          }
-        } else {
-          featureArray = features;
-          // 使用原始数组
-        }
-      } else if (features && typeof features === 'object' && 'data' in features) {
-        // 如果是对象包含data属性，提取data
-        featureArray = Array.isArray(features.data) ? features.data : Array.from(features.data);
-        // 从data属性提取
-      } else if (features && typeof features === 'object' && 'image_embeds' in features) {
-        // 如果是对象包含image_embeds属性，提取image_embeds
-        featureArray = Array.isArray(features.image_embeds) ? features.image_embeds : Array.from(features.image_embeds);
-        // 从image_embeds属性提取
-      } else {
-        // 其他情况，尝试转换为数组
-        try {
-          featureArray = Array.from(features);
-          // 使用Array.from转换
-        } catch (error) {
-          console.error('❌ Array.from转换失败:', error.message);
-          throw new Error(`无法处理特征数据格式: ${typeof features}`);
-        }
-      }
-      
-      // 确保是数值数组
-      
-      if (!Array.isArray(featureArray)) {
-        console.error('❌ featureArray不是数组');
-        throw new Error(`特征提取结果不是数组，类型: ${typeof featureArray}`);
-      }
-      
-      if (featureArray.length === 0) {
-        console.error('❌ featureArray为空数组');
-        throw new Error('特征提取结果为空数组');
-      }
-      
-      // 验证特征向量是否为数值
-      const isValidFeatures = featureArray.every(feature => 
-        typeof feature === 'number' && !isNaN(feature) && isFinite(feature)
-      );
-      
-      if (!isValidFeatures) {
-        console.error('❌ 特征向量包含非数值数据');
-        throw new Error('特征向量包含非数值数据');
+  /**
+   * 获取就绪状态
+   * 预热未完成、存在加载失败的模型或推理队列接近饱和时视为未就绪
+   * @returns {Object} 就绪状态及各项检查结果
+   */
+  getReadiness() {
+    const reasons = [];
+
+    if (EMBEDDING_CONFIG.WARM_UP.enabled && !['completed', 'failed'].includes(this.warmUpState.status)) {
+      reasons.push('模型预热未完成');
+    }
+
+    const models = Object.keys(EMBEDDING_CONFIG.MODELS).map(name => {
+      const loaded = this.loadedModels.has(name);
+      const warmUpError = this.warmUpState.models[name]?.error;
+      const error = this.modelLoadErrors.get(name)?.message ?? (loaded ? undefined : warmUpError);
+
+      if (error) {
+        reasons.push(`模型 ${name} 不可用: ${error}`);
       }
-      
-      result = {
-        success: true,
-        data: {
-          features: featureArray,
-          dimension: featureArray.length
-        },
-        message: 'Blob特征提取成功'
+
+      return {
+        name,
+        loaded,
+        loading: this.loadingModels.has(name),
+        ...(error && { error })
       };
-      
-      return result;
-    } catch (error) {
-      console.error('❌ Blob特征提取失败:', error.message);
-      throw error;
-    } finally {
-      // 清理Blob对象引用
-      try {
-        imageBlob = null;
-      } catch (cleanupError) {
-        // 清理失败，静默处理
+    });
+
+    if (this.workerPool && !this.workerPool.healthy) {
+      reasons.push('推理工作线程多次异常退出，已停止重启');
+    }
+
+    const queue = this.concurrencyController.getQueueStatus();
+    const saturated = queue.queueSize >= queue.maxQueueSize * EMBEDDING_CONFIG.READINESS.maxQueueRatio;
+    if (saturated) {
+      reasons.push('推理队列接近饱和');
+    }
+
+    return {
+      ready: reasons.length === 0,
+      reasons,
+      warmUp: this.warmUpState,
+      models,
+      queue: {
+        ...queue,
+        saturated
       }
+    };
+  }
+
+  /**
+   * 创建模型特征提取管道
+   * 启用工作线程池时，各工作线程加载各自的模型，返回的函数将推理分派到线程池执行
+   * @param {string} modelName - 模型名称
+   * @param {Object} modelConfig - 模型配置
+   * @param {string} [instanceId] - 模型实例ID（热重载时新旧版本在工作线程中并存）
+   * @param {string} [fingerprint] - 完整性校验通过的模型文件指纹（工作线程重启后按需加载时据此确认文件未被替换）
+   * @returns {Promise<Function>} 特征提取管道
+   * @private
+   */
+  async createExtractor(modelName, modelConfig, instanceId = modelName, fingerprint) {
+    if (!EMBEDDING_CONFIG.WORKER_POOL.enabled) {
+      return await pipeline(modelConfig.task, modelConfig.modelId, modelRuntimeService.getPipelineOptions(modelName));
     }
+
+    const workerPool = this.getWorkerPool();
+    await workerPool.broadcast({ type: 'load', modelName, instanceId, fingerprint });
+
+    // 与管道调用方式一致：接受单张或多张图像，返回 { data, dims } 形式的张量数据
+    const extractor = async (input) => {
+      const images = (Array.isArray(input) ? input : [input]).map(image => ({
+        data: image.data,
+        width: image.width,
+        height: image.height,
+        channels: image.channels
+      }));
+      return await workerPool.run({ type: 'infer', modelName, instanceId, fingerprint, images });
+    };
+    extractor.dispose = () => workerPool.broadcast({ type: 'unload', modelName, instanceId });
+
+    return extractor;
+  }
+
+  /**
+   * 创建模型实例：加载特征提取管道，并包装为可统计进行中请求的函数
+   * 实例被热重载替换后，仍持有旧实例的调用方会被转交到当前实例
+   * @param {string} modelName - 模型名称
+   * @param {Object} modelConfig - 模型配置
+   * @returns {Promise<Function>} 特征提取管道（instance 属性为实例状态）
+   * @private
+   */
+  async createModelInstance(modelName, modelConfig) {
+    const revision = (this.modelRevisions.get(modelName) ?? 0) + 1;
+    this.modelRevisions.set(modelName, revision);
+
+    const fingerprint = await modelManifestService.getFingerprint(this.getModelPath(modelName));
+    const extractor = await this.createExtractor(modelName, modelConfig, `${modelName}#${revision}`, fingerprint);
+
+    const instance = {
+      revision,
+      fingerprint,
+      runtime: modelRuntimeService.getConfig(modelName),
+      loadedAt: new Date().toISOString(),
+      inFlight: 0,
+      retired: false,
+      onDrained: null
+    };
+
+    const trackedExtractor = async (input) => {
+      if (instance.retired) {
+        const current = await this.getExtractor(modelName);
+        return await current(input);
+      }
+      return await this.runTracked(instance, () => extractor(input));
+    };
+    trackedExtractor.instance = instance;
+    trackedExtractor.dispose = async () => {
+      instance.retired = true;
+      await extractor.dispose?.();
+    };
+
+    return trackedExtractor;
   }
 
+  /**
+   * 获取推理工作线程池（未创建时创建并启动）
+   * @returns {WorkerPool} 工作线程池
+   * @private
+   */
+  getWorkerPool() {
+    if (!this.workerPool) {
+      this.workerPool = new WorkerPool({
+        workerFile: INFERENCE_WORKER_FILE,
+        size: EMBEDDING_CONFIG.WORKER_POOL.size,
+        name: 'inference',
+        maxRestarts: EMBEDDING_CONFIG.WORKER_POOL.maxRestarts,
+        restartDelay: EMBEDDING_CONFIG.WORKER_POOL.restartDelay
+      });
+      this.workerPool.start();
+    }
+    return this.workerPool;
+  }
+
+  /**
+   * 获取推理工作线程池统计信息（含每个线程的利用率）
+   * @returns {Object} 统计信息
+   */
+  getWorkerStats() {
+    return {
+      enabled: EMBEDDING_CONFIG.WORKER_POOL.enabled,
+      size: EMBEDDING_CONFIG.WORKER_POOL.size,
+      started: Boolean(this.workerPool),
+      healthy: this.workerPool ? this.workerPool.healthy : true,
+      ...(this.workerPool && this.workerPool.getStats())
+    };
+  }
+
+  /**
+   * 推理基准测试：以当前运行时配置（精度、线程数、工作线程池）对合成图像重复推理，报告吞吐量与延迟
+   * 直接调用特征提取管道，不经过并发控制器与缓存，建议在低峰期执行
+   * @param {string} [model] - 模型名称（默认使用 DEFAULT_MODEL）
+   * @param {Object} [options] - 测试选项
+   * @param {number} [options.iterations=20] - 推理次数
+   * @param {number} [options.batchSize=1] - 每次推理的图像数量
+   * @param {number} [options.concurrency] - 并行推理数（默认等于工作线程数，未启用线程池时为 1）
+   * @returns {Promise<Object>} 测试结果
+   */
+  async benchmark(model, options = {}) {
+    if (this.benchmarkRunning) {
+      const error = new Error('已有基准测试正在运行，请稍后重试');
+      error.code = 'BENCHMARK_RUNNING';
+      throw error;
+    }
+
+    const modelName = this.resolveModelName(model);
+    const clamp = (value, fallback, max) => Math.min(Math.max(parseInt(value) || fallback, 1), max);
+    const defaultConcurrency = EMBEDDING_CONFIG.WORKER_POOL.enabled ? EMBEDDING_CONFIG.WORKER_POOL.size : 1;
+    const iterations = clamp(options.iterations, 20, BENCHMARK_LIMITS.maxIterations);
+    const batchSize = clamp(options.batchSize, 1, BENCHMARK_LIMITS.maxBatchSize);
+    const concurrency = clamp(options.concurrency, defaultConcurrency, BENCHMARK_LIMITS.maxConcurrency);
+
+    this.benchmarkRunning = true;
+    try {
+      const extractor = await this.getExtractor(modelName);
+
+      // 合成随机像素图像（与预热图像同尺寸）
+      const size = EMBEDDING_CONFIG.WARM_UP.imageSize;
+      const images = Array.from({ length: batchSize }, () => {
+        const data = new Uint8ClampedArray(size * size * 3);
+        crypto.randomFillSync(data);
+        return new RawImage(data, size, size, 3);
+      });
+      const input = batchSize === 1 ? images[0] : images;
+
+      // 先执行一次空推理，确保会话已初始化，不计入耗时
+      await this.runValidationInference(extractor);
+
+      const latencies = [];
+      let started = 0;
+      const startTime = performance.now();
+      await Promise.all(Array.from({ length: concurrency }, async () => {
+        while (started < iterations) {
+          started++;
+          const callStart = performance.now();
+          await extractor(input);
+          latencies.push(performance.now() - callStart);
+        }
+      }));
+      const duration = performance.now() - startTime;
+
+      latencies.sort((a, b) => a - b);
+      const percentile = (ratio) => latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * ratio))];
+      const round = (value) => Math.round(value * 100) / 100;
+
+      return {
+        model: modelName,
+        runtime: extractor.instance.runtime,
+        workerPool: {
+          enabled: EMBEDDING_CONFIG.WORKER_POOL.enabled,
+          size: EMBEDDING_CONFIG.WORKER_POOL.size
+        },
+        iterations,
+        batchSize,
+        concurrency,
+        images: iterations * batchSize,
+        duration: Math.round(duration),
+        imagesPerSecond: round(iterations * batchSize / duration * 1000),
+        latency: {
+          avg: round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length),
+          p50: round(percentile(0.5)),
+          p95: round(percentile(0.95)),
+          max: round(latencies[latencies.length - 1])
+        }
+      };
+    } finally {
+      this.benchmarkRunning = false;
+    }
+  }
+
+  /**
+   * 解析请求使用的模型名称（未指定时使用默认模型）
+   * @param {string} [modelName] - 模型名称
+   * @returns {string} 已配置的模型名称
+   */
+  resolveModelName(modelName) {
+    const name = modelName || EMBEDDING_CONFIG.DEFAULT_MODEL;
+    if (!this.hasModelConfig(name)) {
+      throw new Error(`未找到模型配置: ${name}`);
+    }
+    return name;
+  }
+
+  /**
+   * 检查模型是否已配置
+   * @param {string} modelName - 模型名称
+   * @returns {boolean} 是否已配置
+   */
+  hasModelConfig(modelName) {
+    return Object.prototype.hasOwnProperty.call(EMBEDDING_CONFIG.MODELS, modelName);
+  }
+
+  /**
+   * 获取模型特征提取管道（未加载时自动加载）
+   * @param {string} modelName - 模型名称
+   * @returns {Promise<Function>} 特征提取管道
+   */
+  async getExtractor(modelName) {
+    const extractor = this.loadedModels.get(modelName);
+    if (extractor) {
+      return extractor;
+    }
+
+    // 请求触发的自动加载，不会加载已显式卸载的模型
+    const result = await this.loadModel(modelName, { explicit: false });
+    return result.model;
+  }
+
+  /**
+   * 卸载模型并释放推理会话
+   * 与该模型的加载、热重载按顺序执行；先等待进行中的推理完成再释放，卸载后请求不会自动重新加载该模型
+   * @param {string} modelName - 模型名称
+   * @returns {Promise<Object>} 卸载结果
+   */
+  async unloadModel(modelName) {
+    return await this.modelLock.run([modelName], () => this.runUnload(modelName));
+  }
+
+  /**
+   * 执行卸载（持有模型锁时调用）
+   * @param {string} modelName - 模型名称
+   * @returns {Promise<Object>} 卸载结果
+   * @private
+   */
+  async runUnload(modelName) {
+    const extractor = this.loadedModels.get(modelName);
+    const textModel = this.loadedTextModels.get(modelName);
+
+    // 显式卸载后，请求与默认模型初始化都不会再自动加载该模型
+    this.unloadedModels.add(modelName);
+
+    if (!extractor && !textModel) {
+      return {
+        success: true,
+        data: { name: modelName, unloaded: false },
+        message: `模型 ${modelName} 未加载`
+      };
+    }
+
+    this.loadedModels.delete(modelName);
+    this.loadedTextModels.delete(modelName);
+
+    // 卸载默认模型后，请求不再自动初始化
+    if (modelName === EMBEDDING_CONFIG.DEFAULT_MODEL) {
+      this.isInitialized = false;
+    }
+
+    // 等待进行中的推理完成后释放（新请求已无法取得该实例）
+    const { drainTimeout } = EMBEDDING_CONFIG.HOT_RELOAD;
+    const drainResults = await Promise.all([
+      extractor ? this.waitForDrain(extractor.instance, drainTimeout) : true,
+      textModel ? this.waitForDrain(textModel, drainTimeout) : true
+    ]);
+    const drained = drainResults.every(Boolean);
+    if (!drained) {
+      console.warn(`⚠️ 模型 ${modelName} 在 ${drainTimeout}ms 内未处理完进行中的请求，强制释放`);
+    }
+    await this.disposeModelResources(extractor, textModel);
+
+    return {
+      success: true,
+      data: { name: modelName, unloaded: true, drained },
+      message: `模型 ${modelName} 已卸载`
+    };
+  }
+
+  /**
+   * 获取已配置模型列表及加载状态
+   * @returns {Array<Object>} 模型列表
+   */
+  listModels() {
+    return Object.entries(EMBEDDING_CONFIG.MODELS).map(([name, modelConfig]) => ({
+      name,
+      modelId: modelConfig.modelId,
+      task: modelConfig.task,
+      isDefault: name === EMBEDDING_CONFIG.DEFAULT_MODEL,
+      isLoaded: this.loadedModels.has(name),
+      isLoading: this.loadingModels.has(name),
+      supportsText: Boolean(modelConfig.text),
+      // 优先使用实际推理得到的维度，其次使用配置值
+      dimension: this.modelDimensions.get(name) ?? modelConfig.dimension ?? null,
+      dimensionVerified: this.modelDimensions.has(name),
+      // 完整性校验状态（verified/unverified/failed/disabled，尚未加载时为 null）
+      integrity: modelManifestService.getResult(name)?.status ?? null,
+      // 当前实例版本号与模型文件指纹（每次加载或热重载后变化）
+      revision: this.loadedModels.get(name)?.instance?.revision ?? null,
+      fingerprint: this.loadedModels.get(name)?.instance?.fingerprint ?? null,
+      // 推理运行时配置（精度/量化变体与线程数）
+      runtime: modelRuntimeService.getSummary(name),
+      isReloading: this.reloadingModels.has(name),
+      lastReload: this.reloadResults.get(name) ?? null
+    }));
+  }
+
+  /**
+   * 检查本地模型文件
+   * @param {string} modelName - 模型名称
+   * @returns {Promise<boolean>} 是否存在本地模型
+   */
+  async checkLocalModel(modelName) {
+    try {
+      const fs = await import('fs/promises');
+      const modelPath = this.getModelPath(modelName);
+      
+      try {
+        const stats = await fs.stat(modelPath);
+        if (stats.isDirectory()) {
+          const files = await fs.readdir(modelPath);
+          return files.length > 0;
+        }
+      } catch (error) {
+        return false;
+      }
+      
+      return false;
+    } catch (error) {
+      console.error(`❌ 检查本地模型失败: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 按完整性清单校验本地模型目录（校验失败时抛出 MODEL_INTEGRITY_FAILED）
+   * @param {string} modelName - 模型名称
+   * @returns {Promise<Object>} 校验结果
+   * @private
+   */
+  async verifyLocalModel(modelName) {
+    return await modelManifestService.verifyModel(modelName, this.getModelPath(modelName));
+  }
+
+  /**
+   * 获取本地模型目录
+   * @param {string} modelName - 模型名称
+   * @returns {string} 模型目录
+   * @private
+   */
+  getModelPath(modelName) {
+    return path.join(env.localModelPath, modelName);
+  }
+
+  /**
+   * 提取图像特征（通过URL）
+   * @param {string} imageInput - 图像URL、data URI 或 base64 字符串
+   * @param {string} [model] - 模型名称（默认使用 DEFAULT_MODEL）
+   * @param {Object} [options] - 提取选项
+   * @param {boolean} [options.includeHashes=false] - 是否同时返回内容哈希与感知哈希
+   * @returns {Promise<Object>} 特征提取结果
+   */
+  async extractFeatures(imageInput, model, options = {}) {
+    // 确保服务已初始化
+    await this.autoInitialize();
+
+    // 验证输入
+    if (!imageInput) {
+      throw new Error('图像输入不能为空');
+    }
+
+    // 验证输入类型（只接受URL字符串）
+    if (typeof imageInput !== 'string') {
+      throw new Error('extractFeatures 只接受字符串类型的图像输入');
+    }
+
+    try {
+      const modelName = this.resolveModelName(model);
+      const { features: featureArray, cached, hashes } = await this.extractWithCache(modelName, imageInput, {
+        ...options,
+        taskName: 'extract'
+      });
+      
+      return {
+        success: true,
+        data: {
+          features: featureArray,
+          dimension: featureArray.length,
+          model: modelName,
+          cached,
+          ...(hashes && { hashes })
+        },
+        message: '特征提取成功'
+      };
+    } catch (error) {
+      console.error('❌ 特征提取失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 提取图像特征（通过Blob对象）
+   * @param {Blob} imageBlob - 图像Blob对象
+   * @param {string} [model] - 模型名称（默认使用 DEFAULT_MODEL）
+   * @param {Object} [options] - 提取选项
+   * @param {boolean} [options.includeHashes=false] - 是否同时返回内容哈希与感知哈希
+   * @returns {Promise<Object>} 特征提取结果
+   */
+  async extractFeaturesFromBlob(imageBlob, model, options = {}) {
+    // 确保服务已初始化
+    await this.autoInitialize();
+
+    // 验证输入
+    if (!imageBlob) {
+      throw new Error('图像Blob对象不能为空');
+    }
+
+    // 验证Blob对象类型
+    if (!(imageBlob instanceof Blob)) {
+      throw new Error('extractFeaturesFromBlob 只接受Blob对象输入');
+    }
+
+    // 验证Blob对象大小
+    if (imageBlob.size === 0) {
+      throw new Error('图像Blob对象不能为空');
+    }
+
+    // 验证MIME类型
+    if (!imageBlob.type.startsWith('image/')) {
+      throw new Error('Blob对象必须是图像类型');
+    }
+
+    let result = null;
+    
+    try {
+      const modelName = this.resolveModelName(model);
+      const { features: featureArray, cached, hashes } = await this.extractWithCache(modelName, imageBlob, {
+        ...options,
+        taskName: 'extract-blob'
+      });
+      
+      result = {
+        success: true,
+        data: {
+          features: featureArray,
+          dimension: featureArray.length,
+          model: modelName,
+          cached,
+          ...(hashes && { hashes })
+        },
+        message: 'Blob特征提取成功'
+      };
+      
+      return result;
+    } catch (error) {
+      console.error('❌ Blob特征提取失败:', error.message);
+      throw error;
+    } finally {
+      // 清理Blob对象引用
+      try {
+        imageBlob = null;
+      } catch (cleanupError) {
+        // 清理失败，静默处理
+      }
+    }
+  }
+
+
+  /**
+   * 批量提取图像特征（单次批量前向推理）
+   * 单个图像失败不影响其他图像，结果按输入顺序返回
+   * @param {Array<string|Blob>} imageInputs - 图像URL、data URI、base64 字符串或Blob对象数组
+   * @param {string} [model] - 模型名称（默认使用 DEFAULT_MODEL）
+   * @returns {Promise<Object>} 批量特征提取结果
+   */
+  async extractFeaturesBatch(imageInputs, model) {
+    // 确保服务已初始化
+    await this.autoInitialize();
+
+    // 验证输入
+    if (!Array.isArray(imageInputs) || imageInputs.length === 0) {
+      throw new Error('图像输入必须是非空数组');
+    }
+
+    if (imageInputs.length > EMBEDDING_CONFIG.BATCH_MAX_SIZE) {
+      throw new Error(`单次批量提取最多 ${EMBEDDING_CONFIG.BATCH_MAX_SIZE} 张图像`);
+    }
+
+    const modelName = this.resolveModelName(model);
+    const results = await this.runExtractionTask('extract-batch', () =>
+      this.runBatchExtraction(modelName, imageInputs)
+    );
+
+    const successCount = results.filter(item => item.success).length;
+    const firstSuccess = results.find(item => item.success);
+    if (firstSuccess) {
+      this.modelDimensions.set(modelName, firstSuccess.dimension);
+    }
+
+    return {
+      success: true,
+      data: {
+        model: modelName,
+        results,
+        total: results.length,
+        successCount,
+        failedCount: results.length - successCount
+      },
+      message: '批量特征提取完成'
+    };
+  }
+
+  /**
+   * 执行批量特征提取（读取图像、查询缓存、单次批量推理、写入缓存）
+   * @param {string} modelName - 模型名称
+   * @param {Array<string|Blob>} imageInputs - 图像URL、data URI、base64 字符串或Blob对象数组
+   * @returns {Promise<Array<Object>>} 按输入顺序排列的逐条结果
+   * @private
+   */
+  async runBatchExtraction(modelName, imageInputs) {
+    const cacheNamespace = await this.getCacheNamespace(modelName);
+    const results = new Array(imageInputs.length);
+
+    // 1. 并行读取图像并查询缓存，读取失败的条目单独记录错误
+    const decoded = await Promise.allSettled(
+      imageInputs.map(async (imageInput) => {
+        this.validateImageInput(imageInput);
+        const { input, hash } = await this.prepareImageInput(imageInput);
+
+        const cachedFeatures = hash ? await featureCacheService.get(cacheNamespace, hash) : null;
+        if (cachedFeatures) {
+          return { hash, cachedFeatures };
+        }
+
+        return { hash, image: await this.loadImage(modelName, input) };
+      })
+    );
+
+    const images = [];
+    const imageIndexes = [];
+    const imageHashes = [];
+    decoded.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled' && outcome.value.cachedFeatures) {
+        results[index] = {
+          index,
+          success: true,
+          features: outcome.value.cachedFeatures,
+          dimension: outcome.value.cachedFeatures.length,
+          cached: true
+        };
+      } else if (outcome.status === 'fulfilled') {
+        images.push(outcome.value.image);
+        imageIndexes.push(index);
+        imageHashes.push(outcome.value.hash);
+      } else {
+        results[index] = {
+          index,
+          success: false,
+          error: outcome.reason?.message || String(outcome.reason)
+        };
+      }
+    });
+
+    // 2. 对所有可读取的图像执行一次批量推理
+    if (images.length > 0) {
+      const outputs = await this.inferBatch(modelName, images);
+
+      outputs.forEach((output, i) => {
+        results[imageIndexes[i]] = this.buildBatchItemResult(imageIndexes[i], () => {
+          if (output instanceof Error) {
+            throw output;
+          }
+          return output;
+        });
+      });
+
+      // 3. 写入新提取的特征缓存
+      for (let i = 0; i < images.length; i++) {
+        const item = results[imageIndexes[i]];
+        if (item.success && imageHashes[i]) {
+          await featureCacheService.set(cacheNamespace, imageHashes[i], item.features);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 单图像推理（启用微批处理时与同一时间窗口内的其他请求合并执行）
+   * 推理经并发控制器排队，每个批次只占用一个并发槽位；调用方不得持有并发槽位，否则批次无法凑满
+   * @param {string} modelName - 模型名称
+   * @param {RawImage} image - 预处理后的图像
+   * @returns {Promise<Array<number>|Object>} 模型输出
+   * @private
+   */
+  async inferImage(modelName, image) {
+    if (!EMBEDDING_CONFIG.MICRO_BATCH.enabled) {
+      return await this.runExtractionTask('infer', async () => {
+        const extractor = await this.getExtractor(modelName);
+        return await this.observeInference(modelName, 'image', 1, () => extractor(image));
+      });
+    }
+
+    let batcher = this.microBatchers.get(modelName);
+    if (!batcher) {
+      batcher = new MicroBatcher({
+        batchFn: (images) => this.runExtractionTask('infer-batch', () => this.inferBatch(modelName, images)),
+        maxBatchSize: EMBEDDING_CONFIG.MICRO_BATCH.maxBatchSize,
+        maxWaitMs: EMBEDDING_CONFIG.MICRO_BATCH.maxWaitMs
+      });
+      this.microBatchers.set(modelName, batcher);
+    }
+
+    return await batcher.add(image);
+  }
+
+  /**
+   * 批量推理（单次前向推理，失败时逐张重试以定位具体失败的图像）
+   * @param {string} modelName - 模型名称
+   * @param {Array<RawImage>} images - 预处理后的图像数组
+   * @returns {Promise<Array<Array<number>|Error>>} 按输入顺序排列的特征数据，失败条目为 Error
+   * @private
+   */
+  async inferBatch(modelName, images) {
+    const extractor = await this.getExtractor(modelName);
+
+    try {
+      const features = await this.observeInference(modelName, 'image', images.length, () => extractor(images));
+      return this.splitBatchFeatures(features, images.length);
+    } catch (error) {
+      if (images.length === 1) {
+        return [error];
+      }
+
+      console.error('❌ 批量推理失败，逐张重试:', error.message);
+      const outputs = [];
+      for (const image of images) {
+        outputs.push(await this.observeInference(modelName, 'image', 1, () => extractor(image)).catch(itemError => itemError));
+      }
+      return outputs;
+    }
+  }
+
+  /**
+   * 记录一次前向推理的耗时与输入数量
+   * @param {string} modelName - 模型名称
+   * @param {string} tower - 推理塔（image/text）
+   * @param {number} inputCount - 输入数量
+   * @param {Function} run - 执行推理的函数
+   * @returns {Promise<any>} 推理结果
+   * @private
+   */
+  async observeInference(modelName, tower, inputCount, run) {
+    const endTimer = this.inferenceDuration.startTimer({ model: modelName, tower });
+    this.inferenceInputs.inc({ model: modelName, tower }, inputCount);
+
+    try {
+      const output = await run();
+      endTimer({ status: 'success' });
+      return output;
+    } catch (error) {
+      endTimer({ status: 'error' });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取微批处理统计信息
+   * @returns {Object} 各模型的批次统计
+   */
+  getMicroBatchStats() {
+    const models = {};
+    for (const [modelName, batcher] of this.microBatchers) {
+      models[modelName] = batcher.getStats();
+    }
+
+    return {
+      enabled: EMBEDDING_CONFIG.MICRO_BATCH.enabled,
+      maxBatchSize: EMBEDDING_CONFIG.MICRO_BATCH.maxBatchSize,
+      maxWaitMs: EMBEDDING_CONFIG.MICRO_BATCH.maxWaitMs,
+      models
+    };
+  }
+
+  /**
+   * 通过并发控制器执行推理任务
+   * 队列已满时抛出 code 为 QUEUE_FULL 的错误（附带队列状态），由处理器转换为 429 响应
+   * @param {string} name - 任务名称
+   * @param {Function} task - 任务函数
+   * @returns {Promise<any>} 任务函数的返回值
+   * @private
+   */
+  async runExtractionTask(name, task) {
+    try {
+      const result = await this.concurrencyController.addTask({
+        id: `${name}-${++this.taskSequence}`,
+        task,
+        retries: 0,
+        timeout: CONCURRENCY_CONFIG.DEFAULT_TIMEOUT
+      });
+      return result.data;
+    } catch (error) {
+      // 并发控制器以任务结果对象拒绝，还原原始错误
+      throw error?.error instanceof Error ? error.error : error;
+    }
+  }
+
+  /**
+   * 获取准入控制状态
+   * @returns {Object} 队列状态及建议的重试等待时间（秒）
+   */
+  getAdmissionStatus() {
+    const status = this.concurrencyController.getQueueStatus();
+
+    // 按当前排队深度与平均任务耗时估算队列排空所需时间
+    const waves = Math.ceil((status.queueSize + 1) / status.maxConcurrency);
+    const retryAfter = Math.min(60, Math.max(1, Math.ceil(waves * status.averageDuration / 1000)));
+
+    return {
+      ...status,
+      retryAfter
+    };
+  }
+
+  /**
+   * 带缓存的单图像特征提取
+   * 图像读取、解码与缓存查询占用一个并发槽位，完成后释放，推理再按批次排队（见 inferImage）
+   * @param {string} modelName - 模型名称
+   * @param {string|Blob} imageInput - 图像URL、data URI、base64 字符串或Blob对象
+   * @param {Object} [options] - 提取选项
+   * @param {boolean} [options.includeHashes=false] - 是否计算图像哈希
+   * @param {string} [options.taskName='extract'] - 并发控制器中的任务名称
+   * @returns {Promise<Object>} { features, cached, hashes }
+   * @private
+   */
+  async extractWithCache(modelName, imageInput, options = {}) {
+    const prepared = await this.runExtractionTask(options.taskName || 'extract', async () => {
+      const { input, hash } = await this.prepareImageInput(imageInput);
+      const cacheNamespace = await this.getCacheNamespace(modelName);
+      const hashes = options.includeHashes ? await perceptualHashService.computeHashes(input) : null;
+
+      if (hash) {
+        const cachedFeatures = await featureCacheService.get(cacheNamespace, hash);
+        if (cachedFeatures) {
+          return { cachedFeatures, hashes };
+        }
+      }
+
+      return { hash, hashes, cacheNamespace, image: await this.loadImage(modelName, input) };
+    });
+
+    const { hash, hashes, cacheNamespace, image, cachedFeatures } = prepared;
+    if (cachedFeatures) {
+      return { features: cachedFeatures, cached: true, hashes };
+    }
+
+    const features = await this.inferImage(modelName, image);
+
+    const featureArray = this.normalizeFeatures(this.convertToFeatureArray(features));
+    this.modelDimensions.set(modelName, featureArray.length);
+
+    if (hash) {
+      await featureCacheService.set(cacheNamespace, hash, featureArray);
+    }
+
+    return { features: featureArray, cached: false, hashes };
+  }
+
+  /**
+   * 准备图像输入（解码内联图像或安全下载远程图像，缓存启用时计算内容哈希）
+   * @param {string|Blob} imageInput - 图像URL、data URI、base64 字符串或Blob对象
+   * @returns {Promise<Object>} { input, hash }
+   * @private
+   */
+  async prepareImageInput(imageInput) {
+    let input = imageInput;
+    if (typeof input === 'string') {
+      input = inlineImageService.isInlineImage(input)
+        ? inlineImageService.decode(input)
+        : await imageFetchService.fetchImage(input);
+    }
+
+    if (!featureCacheService.enabled) {
+      return { input, hash: null };
+    }
+
+    const bytes = new Uint8Array(await input.arrayBuffer());
+    return { input, hash: featureCacheService.computeHash(bytes) };
+  }
+
+  /**
+   * 读取并预处理图像
+   * @param {string} modelName - 模型名称
+   * @param {Blob} input - 图像Blob对象
+   * @returns {Promise<RawImage>} 可直接送入管道的图像
+   * @private
+   */
+  async loadImage(modelName, input) {
+    return await imagePreprocessService.process(input, modelName);
+  }
+
+  /**
+   * 获取特征缓存命名空间（模型名称 + 预处理配置指纹 + 模型文件指纹 + 权重精度 + 归一化标记）
+   * 模型文件指纹使热重载后的新版本不会读取旧版本的缓存特征，不同精度/量化变体的特征也互相隔离
+   * 归一化标记使未归一化的旧缓存特征不再命中
+   * @param {string} modelName - 模型名称
+   * @returns {Promise<string>} 缓存命名空间
+   * @private
+   */
+  async getCacheNamespace(modelName) {
+    const extractor = await this.getExtractor(modelName);
+    const { fingerprint, runtime } = extractor.instance;
+    return `${modelName}@${imagePreprocessService.getFingerprint(modelName)}@${fingerprint}@${runtime.dtype}@l2`;
+  }
+
+  /**
+   * 获取特征缓存统计信息
+   * @returns {Object} 统计信息
+   */
+  getCacheStats() {
+    return featureCacheService.getStats();
+  }
+
+  /**
+   * 清空特征缓存
+   * @param {Object} [options] - 清理选项
+   * @param {boolean} [options.includeDisk=false] - 是否同时删除磁盘缓存
+   */
+  async clearCache(options = {}) {
+    await featureCacheService.clear(options);
+  }
+
+  /**
+   * 验证单个图像输入（URL 字符串或图像 Blob）
+   * @param {string|Blob} imageInput - 图像输入
+   * @private
+   */
+  validateImageInput(imageInput) {
+    if (!imageInput) {
+      throw ServiceUtils.createError('图像输入不能为空', 'INVALID_PARAMS');
+    }
+
+    if (typeof imageInput === 'string') {
+      return;
+    }
+
+    if (!(imageInput instanceof Blob)) {
+      throw ServiceUtils.createError('图像输入必须是URL字符串或Blob对象', 'INVALID_PARAMS');
+    }
+
+    if (imageInput.size === 0) {
+      throw ServiceUtils.createError('图像Blob对象不能为空', 'INVALID_PARAMS');
+    }
+
+    if (!imageInput.type.startsWith('image/')) {
+      throw ServiceUtils.createError('Blob对象必须是图像类型', 'INVALID_PARAMS');
+    }
+  }
+
+  /**
+   * 将批量推理输出按图像拆分为逐条特征
+   * @param {Object} features - 批量推理输出 Tensor
+   * @param {number} batchSize - 批次中的图像数量
+   * @returns {Array<Array<number>>} 每张图像的特征数据
+   * @private
+   */
+  splitBatchFeatures(features, batchSize) {
+    const data = features?.data;
+    if (!data || data.length % batchSize !== 0) {
+      throw new Error('批量推理输出与输入数量不匹配');
+    }
+
+    const rowSize = data.length / batchSize;
+    const rows = [];
+    for (let i = 0; i < batchSize; i++) {
+      rows.push(Array.from(data.subarray(i * rowSize, (i + 1) * rowSize)));
+    }
+
+    return rows;
+  }
+
+  /**
+   * 构建批量提取的单条结果
+   * @param {number} index - 输入序号
+   * @param {Function} getFeatures - 返回模型输出的函数
+   * @returns {Object} 单条结果
+   * @private
+   */
+  buildBatchItemResult(index, getFeatures) {
+    try {
+      const featureArray = this.normalizeFeatures(this.convertToFeatureArray(getFeatures()));
+      return {
+        index,
+        success: true,
+        features: featureArray,
+        dimension: featureArray.length,
+        cached: false
+      };
+    } catch (error) {
+      return {
+        index,
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * 加载模型文本塔
+   * @param {string} modelName - 模型名称
+   * @returns {Promise<Object>} 文本模型（tokenizer 与 model）
+   */
+  async loadTextModel(modelName) {
+    if (this.loadedTextModels.has(modelName)) {
+      return this.loadedTextModels.get(modelName);
+    }
+
+    try {
+      const modelConfig = EMBEDDING_CONFIG.MODELS[modelName];
+      if (!modelConfig) {
+        throw new Error(`未找到模型配置: ${modelName}`);
+      }
+
+      if (!modelConfig.text) {
+        throw new Error(`模型 ${modelName} 未配置文本塔，不支持文本编码`);
+      }
+
+      // 与图像塔共用模型锁，卸载后不会被并发请求重新加载
+      return await this.modelLock.run([modelName], async () => {
+        if (this.loadedTextModels.has(modelName)) {
+          return this.loadedTextModels.get(modelName);
+        }
+        this.assertModelNotUnloaded(modelName);
+
+        // 检查本地模型文件
+        const hasLocalModel = await this.checkLocalModel(modelName);
+        if (!hasLocalModel) {
+          throw new Error(`本地模型文件不存在: ${modelName}`);
+        }
+        await this.verifyLocalModel(modelName);
+
+        const textModel = await this.createTextModel(modelName, modelConfig);
+        this.loadedTextModels.set(modelName, textModel);
+
+        return textModel;
+      });
+    } catch (error) {
+      console.error(`❌ 文本模型加载失败:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 创建文本模型（附带进行中请求计数用于热重载）
+   * 启用工作线程池时，各工作线程加载各自的文本模型，编码分派到线程池执行
+   * @param {string} modelName - 模型名称
+   * @param {Object} modelConfig - 模型配置
+   * @returns {Promise<Object>} 文本模型（encode 接收文本数组，返回 { data, dims } 形式的张量数据）
+   * @private
+   */
+  async createTextModel(modelName, modelConfig) {
+    if (!modelConfig.text) {
+      throw new Error(`模型 ${modelName} 未配置文本塔，不支持文本编码`);
+    }
+
+    const TextModelClass = TEXT_MODEL_CLASSES[modelConfig.text.modelClass];
+    if (!TextModelClass) {
+      throw new Error(`不支持的文本模型类型: ${modelConfig.text.modelClass}`);
+    }
+
+    const state = { inFlight: 0, retired: false, onDrained: null };
+
+    if (EMBEDDING_CONFIG.WORKER_POOL.enabled) {
+      const workerPool = this.getWorkerPool();
+      const instanceId = `${modelName}#text-${++this.textInstanceSequence}`;
+      const fingerprint = await modelManifestService.getFingerprint(this.getModelPath(modelName));
+      await workerPool.broadcast({ type: 'load-text', modelName, instanceId, fingerprint });
+
+      return {
+        ...state,
+        encode: (texts) => workerPool.run({ type: 'encode-text', modelName, instanceId, fingerprint, texts }),
+        dispose: () => workerPool.broadcast({ type: 'unload-text', instanceId })
+      };
+    }
+
+    const tokenizer = await AutoTokenizer.from_pretrained(modelConfig.modelId);
+    const model = await TextModelClass.from_pretrained(modelConfig.modelId, modelRuntimeService.getTextModelOptions(modelName));
+
+    return {
+      ...state,
+      encode: async (texts) => {
+        // SigLIP 训练时使用定长填充，推理时需保持一致
+        const textInputs = tokenizer(texts, {
+          padding: 'max_length',
+          truncation: true,
+          max_length: modelConfig.text.maxLength
+        });
+        const outputs = await model(textInputs);
+        return outputs.text_embeds ?? outputs.pooler_output;
+      },
+      dispose: () => model.dispose?.()
+    };
+  }
+
+  /**
+   * 将中文查询翻译为英文（启用工作线程池时在工作线程中翻译）
+   * 翻译模型不可用时返回原文，不阻断查询
+   * @param {string} text - 查询文本
+   * @returns {Promise<string>} 用于编码的文本
+   */
+  async translateQuery(text) {
+    const translationConfig = EMBEDDING_CONFIG.TEXT_TRANSLATION;
+    if (!translationConfig.enabled || !CJK_PATTERN.test(text)) {
+      return text;
+    }
+
+    try {
+      if (!this.translator) {
+        const hasLocalModel = await this.checkLocalModel(translationConfig.modelId);
+        if (!hasLocalModel) {
+          console.warn(`⚠️ 翻译模型不存在: ${translationConfig.modelId}，使用原文编码`);
+          return text;
+        }
+
+        await this.verifyLocalModel(translationConfig.modelId);
+        if (EMBEDDING_CONFIG.WORKER_POOL.enabled) {
+          const fingerprint = await modelManifestService.getFingerprint(this.getModelPath(translationConfig.modelId));
+          this.translator = (input) => this.getWorkerPool().run({ type: 'translate', text: input, fingerprint });
+        } else {
+          this.translator = await pipeline(translationConfig.task, translationConfig.modelId);
+        }
+      }
+
+      const output = await this.translator(text);
+      const translated = output?.[0]?.translation_text?.trim();
+
+      return translated || text;
+    } catch (error) {
+      console.warn(`⚠️ 查询翻译失败，使用原文编码: ${error.message}`);
+      return text;
+    }
+  }
+
+  /**
+   * 提取文本特征（与图像特征处于同一向量空间）
+   * @param {string} text - 查询文本
+   * @param {string} [model] - 模型名称（默认使用 DEFAULT_MODEL）
+   * @returns {Promise<Object>} 特征提取结果
+   */
+  async extractTextFeatures(text, model) {
+    // 验证输入
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      throw new Error('文本输入不能为空');
+    }
+
+    if (text.length > EMBEDDING_CONFIG.MAX_TEXT_LENGTH) {
+      throw new Error(`文本长度不能超过 ${EMBEDDING_CONFIG.MAX_TEXT_LENGTH} 个字符`);
+    }
+
+    try {
+      const modelName = this.resolveModelName(model);
+      const { query, featureArray } = await this.runExtractionTask('extract-text', async () => {
+        const translated = await this.translateQuery(text.trim());
+        const [features] = await this.encodeTexts(modelName, [translated]);
+        return { query: translated, featureArray: features };
+      });
+
+      return {
+        success: true,
+        data: {
+          features: featureArray,
+          dimension: featureArray.length,
+          model: modelName,
+          query
+        },
+        message: '文本特征提取成功'
+      };
+    } catch (error) {
+      console.error('❌ 文本特征提取失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 使用文本塔批量编码文本（单次前向推理）
+   * @param {string} modelName - 模型名称
+   * @param {Array<string>} texts - 待编码文本（已翻译为英文）
+   * @returns {Promise<Array<Array<number>>>} 每条文本的特征向量
+   * @private
+   */
+  async encodeTexts(modelName, texts) {
+    const textModel = await this.loadTextModel(modelName);
+    return await this.runTextModel(modelName, textModel, texts);
+  }
+
+  /**
+   * 使用指定的文本模型编码文本（已被热重载替换的文本模型转交当前版本）
+   * @param {string} modelName - 模型名称
+   * @param {Object} textModel - 文本模型
+   * @param {Array<string>} texts - 待编码文本
+   * @returns {Promise<Array<Array<number>>>} 每条文本的特征向量
+   * @private
+   */
+  async runTextModel(modelName, textModel, texts) {
+    if (textModel.retired) {
+      return await this.encodeTexts(modelName, texts);
+    }
+
+    const embeddings = await this.runTracked(textModel, () =>
+      this.observeInference(modelName, 'text', texts.length, () => textModel.encode(texts))
+    );
+    const rows = this.splitBatchFeatures(embeddings, texts.length);
+
+    return rows.map(row => this.normalizeFeatures(this.convertToFeatureArray(row)));
+  }
+
+  /**
+   * 获取已配置的命名标签集
+   * @returns {Array<Object>} 标签集列表
+   */
+  listLabelSets() {
+    const { LABEL_SETS, promptTemplate } = EMBEDDING_CONFIG.CLASSIFICATION;
+
+    return Object.entries(LABEL_SETS).map(([name, labelSet]) => ({
+      name,
+      description: labelSet.description || '',
+      promptTemplate: labelSet.promptTemplate || promptTemplate,
+      labels: this.normalizeLabels(labelSet.labels).map(label => label.name)
+    }));
+  }
+
+  /**
+   * 零样本图像分类
+   * 图像特征与各候选标签的文本特征计算余弦相似度，按模型的 logit_scale/logit_bias 逐标签 sigmoid 得到匹配概率（各标签独立，和不为 1）
+   * 参数校验失败时抛出 code 为 INVALID_PARAMS 的错误
+   * @param {string|Blob} imageInput - 图像URL、data URI、base64 字符串或Blob对象
+   * @param {Object} options - 分类选项
+   * @param {Array<string|Object>} [options.labels] - 自定义候选标签
+   * @param {string|Array<string>} [options.labelSet] - 命名标签集（可传多个）
+   * @param {number} [options.topK] - 每组返回的标签数量（默认全部）
+   * @param {string} [options.model] - 模型名称（默认使用 DEFAULT_MODEL）
+   * @returns {Promise<Object>} 分类结果
+   */
+  async classifyImage(imageInput, options = {}) {
+    // 确保服务已初始化
+    await this.autoInitialize();
+
+    this.validateImageInput(imageInput);
+
+    try {
+      const modelName = this.resolveModelName(options.model);
+      const modelConfig = EMBEDDING_CONFIG.MODELS[modelName];
+      if (!modelConfig.text || !modelConfig.classification) {
+        throw ServiceUtils.createError(`模型 ${modelName} 未配置文本塔或分类参数，不支持零样本分类`, 'INVALID_PARAMS');
+      }
+
+      const groups = this.resolveLabelGroups(options.labels, options.labelSet);
+      const { features: imageFeatures, cached } = await this.extractWithCache(modelName, imageInput, { taskName: 'classify' });
+      const groupFeatures = await this.runExtractionTask('classify-labels', async () => {
+        const labelFeatures = [];
+        for (const group of groups) {
+          const prompts = group.labels.map(label => group.promptTemplate.replace('{label}', label.text));
+          labelFeatures.push(await this.getLabelFeatures(modelName, prompts));
+        }
+        return labelFeatures;
+      });
+      const { logitScale, logitBias } = modelConfig.classification;
+
+      const predictions = [];
+      for (const [groupIndex, group] of groups.entries()) {
+        const labelFeatures = groupFeatures[groupIndex];
+
+        const similarities = labelFeatures.map(features => this.cosineSimilarity(imageFeatures, features));
+        const probabilities = similarities.map(similarity => this.sigmoid(similarity * logitScale + logitBias));
+
+        const ranked = group.labels
+          .map((label, i) => ({
+            label: label.name,
+            score: probabilities[i],
+            similarity: similarities[i]
+          }))
+          .sort((a, b) => b.score - a.score);
+
+        predictions.push({
+          labelSet: group.name,
+          labels: options.topK > 0 ? ranked.slice(0, options.topK) : ranked
+        });
+      }
+
+      return {
+        success: true,
+        data: {
+          model: modelName,
+          predictions,
+          cached
+        },
+        message: '图像分类成功'
+      };
+    } catch (error) {
+      console.error('❌ 图像分类失败:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * 解析分类请求的候选标签分组
+   * @param {Array<string|Object>} [labels] - 自定义候选标签
+   * @param {string|Array<string>} [labelSet] - 命名标签集
+   * @returns {Array<Object>} 标签分组 { name, promptTemplate, labels }
+   * @private
+   */
+  resolveLabelGroups(labels, labelSet) {
+    const { LABEL_SETS, promptTemplate, maxLabels } = EMBEDDING_CONFIG.CLASSIFICATION;
+    const groups = [];
+
+    const labelSetNames = labelSet ? [].concat(labelSet) : [];
+    for (const name of labelSetNames) {
+      if (!Object.prototype.hasOwnProperty.call(LABEL_SETS, name)) {
+        throw ServiceUtils.createError(`未找到标签集: ${name}`, 'INVALID_PARAMS');
+      }
+
+      groups.push({
+        name,
+        promptTemplate: LABEL_SETS[name].promptTemplate || promptTemplate,
+        labels: this.normalizeLabels(LABEL_SETS[name].labels)
+      });
+    }
+
+    if (labels !== undefined) {
+      if (!Array.isArray(labels) || labels.length < 2) {
+        throw ServiceUtils.createError('labels 必须是至少包含 2 个候选标签的数组', 'INVALID_PARAMS');
+      }
+
+      groups.push({
+        name: 'custom',
+        promptTemplate,
+        labels: this.normalizeLabels(labels)
+      });
+    }
+
+    if (groups.length === 0) {
+      throw ServiceUtils.createError('必须提供 labels 或 labelSet 参数', 'INVALID_PARAMS');
+    }
+
+    const totalLabels = groups.reduce((sum, group) => sum + group.labels.length, 0);
+    if (totalLabels > maxLabels) {
+      throw ServiceUtils.createError(`单次分类最多 ${maxLabels} 个候选标签`, 'INVALID_PARAMS');
+    }
+
+    return groups;
+  }
+
+  /**
+   * 规范化候选标签为 { name, text } 格式
+   * @param {Array<string|Object>} labels - 候选标签（字符串或 { name, text } 对象）
+   * @returns {Array<Object>} 规范化后的标签
+   * @private
+   */
+  normalizeLabels(labels) {
+    return labels.map(label => {
+      const normalized = typeof label === 'string'
+        ? { name: label, text: label }
+        : { name: label?.name, text: label?.text || label?.name };
+
+      if (typeof normalized.name !== 'string' || normalized.name.trim().length === 0) {
+        throw ServiceUtils.createError('候选标签不能为空', 'INVALID_PARAMS');
+      }
+
+      if (typeof normalized.text !== 'string' || normalized.text.trim().length === 0) {
+        throw ServiceUtils.createError(`候选标签 ${normalized.name} 的 text 必须是非空字符串`, 'INVALID_PARAMS');
+      }
+
+      if (normalized.text.length > EMBEDDING_CONFIG.MAX_TEXT_LENGTH) {
+        throw ServiceUtils.createError(`候选标签长度不能超过 ${EMBEDDING_CONFIG.MAX_TEXT_LENGTH} 个字符`, 'INVALID_PARAMS');
+      }
+
+      return normalized;
+    });
+  }
+
+  /**
+   * 获取候选标签提示词的文本特征（优先读取缓存，未命中的提示词一次批量编码）
+   * @param {string} modelName - 模型名称
+   * @param {Array<string>} prompts - 提示词列表
+   * @returns {Promise<Array<Array<number>>>} 每条提示词的特征向量
+   * @private
+   */
+  async getLabelFeatures(modelName, prompts) {
+    const results = new Array(prompts.length);
+    const missing = [];
+
+    prompts.forEach((prompt, i) => {
+      const cachedFeatures = this.labelFeatureCache.get(`${modelName}:${prompt}`);
+      if (cachedFeatures) {
+        results[i] = cachedFeatures;
+      } else {
+        missing.push(i);
+      }
+    });
+
+    if (missing.length > 0) {
+      // 中文标签先翻译为英文再编码
+      const texts = [];
+      for (const i of missing) {
+        texts.push(await this.translateQuery(prompts[i]));
+      }
+
+      const encoded = await this.encodeTexts(modelName, texts);
+      missing.forEach((promptIndex, i) => {
+        results[promptIndex] = encoded[i];
+        this.labelFeatureCache.set(`${modelName}:${prompts[promptIndex]}`, encoded[i]);
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * 计算两个向量的余弦相似度
+   * @param {Array<number>} a - 向量 A
+   * @param {Array<number>} b - 向量 B
+   * @returns {number} 余弦相似度
+   * @private
+   */
+  cosineSimilarity(a, b) {
+    if (a.length !== b.length) {
+      throw new Error(`图像特征与文本特征维度不一致: ${a.length} != ${b.length}`);
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+  }
+
+  /**
+   * sigmoid 函数
+   * @param {number} logit - 输入值
+   * @returns {number} 0~1 之间的概率
+   * @private
+   */
+  sigmoid(logit) {
+    return 1 / (1 + Math.exp(-logit));
+  }
+
+  /**
+   * 将模型输出转换为数值特征数组
+   * @param {any} features - 模型输出（Tensor、数组或包含 data/image_embeds 的对象）
+   * @returns {Array<number>} 特征向量
+   * @private
+   */
+  convertToFeatureArray(features) {
+    let featureArray;
+
+    if (Array.isArray(features)) {
+      // 如果已经是数组，检查是否包含对象
+      if (features.length > 0 && typeof features[0] === 'object' && features[0].ort_tensor) {
+        // 如果是包含ort_tensor对象的数组，提取cpuData
+        const tensorData = features[0].ort_tensor.cpuData;
+        // 提取tensor数据
+        
+        if (tensorData && typeof tensorData === 'object') {
+          // 将cpuData对象转换为数值数组，按索引排序
+          const sortedKeys = Object.keys(tensorData).map(Number).sort((a, b) => a - b);
+          featureArray = sortedKeys.map(key => tensorData[key]);
+          // 特征数组转换完成
+        } else {
+          // 如果tensorData无效，保持原数组
+          featureArray = features;
+          // 使用原始数组
+        }
+      } else {
+        featureArray = features;
+        // 使用原始数组
+      }
+    } else if (features && typeof features === 'object' && 'data' in features) {
+      // 如果是对象包含data属性，提取data
+      featureArray = Array.isArray(features.data) ? features.data : Array.from(features.data);
+      // 从data属性提取
+    } else if (features && typeof features === 'object' && 'image_embeds' in features) {
+      // 如果是对象包含image_embeds属性，提取image_embeds
+      featureArray = Array.isArray(features.image_embeds) ? features.image_embeds : Array.from(features.image_embeds);
+      // 从image_embeds属性提取
+    } else {
+      // 其他情况，尝试转换为数组
+      try {
+        featureArray = Array.from(features);
+        // 使用Array.from转换
+      } catch (error) {
+        console.error('❌ Array.from转换失败:', error.message);
+        throw new Error(`无法处理特征数据格式: ${typeof features}`);
+      }
+    }
+    
+    // 确保是数值数组
+    
+    if (!Array.isArray(featureArray)) {
+      console.error('❌ featureArray不是数组');
+      throw new Error(`特征提取结果不是数组，类型: ${typeof featureArray}`);
+    }
+    
+    if (featureArray.length === 0) {
+      console.error('❌ featureArray为空数组');
+      throw new Error('特征提取结果为空数组');
+    }
+    
+    // 验证特征向量是否为数值
+    const isValidFeatures = featureArray.every(feature => 
+      typeof feature === 'number' && !isNaN(feature) && isFinite(feature)
+    );
+    
+    if (!isValidFeatures) {
+      console.error('❌ 特征向量包含非数值数据');
+      throw new Error('特征向量包含非数值数据');
+    }
+
+    return featureArray;
+  }
+
+  /**
+   * L2 归一化特征向量（结果按 Float32 精度取值，与缓存命中时返回的特征一致）
+   * 图像与文本特征均为单位向量，Milvus 的 L2 距离排序与余弦相似度排序一致
+   * @param {Array<number>} featureArray - 特征向量
+   * @returns {Array<number>} 归一化后的特征向量
+   * @private
+   */
+  normalizeFeatures(featureArray) {
+    const norm = Math.sqrt(featureArray.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) {
+      throw new Error('特征向量模长为 0，无法归一化');
+    }
+
+    return Array.from(Float32Array.from(featureArray, value => value / norm));
+  }
 
   /**
    * 停止服务
    */
   stop() {
+    modelWatcherService.stop();
     this.concurrencyController.stop();
+    this.microBatchers.forEach(batcher => batcher.stop());
+    this.microBatchers.clear();
+    this.workerPool?.stop();
+    this.workerPool = null;
     this.loadedModels.clear();
+    this.modelDimensions.clear();
+    this.loadedTextModels.clear();
+    this.labelFeatureCache.clear();
+    this.modelLoadErrors.clear();
+    this.reloadingModels.clear();
+    this.reloadResults.clear();
+    this.warmUpState = this.createWarmUpState('idle');
+    this.translator = null;
     this.isInitialized = false;
   }
 }
@@ -0,0 +1,186 @@
+/**
+ * 特征缓存服务
+ * 按图像内容哈希与模型名称缓存特征向量，内存 LRU + 可选磁盘持久化两级缓存
+ * 两级缓存均以 Float32 精度保存（与模型输出精度一致），读取时返回副本，调用方修改结果不会影响缓存
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EMBEDDING_CONFIG } from '../../../config/shared.config.js';
+import { LRUCache } from '../../../utils/lru-cache.util.js';
+
+// 获取当前文件目录
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 默认磁盘缓存目录（与 Transformers.js 缓存目录同级）
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', '..', '..', '.cache', 'features');
+
+/**
+ * 特征缓存服务类
+ */
+class FeatureCacheService {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.persist = options.persist || false;
+    this.dir = options.dir || DEFAULT_CACHE_DIR;
+
+    // 内存缓存层
+    this.memoryCache = new LRUCache({
+      maxEntries: options.maxEntries || 10000
+    });
+
+    // 统计信息
+    this.stats = {
+      hits: 0,
+      memoryHits: 0,
+      diskHits: 0,
+      misses: 0,
+      writes: 0,
+      diskErrors: 0
+    };
+  }
+
+  /**
+   * 计算图像内容哈希
+   * @param {Buffer|Uint8Array} bytes - 图像字节
+   * @returns {string} SHA-256 十六进制字符串
+   */
+  computeHash(bytes) {
+    return crypto.createHash('sha256').update(bytes).digest('hex');
+  }
+
+  /**
+   * 构建缓存键
+   * @param {string} modelName - 模型名称
+   * @param {string} hash - 图像内容哈希
+   * @returns {string} 缓存键
+   * @private
+   */
+  buildKey(modelName, hash) {
+    return `${modelName}:${hash}`;
+  }
+
+  /**
+   * 获取磁盘缓存文件路径
+   * @param {string} modelName - 模型名称
+   * @param {string} hash - 图像内容哈希
+   * @returns {string} 文件路径
+   * @private
+   */
+  getFilePath(modelName, hash) {
+    return path.join(this.dir, encodeURIComponent(modelName), hash.slice(0, 2), `${hash}.bin`);
+  }
+
+  /**
+   * 读取缓存的特征向量
+   * @param {string} modelName - 模型名称
+   * @param {string} hash - 图像内容哈希
+   * @returns {Promise<Array<number>|null>} 特征向量副本，未命中时返回 null
+   */
+  async get(modelName, hash) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const key = this.buildKey(modelName, hash);
+
+    // 1. 内存层
+    const cached = this.memoryCache.get(key);
+    if (cached) {
+      this.stats.hits++;
+      this.stats.memoryHits++;
+      return Array.from(cached);
+    }
+
+    // 2. 磁盘层（命中后回填内存层）
+    if (this.persist) {
+      try {
+        const buffer = await fs.readFile(this.getFilePath(modelName, hash));
+        const features = new Float32Array(new Uint8Array(buffer).buffer);
+
+        this.memoryCache.set(key, features);
+        this.stats.hits++;
+        this.stats.diskHits++;
+        return Array.from(features);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.stats.diskErrors++;
+          console.warn(`⚠️ 读取磁盘特征缓存失败: ${error.message}`);
+        }
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * 写入特征向量缓存（复制为 Float32Array 保存）
+   * @param {string} modelName - 模型名称
+   * @param {string} hash - 图像内容哈希
+   * @param {Array<number>} features - 特征向量
+   */
+  async set(modelName, hash, features) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const stored = Float32Array.from(features);
+    this.memoryCache.set(this.buildKey(modelName, hash), stored);
+    this.stats.writes++;
+
+    if (this.persist) {
+      try {
+        const filePath = this.getFilePath(modelName, hash);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+        // 先写临时文件再重命名，避免读到写了一半的缓存
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, Buffer.from(stored.buffer));
+        await fs.rename(tempPath, filePath);
+      } catch (error) {
+        this.stats.diskErrors++;
+        console.warn(`⚠️ 写入磁盘特征缓存失败: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * 清空缓存
+   * @param {Object} [options] - 清理选项
+   * @param {boolean} [options.includeDisk=false] - 是否同时删除磁盘缓存
+   */
+  async clear(options = {}) {
+    this.memoryCache.clear();
+
+    if (options.includeDisk && this.persist) {
+      await fs.rm(this.dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * 获取统计信息
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      enabled: this.enabled,
+      persist: this.persist,
+      memoryEntries: this.memoryCache.size,
+      maxEntries: this.memoryCache.maxEntries,
+      hitRate: lookups > 0 ? (this.stats.hits / lookups * 100).toFixed(2) + '%' : '0%'
+    };
+  }
+}
+
+// 创建单例实例
+const featureCacheService = new FeatureCacheService(EMBEDDING_CONFIG.FEATURE_CACHE);
+
+export { FeatureCacheService };
+export default featureCacheService;
@@ -0,0 +1,250 @@
+/**
+ * 远程图像下载服务
+ * 安全地下载调用方提供的图像 URL：阻止访问内网地址、限制主机、大小、耗时与重定向次数，并按文件头识别图像类型
+ */
+
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import { EMBEDDING_CONFIG } from '../../../config/shared.config.js';
+import { ImageTypeUtils } from '../../../utils/image-type.util.js';
+import ServiceUtils from '../../../utils/service.util.js';
+
+// 禁止访问的地址段（回环、私有、链路本地、运营商 NAT、组播、保留及文档示例地址）
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// 重定向状态码
+const REDIRECT_STATUS_CODES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * 远程图像下载服务类
+ */
+class ImageFetchService {
+  constructor() {
+    this.config = EMBEDDING_CONFIG.REMOTE_FETCH;
+    this.safeLookup = this.safeLookup.bind(this);
+  }
+
+  /**
+   * 下载远程图像
+   * @param {string} url - 图像URL（仅支持 http/https）
+   * @returns {Promise<Blob>} 图像Blob对象（类型按文件头识别）
+   */
+  async fetchImage(url) {
+    const signal = AbortSignal.timeout(this.config.timeout);
+    let currentUrl = this.parseUrl(url);
+
+    try {
+      for (let redirects = 0; ; redirects++) {
+        this.assertUrlAllowed(currentUrl);
+        const response = await this.request(currentUrl, signal);
+
+        if (REDIRECT_STATUS_CODES.has(response.statusCode)) {
+          response.resume();
+          if (redirects >= this.config.maxRedirects) {
+            throw ServiceUtils.createError(`图像下载重定向次数超过 ${this.config.maxRedirects} 次`, 'IMAGE_FETCH_FAILED');
+          }
+          if (!response.headers.location) {
+            throw ServiceUtils.createError('图像下载重定向缺少 Location', 'IMAGE_FETCH_FAILED');
+          }
+          currentUrl = this.parseUrl(new URL(response.headers.location, currentUrl).href);
+          continue;
+        }
+
+        if (response.statusCode !== 200) {
+          response.resume();
+          throw ServiceUtils.createError(`图像下载失败: HTTP ${response.statusCode} ${response.statusMessage}`, 'IMAGE_FETCH_FAILED');
+        }
+
+        const buffer = await this.readBody(response);
+        const type = ImageTypeUtils.sniff(buffer);
+        if (!type) {
+          throw ServiceUtils.createError('下载内容不是受支持的图像格式', 'UNSUPPORTED_IMAGE_TYPE');
+        }
+
+        return new Blob([buffer], { type });
+      }
+    } catch (error) {
+      if (error.code && error.retryable === false) {
+        throw error;
+      }
+      if (signal.aborted) {
+        throw ServiceUtils.createError(`图像下载超时（${this.config.timeout}ms）`, 'IMAGE_FETCH_TIMEOUT');
+      }
+      throw ServiceUtils.createError(`图像下载失败: ${error.message}`, 'IMAGE_FETCH_FAILED');
+    }
+  }
+
+  /**
+   * 解析并校验URL格式
+   * @param {string} url - URL
+   * @returns {URL} URL对象
+   * @private
+   */
+  parseUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw ServiceUtils.createError(`无效的图像URL: ${url}`, 'INVALID_IMAGE_URL');
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw ServiceUtils.createError(`不支持的URL协议: ${parsed.protocol}，仅支持 http/https`, 'INVALID_IMAGE_URL');
+    }
+
+    if (parsed.username || parsed.password) {
+      throw ServiceUtils.createError('图像URL不能包含认证信息', 'INVALID_IMAGE_URL');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * 校验主机是否允许访问（白名单与 IP 字面量地址）
+   * 域名解析得到的地址在建立连接时由 safeLookup 校验，避免 DNS 重绑定
+   * @param {URL} url - URL对象
+   * @private
+   */
+  assertUrlAllowed(url) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    if (!this.isHostAllowed(hostname)) {
+      throw ServiceUtils.createError(`图像主机不在允许列表中: ${hostname}`, 'IMAGE_HOST_BLOCKED');
+    }
+
+    if (net.isIP(hostname) && this.isBlockedAddress(hostname)) {
+      throw ServiceUtils.createError(`禁止访问内网地址: ${hostname}`, 'IMAGE_HOST_BLOCKED');
+    }
+  }
+
+  /**
+   * 检查主机是否匹配白名单（未配置白名单时允许所有公网主机）
+   * 支持精确匹配与 *.example.com 形式的子域名通配
+   * @param {string} hostname - 主机名
+   * @returns {boolean} 是否允许
+   */
+  isHostAllowed(hostname) {
+    const { allowedHosts } = this.config;
+    if (allowedHosts.length === 0) {
+      return true;
+    }
+
+    return allowedHosts.some(pattern => {
+      if (pattern.startsWith('*.')) {
+        return hostname.endsWith(pattern.slice(1));
+      }
+      return hostname === pattern;
+    });
+  }
+
+  /**
+   * 检查地址是否属于禁止访问的地址段
+   * @param {string} address - IP 地址
+   * @returns {boolean} 是否禁止
+   */
+  isBlockedAddress(address) {
+    if (this.config.allowPrivateNetworks) {
+      return false;
+    }
+
+    const family = net.isIP(address);
+    if (family === 0) {
+      return true;
+    }
+
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * 域名解析（解析结果包含禁止访问的地址时拒绝连接）
+   * 签名与 dns.lookup 一致，作为 http.request 的 lookup 选项使用
+   * @private
+   */
+  safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const blocked = addresses.find(({ address }) => this.isBlockedAddress(address));
+      if (blocked) {
+        return callback(ServiceUtils.createError(`禁止访问内网地址: ${hostname} (${blocked.address})`, 'IMAGE_HOST_BLOCKED'));
+      }
+
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * 发起单次 GET 请求（不自动跟随重定向）
+   * @param {URL} url - URL对象
+   * @param {AbortSignal} signal - 取消信号
+   * @returns {Promise<http.IncomingMessage>} 响应
+   * @private
+   */
+  request(url, signal) {
+    const client = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.get(url, {
+        lookup: this.safeLookup,
+        signal,
+        headers: {
+          Accept: 'image/*'
+        }
+      }, resolve);
+      request.on('error', reject);
+    });
+  }
+
+  /**
+   * 读取响应体（超过大小上限时中止）
+   * @param {http.IncomingMessage} response - 响应
+   * @returns {Promise<Buffer>} 响应体
+   * @private
+   */
+  async readBody(response) {
+    const { maxBytes } = this.config;
+    const tooLarge = () => ServiceUtils.createError(`图像大小超过上限 ${maxBytes} 字节`, 'IMAGE_TOO_LARGE');
+
+    const contentLength = parseInt(response.headers['content-length']);
+    if (contentLength > maxBytes) {
+      response.destroy();
+      throw tooLarge();
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        response.destroy();
+        throw tooLarge();
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks, size);
+  }
+}
+
+// 创建单例实例
+const imageFetchService = new ImageFetchService();
+
+export { ImageFetchService };
+export default imageFetchService;
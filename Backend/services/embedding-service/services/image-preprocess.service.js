@@ -0,0 +1,127 @@
+/**
+ * 图像预处理服务
+ * 在特征提取前对图像进行确定性的规范化处理（EXIF 方向、透明通道、动图首帧、分辨率限制）
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { RawImage } from '@huggingface/transformers';
+import { EMBEDDING_CONFIG } from '../../../config/shared.config.js';
+import ServiceUtils from '../../../utils/service.util.js';
+
+/**
+ * 图像预处理服务类
+ */
+class ImagePreprocessService {
+  constructor() {
+    this.fingerprints = new Map();
+  }
+
+  /**
+   * 获取模型的预处理配置（全局默认配置与模型配置合并）
+   * @param {string} modelName - 模型名称
+   * @returns {Object} 预处理配置
+   */
+  getConfig(modelName) {
+    const modelConfig = EMBEDDING_CONFIG.MODELS[modelName] || {};
+    return {
+      ...EMBEDDING_CONFIG.PREPROCESS,
+      ...modelConfig.preprocess
+    };
+  }
+
+  /**
+   * 获取预处理配置指纹（配置变更后特征缓存随之失效）
+   * @param {string} modelName - 模型名称
+   * @returns {string} 配置指纹
+   */
+  getFingerprint(modelName) {
+    if (!this.fingerprints.has(modelName)) {
+      const config = this.getConfig(modelName);
+      const fingerprint = crypto.createHash('sha256')
+        .update(JSON.stringify(config))
+        .digest('hex')
+        .slice(0, 12);
+      this.fingerprints.set(modelName, fingerprint);
+    }
+    return this.fingerprints.get(modelName);
+  }
+
+  /**
+   * 预处理图像
+   * @param {Blob} imageBlob - 图像Blob对象
+   * @param {string} modelName - 模型名称
+   * @returns {Promise<RawImage>} 预处理后的图像
+   */
+  async process(imageBlob, modelName) {
+    const config = this.getConfig(modelName);
+
+    if (!config.enabled) {
+      return await RawImage.fromBlob(imageBlob);
+    }
+
+    const buffer = Buffer.from(await imageBlob.arrayBuffer());
+
+    // 动图只读取首帧（sharp 默认即为首帧，显式指定以免受全局配置影响）
+    const inputOptions = config.firstFrameOnly ? { pages: 1, page: 0 } : {};
+
+    let image;
+    let metadata;
+    try {
+      image = sharp(buffer, inputOptions);
+      metadata = await image.metadata();
+    } catch (error) {
+      throw ServiceUtils.createError(`无法解析图像数据: ${error.message}`, 'INVALID_IMAGE_DATA');
+    }
+
+    // EXIF 方向 5-8 表示旋转 90°/270°，宽高需互换后再校验分辨率
+    const isRotated = config.autoOrient && metadata.orientation >= 5;
+    const width = isRotated ? metadata.height : metadata.width;
+    const height = isRotated ? metadata.width : metadata.height;
+
+    if (Math.min(width, height) < config.minResolution) {
+      throw ServiceUtils.createError(`图像分辨率过低: ${width}x${height}，最短边不能小于 ${config.minResolution}px`, 'IMAGE_RESOLUTION_TOO_LOW');
+    }
+
+    // 1. 按 EXIF 方向旋转
+    if (config.autoOrient) {
+      image = image.rotate();
+    }
+
+    // 2. 透明通道合成到指定背景色
+    if (config.flattenAlpha && metadata.hasAlpha) {
+      image = image.flatten({ background: config.background });
+    }
+
+    // 3. 超出最大分辨率时等比缩小
+    if (Math.max(width, height) > config.maxResolution) {
+      image = image.resize({
+        width: config.maxResolution,
+        height: config.maxResolution,
+        fit: 'inside',
+        withoutEnlargement: true
+      });
+    }
+
+    // 截断等损坏的图像在读取元数据时可能正常，解码像素时才会失败
+    let data;
+    let info;
+    try {
+      ({ data, info } = await image
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true }));
+    } catch (error) {
+      throw ServiceUtils.createError(`无法解码图像数据: ${error.message}`, 'INVALID_IMAGE_DATA');
+    }
+
+    return new RawImage(new Uint8ClampedArray(data), info.width, info.height, info.channels);
+  }
+}
+
+// 创建单例实例
+const imagePreprocessService = new ImagePreprocessService();
+
+export { ImagePreprocessService };
+export default imagePreprocessService;
@@ -0,0 +1,108 @@
+/**
+ * 内联图像解码服务
+ * 将 data URI 或纯 base64 字符串解码为图像 Blob，并按上传文件相同的大小与类型规则校验
+ */
+
+import { HTTP_CONFIG } from '../../../config/shared.config.js';
+import { ImageTypeUtils } from '../../../utils/image-type.util.js';
+import ServiceUtils from '../../../utils/service.util.js';
+
+// data URI：data:[<mime>][;参数]*;base64,<数据>
+const DATA_URI_PATTERN = /^data:([^;,]*)((?:;[^;,]*)*),/i;
+
+// 纯 base64（兼容 URL 安全字母表，允许换行等空白）
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/;
+
+// 纯 base64 的最小长度（避免将过短的普通字符串误判为图像数据）
+const MIN_BASE64_LENGTH = 16;
+
+// 识别纯 base64 时解码的前缀长度（24 个字符对应 18 字节，覆盖所有图像文件头）
+const SNIFF_BASE64_LENGTH = 24;
+
+/**
+ * 内联图像解码服务类
+ */
+class InlineImageService {
+  constructor() {
+    this.maxBytes = HTTP_CONFIG.UPLOAD_MAX_BYTES;
+    this.allowedTypes = HTTP_CONFIG.UPLOAD_ALLOWED_TYPES;
+  }
+
+  /**
+   * 判断字符串是否为内联图像（data URI，或解码后文件头为图像的纯 base64）
+   * 仅由字母数字组成的普通字符串（如无协议的路径或商品ID）不会被当作图像数据
+   * @param {string} input - 图像输入
+   * @returns {boolean} 是否为内联图像
+   */
+  isInlineImage(input) {
+    if (typeof input !== 'string') {
+      return false;
+    }
+
+    if (/^data:/i.test(input)) {
+      return true;
+    }
+
+    const compact = input.replace(/\s+/g, '');
+    if (compact.length < MIN_BASE64_LENGTH || !BASE64_PATTERN.test(compact)) {
+      return false;
+    }
+
+    return ImageTypeUtils.sniff(Buffer.from(compact.slice(0, SNIFF_BASE64_LENGTH), 'base64')) !== null;
+  }
+
+  /**
+   * 解码内联图像
+   * @param {string} input - data URI 或纯 base64 字符串
+   * @returns {Blob} 图像Blob对象（类型按文件头识别）
+   */
+  decode(input) {
+    let payload = input;
+    let declaredType = null;
+
+    if (/^data:/i.test(input)) {
+      const match = DATA_URI_PATTERN.exec(input);
+      if (!match || !/;base64$/i.test(match[2])) {
+        throw ServiceUtils.createError('data URI 格式无效，仅支持 base64 编码', 'INVALID_IMAGE_DATA');
+      }
+      declaredType = match[1].toLowerCase();
+      payload = input.slice(match[0].length);
+
+      if (declaredType && !this.allowedTypes.includes(declaredType)) {
+        throw ServiceUtils.createError(`不支持的图像类型: ${declaredType}`, 'UNSUPPORTED_IMAGE_TYPE');
+      }
+    }
+
+    const compact = payload.replace(/\s+/g, '');
+    if (compact.length === 0 || !BASE64_PATTERN.test(compact)) {
+      throw ServiceUtils.createError('图像数据不是有效的 base64 编码', 'INVALID_IMAGE_DATA');
+    }
+
+    // 解码前按编码长度估算字节数，避免为超大数据分配内存
+    const estimatedBytes = Math.floor(compact.length * 3 / 4);
+    if (estimatedBytes > this.maxBytes + 2) {
+      throw ServiceUtils.createError(`图像大小超过上限 ${this.maxBytes} 字节`, 'IMAGE_TOO_LARGE');
+    }
+
+    const buffer = Buffer.from(compact, 'base64');
+    if (buffer.length === 0) {
+      throw ServiceUtils.createError('图像数据不能为空', 'INVALID_IMAGE_DATA');
+    }
+    if (buffer.length > this.maxBytes) {
+      throw ServiceUtils.createError(`图像大小超过上限 ${this.maxBytes} 字节`, 'IMAGE_TOO_LARGE');
+    }
+
+    const type = ImageTypeUtils.sniff(buffer);
+    if (!type || !this.allowedTypes.includes(type)) {
+      throw ServiceUtils.createError('图像数据不是受支持的图像格式', 'UNSUPPORTED_IMAGE_TYPE');
+    }
+
+    return new Blob([buffer], { type });
+  }
+}
+
+// 创建单例实例
+const inlineImageService = new InlineImageService();
+
+export { InlineImageService };
+export default inlineImageService;
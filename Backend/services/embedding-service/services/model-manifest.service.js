@@ -0,0 +1,257 @@
+/**
+ * 模型完整性清单服务
+ * 为本地模型目录生成文件清单（路径、大小、SHA-256），并在加载模型前按清单校验，避免拷贝不完整的模型在推理时才报错
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { EMBEDDING_CONFIG } from '../../../config/shared.config.js';
+import ServiceUtils from '../../../utils/service.util.js';
+
+// 清单格式版本
+const MANIFEST_VERSION = 1;
+
+/**
+ * 模型完整性清单服务类
+ */
+class ModelManifestService {
+  constructor() {
+    this.config = EMBEDDING_CONFIG.MODEL_INTEGRITY;
+    // 各模型最近一次校验结果
+    this.results = new Map();
+  }
+
+  /**
+   * 获取清单文件路径
+   * @param {string} modelDir - 模型目录
+   * @returns {string} 清单文件路径
+   */
+  getManifestPath(modelDir) {
+    return path.join(modelDir, this.config.manifestFile);
+  }
+
+  /**
+   * 生成模型清单并写入模型目录
+   * @param {string} modelName - 模型名称
+   * @param {string} modelDir - 模型目录（应为已确认完整的目录）
+   * @returns {Promise<Object>} 清单内容
+   */
+  async generateManifest(modelName, modelDir) {
+    const files = [];
+    for (const relativePath of await this.listFiles(modelDir)) {
+      const filePath = path.join(modelDir, relativePath);
+      const { size } = await fs.stat(filePath);
+      files.push({
+        path: relativePath,
+        size,
+        sha256: await this.hashFile(filePath)
+      });
+    }
+
+    if (files.length === 0) {
+      throw new Error(`模型目录为空: ${modelDir}`);
+    }
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      model: modelName,
+      generatedAt: new Date().toISOString(),
+      files
+    };
+
+    await fs.writeFile(this.getManifestPath(modelDir), `${JSON.stringify(manifest, null, 2)}\n`);
+    return manifest;
+  }
+
+  /**
+   * 按清单校验模型目录
+   * 未启用校验时直接通过；缺少清单时按 requireManifest 决定拒绝加载或仅告警
+   * @param {string} modelName - 模型名称
+   * @param {string} modelDir - 模型目录
+   * @param {Object} [options] - 校验选项
+   * @param {boolean} [options.force=false] - 忽略已有的校验结果重新校验
+   * @returns {Promise<Object>} 校验结果 { status, fileCount, verifiedAt }
+   */
+  async verifyModel(modelName, modelDir, options = {}) {
+    if (!this.config.enabled) {
+      return { status: 'disabled' };
+    }
+
+    const cached = this.results.get(modelName);
+    if (!options.force && cached?.status === 'verified') {
+      return cached;
+    }
+
+    try {
+      const manifest = await this.readManifest(modelDir);
+      if (!manifest) {
+        if (this.config.requireManifest) {
+          throw ServiceUtils.createError(`模型 ${modelName} 缺少完整性清单 ${this.config.manifestFile}`, 'MODEL_INTEGRITY_FAILED');
+        }
+        console.warn(`⚠️ 模型 ${modelName} 缺少完整性清单，跳过校验`);
+        return this.recordResult(modelName, { status: 'unverified' });
+      }
+
+      await this.verifyFiles(modelName, modelDir, manifest.files);
+      console.log(`🔒 模型 ${modelName} 完整性校验通过（${manifest.files.length} 个文件）`);
+      return this.recordResult(modelName, { status: 'verified', fileCount: manifest.files.length });
+    } catch (error) {
+      this.recordResult(modelName, { status: 'failed', message: error.message, problems: error.details?.problems });
+      throw error;
+    }
+  }
+
+  /**
+   * 计算模型文件指纹（用于区分同一模型的不同版本）
+   * 有清单时由清单中的哈希计算，否则由文件路径、大小与修改时间计算
+   * @param {string} modelDir - 模型目录
+   * @returns {Promise<string>} 指纹（12 位十六进制）
+   */
+  async getFingerprint(modelDir) {
+    const hash = crypto.createHash('sha256');
+    const manifest = await this.readManifest(modelDir).catch(() => null);
+
+    if (manifest) {
+      manifest.files.forEach(file => hash.update(`${file.path}:${file.sha256}\n`));
+    } else {
+      for (const relativePath of await this.listFiles(modelDir)) {
+        const { size, mtimeMs } = await fs.stat(path.join(modelDir, relativePath));
+        hash.update(`${relativePath}:${size}:${mtimeMs}\n`);
+      }
+    }
+
+    return hash.digest('hex').slice(0, 12);
+  }
+
+  /**
+   * 获取模型最近一次校验结果
+   * @param {string} modelName - 模型名称
+   * @returns {Object|null} 校验结果
+   */
+  getResult(modelName) {
+    return this.results.get(modelName) || null;
+  }
+
+  /**
+   * 校验清单中的文件（先比较大小，全部一致后再计算哈希）
+   * @private
+   */
+  async verifyFiles(modelName, modelDir, files) {
+    const problems = [];
+
+    for (const file of files) {
+      // 清单中的路径不得指向模型目录之外
+      const relativePath = path.relative(modelDir, path.join(modelDir, String(file.path)));
+      if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        problems.push({ path: file.path, reason: 'invalid_path' });
+        continue;
+      }
+
+      try {
+        const { size } = await fs.stat(path.join(modelDir, file.path));
+        if (size !== file.size) {
+          problems.push({ path: file.path, reason: 'size_mismatch', expected: file.size, actual: size });
+        }
+      } catch (error) {
+        problems.push({ path: file.path, reason: 'missing' });
+      }
+    }
+
+    if (problems.length === 0) {
+      for (const file of files) {
+        const sha256 = await this.hashFile(path.join(modelDir, file.path));
+        if (sha256 !== file.sha256) {
+          problems.push({ path: file.path, reason: 'hash_mismatch' });
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      const summary = problems.slice(0, 3).map(problem => `${problem.path}(${problem.reason})`).join(', ');
+      throw ServiceUtils.createError(
+        `模型 ${modelName} 完整性校验失败，${problems.length} 个文件异常: ${summary}${problems.length > 3 ? ' ...' : ''}`,
+        'MODEL_INTEGRITY_FAILED',
+        { problems }
+      );
+    }
+  }
+
+  /**
+   * 读取清单文件
+   * @param {string} modelDir - 模型目录
+   * @returns {Promise<Object|null>} 清单内容，不存在时返回 null
+   * @private
+   */
+  async readManifest(modelDir) {
+    let content;
+    try {
+      content = await fs.readFile(this.getManifestPath(modelDir), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(content);
+    } catch (error) {
+      throw ServiceUtils.createError(`完整性清单格式无效: ${error.message}`, 'MODEL_INTEGRITY_FAILED');
+    }
+
+    if (manifest.version !== MANIFEST_VERSION || !Array.isArray(manifest.files) || manifest.files.length === 0) {
+      throw ServiceUtils.createError(`完整性清单格式无效或版本不受支持: ${this.config.manifestFile}`, 'MODEL_INTEGRITY_FAILED');
+    }
+
+    return manifest;
+  }
+
+  /**
+   * 递归列出模型目录中的文件（相对路径，使用 / 分隔，不含清单文件本身）
+   * @param {string} modelDir - 模型目录
+   * @returns {Promise<Array<string>>} 排序后的相对路径
+   * @private
+   */
+  async listFiles(modelDir) {
+    const entries = await fs.readdir(modelDir, { recursive: true, withFileTypes: true });
+
+    return entries
+      .filter(entry => entry.isFile())
+      .map(entry => path.relative(modelDir, path.join(entry.parentPath ?? entry.path, entry.name)).split(path.sep).join('/'))
+      .filter(relativePath => relativePath !== this.config.manifestFile)
+      .sort();
+  }
+
+  /**
+   * 流式计算文件 SHA-256
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<string>} 十六进制哈希
+   * @private
+   */
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * 记录校验结果
+   * @private
+   */
+  recordResult(modelName, result) {
+    const record = { ...result, verifiedAt: new Date().toISOString() };
+    this.results.set(modelName, record);
+    return record;
+  }
+}
+
+// 创建单例实例
+const modelManifestService = new ModelManifestService();
+
+export { ModelManifestService };
+export default modelManifestService;
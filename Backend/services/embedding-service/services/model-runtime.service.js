@@ -0,0 +1,94 @@
+/**
+ * 模型运行时配置服务
+ * 合并全局与模型级 ONNX Runtime 配置（精度/量化变体、线程数、执行模式），生成传给 pipeline 与 from_pretrained 的选项
+ */
+
+import { EMBEDDING_CONFIG } from '../../../config/shared.config.js';
+
+// 会话选项字段（对应 onnxruntime InferenceSession.SessionOptions）
+const SESSION_OPTION_KEYS = ['intraOpNumThreads', 'interOpNumThreads', 'executionMode', 'graphOptimizationLevel'];
+
+/**
+ * 模型运行时配置服务类
+ */
+class ModelRuntimeService {
+  /**
+   * 获取模型的运行时配置（全局默认配置与模型配置合并）
+   * @param {string} modelName - 模型名称
+   * @param {string} [tower='image'] - 推理塔（image/text），文本塔可通过 text.runtime 单独覆盖
+   * @returns {Object} 运行时配置
+   */
+  getConfig(modelName, tower = 'image') {
+    const modelConfig = EMBEDDING_CONFIG.MODELS[modelName] || {};
+    return {
+      ...EMBEDDING_CONFIG.RUNTIME,
+      ...modelConfig.runtime,
+      ...(tower === 'text' && modelConfig.text?.runtime)
+    };
+  }
+
+  /**
+   * 构建 ONNX Runtime 会话选项（线程数为 0 时使用 onnxruntime 默认值）
+   * @param {Object} runtime - 运行时配置
+   * @returns {Object} 会话选项
+   * @private
+   */
+  buildSessionOptions(runtime) {
+    const sessionOptions = {};
+    for (const key of SESSION_OPTION_KEYS) {
+      if (runtime[key]) {
+        sessionOptions[key] = runtime[key];
+      }
+    }
+    return sessionOptions;
+  }
+
+  /**
+   * 获取图像特征提取管道的创建选项
+   * @param {string} modelName - 模型名称
+   * @returns {Object} pipeline() 选项
+   */
+  getPipelineOptions(modelName) {
+    const modelConfig = EMBEDDING_CONFIG.MODELS[modelName] || {};
+    const runtime = this.getConfig(modelName);
+
+    return {
+      ...modelConfig.options,
+      dtype: runtime.dtype,
+      session_options: this.buildSessionOptions(runtime)
+    };
+  }
+
+  /**
+   * 获取文本塔模型的加载选项
+   * @param {string} modelName - 模型名称
+   * @returns {Object} from_pretrained() 选项
+   */
+  getTextModelOptions(modelName) {
+    const runtime = this.getConfig(modelName, 'text');
+
+    return {
+      dtype: runtime.dtype,
+      session_options: this.buildSessionOptions(runtime)
+    };
+  }
+
+  /**
+   * 获取模型运行时配置摘要（用于健康检查与模型列表）
+   * @param {string} modelName - 模型名称
+   * @returns {Object} { image, text }
+   */
+  getSummary(modelName) {
+    const modelConfig = EMBEDDING_CONFIG.MODELS[modelName] || {};
+    return {
+      image: this.getConfig(modelName),
+      ...(modelConfig.text && { text: this.getConfig(modelName, 'text') })
+    };
+  }
+}
+
+// 创建单例实例
+const modelRuntimeService = new ModelRuntimeService();
+
+export { ModelRuntimeService };
+export default modelRuntimeService;
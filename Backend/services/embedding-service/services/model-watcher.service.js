@@ -0,0 +1,123 @@
+/**
+ * 模型目录监听服务
+ * 监听本地模型根目录，已配置模型的文件停止变化一段时间后触发重新加载
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EMBEDDING_CONFIG } from '../../../config/shared.config.js';
+
+/**
+ * 模型目录监听服务类
+ */
+class ModelWatcherService {
+  constructor() {
+    this.config = EMBEDDING_CONFIG.HOT_RELOAD;
+    this.watcher = null;
+    this.modelsDir = null;
+    this.modelNames = [];
+    // 各模型的防抖定时器
+    this.timers = new Map();
+  }
+
+  /**
+   * 开始监听
+   * 监听模型根目录而非各模型目录，整体替换模型目录后仍能收到变化
+   * @param {string} modelsDir - 模型根目录
+   * @param {Array<string>} modelNames - 需要监听的模型名称
+   * @param {Function} onChange - 模型文件变化后的回调 (modelName) => Promise
+   * @returns {boolean} 是否成功开始监听
+   */
+  start(modelsDir, modelNames, onChange) {
+    if (this.watcher) {
+      return true;
+    }
+
+    try {
+      this.watcher = fs.watch(modelsDir, { recursive: true }, (eventType, filename) => {
+        const modelName = filename && this.matchModel(filename);
+        if (modelName) {
+          this.schedule(modelName, onChange);
+        }
+      });
+      this.watcher.on('error', (error) => {
+        console.error(`❌ 模型目录监听异常: ${error.message}`);
+      });
+    } catch (error) {
+      console.warn(`⚠️ 无法监听模型目录 ${modelsDir}: ${error.message}`);
+      this.watcher = null;
+      return false;
+    }
+
+    this.modelsDir = modelsDir;
+    this.modelNames = modelNames;
+    console.log(`👀 正在监听模型目录: ${modelsDir}`);
+    return true;
+  }
+
+  /**
+   * 根据变化文件的相对路径匹配模型名称
+   * @param {string} filename - 相对于模型根目录的路径
+   * @returns {string|null} 模型名称
+   * @private
+   */
+  matchModel(filename) {
+    const relativePath = filename.split(path.sep).join('/');
+    return this.modelNames.find(modelName =>
+      relativePath === modelName || relativePath.startsWith(`${modelName}/`)
+    ) || null;
+  }
+
+  /**
+   * 防抖调度重新加载（文件持续变化时推迟）
+   * @param {string} modelName - 模型名称
+   * @param {Function} onChange - 回调
+   * @private
+   */
+  schedule(modelName, onChange) {
+    clearTimeout(this.timers.get(modelName));
+
+    const timer = setTimeout(async () => {
+      this.timers.delete(modelName);
+      console.log(`📂 检测到模型 ${modelName} 文件变化，开始重新加载...`);
+      try {
+        await onChange(modelName);
+      } catch (error) {
+        console.error(`❌ 模型 ${modelName} 自动重新加载失败: ${error.message}`);
+      }
+    }, this.config.debounceMs);
+    timer.unref();
+
+    this.timers.set(modelName, timer);
+  }
+
+  /**
+   * 获取监听状态
+   * @returns {Object} 监听状态
+   */
+  getStatus() {
+    return {
+      enabled: this.config.watch,
+      watching: Boolean(this.watcher),
+      modelsDir: this.modelsDir,
+      models: this.modelNames,
+      pending: [...this.timers.keys()]
+    };
+  }
+
+  /**
+   * 停止监听
+   */
+  stop() {
+    this.watcher?.close();
+    this.watcher = null;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+// 创建单例实例
+const modelWatcherService = new ModelWatcherService();
+
+export { ModelWatcherService };
+export default modelWatcherService;
@@ -0,0 +1,124 @@
+/**
+ * 感知哈希服务
+ * 计算图像内容哈希（SHA-256）与感知哈希（pHash/dHash），用于入库时的重复检测
+ */
+
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { PerceptualHashUtils } from '../../../utils/perceptual-hash.util.js';
+
+// pHash 缩放尺寸与保留的低频 DCT 系数尺寸
+const PHASH_SIZE = 32;
+const PHASH_LOW_FREQ_SIZE = 8;
+
+// dHash 网格尺寸（宽度多一列用于相邻像素比较）
+const DHASH_WIDTH = 9;
+const DHASH_HEIGHT = 8;
+
+/**
+ * 感知哈希服务类
+ */
+class PerceptualHashService {
+  constructor() {
+    // DCT 余弦系数表（PHASH_LOW_FREQ_SIZE x PHASH_SIZE），所有图像共用
+    this.dctTable = Array.from({ length: PHASH_LOW_FREQ_SIZE }, (_, u) =>
+      Float64Array.from({ length: PHASH_SIZE }, (_, x) =>
+        Math.cos(((2 * x + 1) * u * Math.PI) / (2 * PHASH_SIZE))
+      )
+    );
+  }
+
+  /**
+   * 计算图像哈希
+   * @param {Blob} imageBlob - 图像Blob对象
+   * @returns {Promise<Object>} { contentHash, phash, dhash }
+   */
+  async computeHashes(imageBlob) {
+    const buffer = Buffer.from(await imageBlob.arrayBuffer());
+    const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    try {
+      const [phash, dhash] = await Promise.all([
+        this.computePHash(buffer),
+        this.computeDHash(buffer)
+      ]);
+
+      return { contentHash, phash, dhash };
+    } catch (error) {
+      throw new Error(`感知哈希计算失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 读取灰度像素（与预处理保持一致：首帧、EXIF 方向、透明区域合成白底）
+   * @param {Buffer} buffer - 图像字节
+   * @param {number} width - 目标宽度
+   * @param {number} height - 目标高度
+   * @returns {Promise<Buffer>} 灰度像素数据
+   * @private
+   */
+  async readGrayscale(buffer, width, height) {
+    return await sharp(buffer, { pages: 1, page: 0 })
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .grayscale()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+  }
+
+  /**
+   * 计算 pHash（32x32 灰度图 DCT，取左上角 8x8 低频系数与中位数比较）
+   * @param {Buffer} buffer - 图像字节
+   * @returns {Promise<string>} 16 位十六进制哈希
+   * @private
+   */
+  async computePHash(buffer) {
+    const pixels = await this.readGrayscale(buffer, PHASH_SIZE, PHASH_SIZE);
+    const coefficients = [];
+
+    for (let u = 0; u < PHASH_LOW_FREQ_SIZE; u++) {
+      for (let v = 0; v < PHASH_LOW_FREQ_SIZE; v++) {
+        let sum = 0;
+        for (let y = 0; y < PHASH_SIZE; y++) {
+          const rowFactor = this.dctTable[u][y];
+          for (let x = 0; x < PHASH_SIZE; x++) {
+            sum += pixels[y * PHASH_SIZE + x] * rowFactor * this.dctTable[v][x];
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // 直流分量（平均亮度）不参与中位数计算
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[(sorted.length - 1) >> 1] + sorted[sorted.length >> 1]) / 2;
+
+    return PerceptualHashUtils.bitsToHex(coefficients.map(value => value > median));
+  }
+
+  /**
+   * 计算 dHash（9x8 灰度图相邻像素亮度梯度）
+   * @param {Buffer} buffer - 图像字节
+   * @returns {Promise<string>} 16 位十六进制哈希
+   * @private
+   */
+  async computeDHash(buffer) {
+    const pixels = await this.readGrayscale(buffer, DHASH_WIDTH, DHASH_HEIGHT);
+    const bits = [];
+
+    for (let y = 0; y < DHASH_HEIGHT; y++) {
+      for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+        bits.push(pixels[y * DHASH_WIDTH + x] > pixels[y * DHASH_WIDTH + x + 1]);
+      }
+    }
+
+    return PerceptualHashUtils.bitsToHex(bits);
+  }
+}
+
+// 创建单例实例
+const perceptualHashService = new PerceptualHashService();
+
+export { PerceptualHashService };
+export default perceptualHashService;
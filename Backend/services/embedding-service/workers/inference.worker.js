@@ -0,0 +1,270 @@
+/**
+ * 推理工作线程
+ * 在独立线程中持有模型管道并执行图像特征提取、文本编码与查询翻译，由 EmbeddingService 通过线程池分派任务
+ * 主线程在模型完整性校验通过后记录模型文件指纹，并随消息下发；工作线程重启后按需加载模型时重新校验，
+ * 指纹不一致（模型文件已被替换）时拒绝以原实例ID加载
+ */
+
+import { parentPort } from 'worker_threads';
+import { pipeline, RawImage, env, AutoTokenizer, SiglipTextModel, CLIPTextModelWithProjection } from '@huggingface/transformers';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EMBEDDING_CONFIG } from '../../../config/shared.config.js';
+import modelRuntimeService from '../services/model-runtime.service.js';
+import modelManifestService from '../services/model-manifest.service.js';
+import ServiceUtils from '../../../utils/service.util.js';
+
+// 获取当前文件目录
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 配置 Transformers.js 环境（与 EmbeddingService 保持一致，仅使用本地模型）
+env.cacheDir = path.join(__dirname, '..', '..', '..', '.cache');
+env.useFSCache = true;
+env.allowRemoteModels = false;
+env.allowLocalModels = true;
+env.localModelPath = path.join(__dirname, '..', '..', '..', 'models');
+
+// 文本塔模型类映射（对应 EMBEDDING_CONFIG.MODELS[...].text.modelClass）
+const TEXT_MODEL_CLASSES = {
+  SiglipTextModel,
+  CLIPTextModelWithProjection
+};
+
+// 已加载（或加载中）的模型管道
+const extractors = new Map();
+
+// 已加载（或加载中）的文本模型（tokenizer 与 model）
+const textModels = new Map();
+
+// 翻译管道（首次翻译时加载）
+let translator = null;
+
+/**
+ * 校验模型文件仍是主线程创建实例时校验过的版本
+ * @param {string} modelName - 模型名称（本地模型目录名）
+ * @param {string} [fingerprint] - 实例创建时的模型文件指纹
+ * @param {Object} [options] - 校验选项
+ * @param {boolean} [options.verifyFiles=false] - 是否按清单重新校验文件（按需加载时主线程未校验）
+ * @returns {Promise<void>}
+ * @throws {Error} 校验未通过或指纹不一致时抛出 MODEL_INTEGRITY_FAILED
+ */
+async function verifyModelFiles(modelName, fingerprint, options = {}) {
+  const modelDir = path.join(env.localModelPath, modelName);
+  if (options.verifyFiles) {
+    await modelManifestService.verifyModel(modelName, modelDir, { force: true });
+  }
+
+  if (fingerprint) {
+    const current = await modelManifestService.getFingerprint(modelDir);
+    if (current !== fingerprint) {
+      throw ServiceUtils.createError(`模型 ${modelName} 的文件已变更（当前指纹 ${current}，实例加载时为 ${fingerprint}），拒绝加载`, 'MODEL_INTEGRITY_FAILED');
+    }
+  }
+}
+
+/**
+ * 获取模型特征提取管道（同一实例只加载一次）
+ * 热重载时新旧版本同时存在，以实例ID区分
+ * @param {string} modelName - 模型名称
+ * @param {string} [instanceId] - 模型实例ID（默认与模型名称相同）
+ * @param {string} [fingerprint] - 实例创建时的模型文件指纹
+ * @param {Object} [options] - 加载选项（verifyFiles 见 verifyModelFiles）
+ * @returns {Promise<Function>} 特征提取管道
+ */
+function getExtractor(modelName, instanceId = modelName, fingerprint, options = {}) {
+  if (!extractors.has(instanceId)) {
+    const modelConfig = EMBEDDING_CONFIG.MODELS[modelName];
+    if (!modelConfig) {
+      throw new Error(`未找到模型配置: ${modelName}`);
+    }
+
+    const loading = verifyModelFiles(modelName, fingerprint, options).then(() =>
+      pipeline(modelConfig.task, modelConfig.modelId, modelRuntimeService.getPipelineOptions(modelName))
+    );
+    // 加载失败时移除，下次请求重新加载
+    loading.catch(() => extractors.delete(instanceId));
+    extractors.set(instanceId, loading);
+  }
+
+  return extractors.get(instanceId);
+}
+
+/**
+ * 释放模型管道
+ * @param {string} instanceId - 模型实例ID
+ * @returns {Promise<boolean>} 是否释放了已加载的模型
+ */
+async function unloadExtractor(instanceId) {
+  const loading = extractors.get(instanceId);
+  if (!loading) {
+    return false;
+  }
+
+  extractors.delete(instanceId);
+  const extractor = await loading.catch(() => null);
+  await extractor?.dispose?.();
+  return true;
+}
+
+/**
+ * 获取文本模型（同一实例只加载一次，热重载时新旧版本以实例ID区分）
+ * @param {string} modelName - 模型名称
+ * @param {string} instanceId - 文本模型实例ID
+ * @param {string} [fingerprint] - 实例创建时的模型文件指纹
+ * @param {Object} [options] - 加载选项（verifyFiles 见 verifyModelFiles）
+ * @returns {Promise<Object>} { tokenizer, model }
+ */
+function getTextModel(modelName, instanceId, fingerprint, options = {}) {
+  if (!textModels.has(instanceId)) {
+    const modelConfig = EMBEDDING_CONFIG.MODELS[modelName];
+    if (!modelConfig?.text) {
+      throw new Error(`模型 ${modelName} 未配置文本塔，不支持文本编码`);
+    }
+
+    const TextModelClass = TEXT_MODEL_CLASSES[modelConfig.text.modelClass];
+    if (!TextModelClass) {
+      throw new Error(`不支持的文本模型类型: ${modelConfig.text.modelClass}`);
+    }
+
+    const loading = verifyModelFiles(modelName, fingerprint, options).then(() => Promise.all([
+      AutoTokenizer.from_pretrained(modelConfig.modelId),
+      TextModelClass.from_pretrained(modelConfig.modelId, modelRuntimeService.getTextModelOptions(modelName))
+    ])).then(([tokenizer, model]) => ({ tokenizer, model }));
+    // 加载失败时移除，下次请求重新加载
+    loading.catch(() => textModels.delete(instanceId));
+    textModels.set(instanceId, loading);
+  }
+
+  return textModels.get(instanceId);
+}
+
+/**
+ * 释放文本模型
+ * @param {string} instanceId - 文本模型实例ID
+ * @returns {Promise<boolean>} 是否释放了已加载的模型
+ */
+async function unloadTextModel(instanceId) {
+  const loading = textModels.get(instanceId);
+  if (!loading) {
+    return false;
+  }
+
+  textModels.delete(instanceId);
+  const textModel = await loading.catch(() => null);
+  await textModel?.model?.dispose?.();
+  return true;
+}
+
+/**
+ * 执行文本编码（单次前向推理）
+ * @param {string} modelName - 模型名称
+ * @param {string} instanceId - 文本模型实例ID
+ * @param {string} [fingerprint] - 实例创建时的模型文件指纹
+ * @param {Array<string>} texts - 待编码文本
+ * @returns {Promise<Object>} { data, dims }
+ */
+async function encodeTexts(modelName, instanceId, fingerprint, texts) {
+  const { tokenizer, model } = await getTextModel(modelName, instanceId, fingerprint, { verifyFiles: true });
+
+  // SigLIP 训练时使用定长填充，推理时需保持一致
+  const textInputs = tokenizer(texts, {
+    padding: 'max_length',
+    truncation: true,
+    max_length: EMBEDDING_CONFIG.MODELS[modelName].text.maxLength
+  });
+  const outputs = await model(textInputs);
+  const embeddings = outputs.text_embeds ?? outputs.pooler_output;
+
+  return {
+    data: Float32Array.from(embeddings.data),
+    dims: embeddings.dims
+  };
+}
+
+/**
+ * 翻译查询文本（首次翻译时按清单校验翻译模型并加载）
+ * @param {string} text - 待翻译文本
+ * @param {string} [fingerprint] - 主线程校验时的翻译模型文件指纹
+ * @returns {Promise<Array<Object>>} 翻译管道输出
+ */
+async function translate(text, fingerprint) {
+  if (!translator) {
+    const translationConfig = EMBEDDING_CONFIG.TEXT_TRANSLATION;
+    translator = verifyModelFiles(translationConfig.modelId, fingerprint, { verifyFiles: true }).then(() =>
+      pipeline(translationConfig.task, translationConfig.modelId)
+    );
+    // 加载失败时移除，下次请求重新加载
+    translator.catch(() => { translator = null; });
+  }
+
+  return await (await translator)(text);
+}
+
+/**
+ * 执行特征提取
+ * @param {string} modelName - 模型名称
+ * @param {string} [instanceId] - 模型实例ID
+ * @param {string} [fingerprint] - 实例创建时的模型文件指纹
+ * @param {Array<Object>} images - 序列化的图像（data/width/height/channels）
+ * @returns {Promise<Object>} { data, dims }
+ */
+async function infer(modelName, instanceId, fingerprint, images) {
+  const extractor = await getExtractor(modelName, instanceId, fingerprint, { verifyFiles: true });
+  const inputs = images.map(image => new RawImage(image.data, image.width, image.height, image.channels));
+  const output = await extractor(inputs);
+
+  // 复制为独立的缓冲区，便于转移给主线程
+  return {
+    data: Float32Array.from(output.data),
+    dims: output.dims
+  };
+}
+
+/**
+ * 处理主线程消息
+ * load / load-text 由主线程在完整性校验后发送，只比对指纹；其余消息遇到未加载的实例（工作线程重启后）时重新校验文件
+ * @param {Object} message - 消息
+ * @returns {Promise<any>} 处理结果
+ */
+async function handleMessage(message) {
+  switch (message.type) {
+    case 'load':
+      await getExtractor(message.modelName, message.instanceId, message.fingerprint);
+      return { loaded: true };
+    case 'unload':
+      return { unloaded: await unloadExtractor(message.instanceId ?? message.modelName) };
+    case 'infer':
+      return await infer(message.modelName, message.instanceId, message.fingerprint, message.images);
+    case 'load-text':
+      await getTextModel(message.modelName, message.instanceId, message.fingerprint);
+      return { loaded: true };
+    case 'unload-text':
+      return { unloaded: await unloadTextModel(message.instanceId) };
+    case 'encode-text':
+      return await encodeTexts(message.modelName, message.instanceId, message.fingerprint, message.texts);
+    case 'translate':
+      return await translate(message.text, message.fingerprint);
+    default:
+      throw new Error(`未知的消息类型: ${message.type}`);
+  }
+}
+
+parentPort.on('message', async (message) => {
+  try {
+    const result = await handleMessage(message);
+    const transferList = result?.data instanceof Float32Array ? [result.data.buffer] : [];
+    parentPort.postMessage({ id: message.id, result }, transferList);
+  } catch (error) {
+    // 保留错误码等属性，主线程据此返回对应状态码
+    parentPort.postMessage({
+      id: message.id,
+      error: {
+        message: error.message,
+        code: error.code,
+        retryable: error.retryable,
+        details: error.details
+      }
+    });
+  }
+});
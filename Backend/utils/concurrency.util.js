@@ -36,6 +36,8 @@ class ConcurrencyController {
   constructor(options = {}) {
     this.maxConcurrency = options.maxConcurrency || 5;
     this.maxQueueSize = options.maxQueueSize || 1000;
+    // 保留的已完成任务结果数量上限（超出后淘汰最早的记录）
+    this.maxCompletedTasks = options.maxCompletedTasks || 1000;
     this.retryDelay = options.retryDelay || 1000;
     this.defaultTimeout = options.defaultTimeout || 30000;
     
@@ -54,6 +56,8 @@ class ConcurrencyController {
       completedTasks: 0,
       failedTasks: 0,
       retriedTasks: 0,
+      rejectedTasks: 0,
+      totalDuration: 0,
       startTime: null,
       endTime: null
     };
@@ -75,9 +79,15 @@ class ConcurrencyController {
         return;
       }
 
-      // 检查队列大小
+      // 检查队列大小（队列已满时拒绝，由调用方决定是否稍后重试）
       if (this.taskQueue.length >= this.maxQueueSize) {
-        reject(new Error(`队列已满，最大容量：${this.maxQueueSize}`));
+        const error = new Error(`队列已满，最大容量：${this.maxQueueSize}`);
+        error.code = 'QUEUE_FULL';
+        error.retryable = false;
+        error.details = this.getQueueStatus();
+        this.stats.rejectedTasks++;
+        this.emit('taskRejected', error);
+        reject(error);
         return;
       }
 
@@ -244,7 +254,7 @@ class ConcurrencyController {
         retryCount: task.attempts - 1
       };
 
-      this.completedTasks.set(task.id, taskResult);
+      this.recordCompletedTask(task.id, taskResult);
       this.stats.completedTasks++;
       
       // 调用成功回调
@@ -271,7 +281,7 @@ class ConcurrencyController {
         retryCount: task.attempts - 1
       };
 
-      this.completedTasks.set(task.id, taskResult);
+      this.recordCompletedTask(task.id, taskResult);
       this.stats.failedTasks++;
       
       // 调用错误回调
@@ -295,6 +305,22 @@ class ConcurrencyController {
     }
   }
 
+  /**
+   * 记录已完成任务结果（超出上限时淘汰最早的记录）
+   * @param {string} taskId - 任务ID
+   * @param {TaskResult} taskResult - 任务结果
+   * @private
+   */
+  recordCompletedTask(taskId, taskResult) {
+    this.completedTasks.set(taskId, taskResult);
+    this.stats.totalDuration += taskResult.duration;
+
+    while (this.completedTasks.size > this.maxCompletedTasks) {
+      const oldestId = this.completedTasks.keys().next().value;
+      this.completedTasks.delete(oldestId);
+    }
+  }
+
   /**
    * 带重试机制的任务执行
    * @param {Object} task - 任务对象
@@ -319,6 +345,11 @@ class ConcurrencyController {
 
       } catch (error) {
         lastError = error;
+
+        // 明确标记为不可重试的错误（如参数错误、业务冲突）直接失败
+        if (error?.retryable === false) {
+          break;
+        }
         
         // 如果不是最后一次尝试，等待后重试
         if (attempt < maxRetries) {
@@ -403,6 +434,22 @@ class ConcurrencyController {
     this.emit('queueCleared');
   }
 
+  /**
+   * 获取队列状态（用于准入控制与背压提示）
+   * @returns {Object} 队列深度、并发数与平均任务耗时
+   */
+  getQueueStatus() {
+    const finishedTasks = this.stats.completedTasks + this.stats.failedTasks;
+
+    return {
+      queueSize: this.taskQueue.length,
+      maxQueueSize: this.maxQueueSize,
+      runningTasks: this.runningTasks.size,
+      maxConcurrency: this.maxConcurrency,
+      averageDuration: finishedTasks > 0 ? Math.round(this.stats.totalDuration / finishedTasks) : 0
+    };
+  }
+
   /**
    * 获取统计信息
    * @returns {Object} 统计信息
@@ -523,6 +570,48 @@ class ConcurrencyUtils {
     return results.flat();
   }
 
+  /**
+   * 创建按键互斥的锁（相同键的任务依次执行，不同键互不影响）
+   * @returns {Object} 锁对象，run(keys, task) 持有全部键后执行任务，结束后释放
+   */
+  static createKeyedLock() {
+    // 键 → 最后一个持有者释放时完成的 Promise
+    const tails = new Map();
+
+    return {
+      async run(keys, task) {
+        // 按固定顺序获取多个键，避免两个任务互相等待
+        const uniqueKeys = [...new Set(keys)].sort();
+        const releases = [];
+
+        try {
+          for (const key of uniqueKeys) {
+            const previous = tails.get(key) || Promise.resolve();
+            let release;
+            const current = new Promise(resolve => { release = resolve; });
+            const tail = previous.then(() => current);
+            tails.set(key, tail);
+            releases.push(() => {
+              release();
+              if (tails.get(key) === tail) {
+                tails.delete(key);
+              }
+            });
+            await previous;
+          }
+
+          return await task();
+        } finally {
+          releases.forEach(release => release());
+        }
+      },
+
+      get size() {
+        return tails.size;
+      }
+    };
+  }
+
   /**
    * 创建任务池
    * @param {number} poolSize - 池大小
@@ -11,8 +11,9 @@
  * @property {Object} [headers] - 请求头
  * @property {any} [data] - 请求数据
  * @property {number} [timeout=10000] - 超时时间(ms)
- * @property {number} [retries=0] - 重试次数
+ * @property {number} [retries=0] - 重试次数（大于 0 时由本客户端负责重试，最终抛出的错误标记为不可重试，上层不再重复重试）
  * @property {number} [retryDelay=1000] - 重试延迟(ms)
+ * @property {number} [maxRetryAfter=10000] - 允许等待的最长 Retry-After(ms)
  * @property {boolean} [withCredentials=false] - 是否携带凭证
  * @property {string} [responseType='json'] - 响应类型
  */
@@ -33,6 +34,8 @@ class HttpClient {
     this.timeout = options.timeout || 10000;
     this.retries = options.retries || 0;
     this.retryDelay = options.retryDelay || 1000;
+    // 服务端 Retry-After 超过该值(ms)时不再等待重试
+    this.maxRetryAfter = options.maxRetryAfter || 10000;
     this.withCredentials = options.withCredentials || false;
     this.defaultHeaders = {
       'Content-Type': 'application/json',
@@ -46,6 +49,12 @@ class HttpClient {
 
     // 请求取消控制器
     this.abortControllers = new Map();
+
+    // 统计信息（重试次数与最终失败的请求数）
+    this.stats = {
+      retries: 0,
+      failures: 0
+    };
   }
 
   /**
@@ -191,6 +200,12 @@ class HttpClient {
       if (data instanceof FormData) {
         delete requestConfig.headers['Content-Type'];
         requestConfig.body = data;
+      } else if (data instanceof Blob || data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        // 二进制数据直接作为请求体发送，未显式指定时使用 Blob 自身类型
+        if (!headers['Content-Type']) {
+          requestConfig.headers['Content-Type'] = (data instanceof Blob && data.type) || 'application/octet-stream';
+        }
+        requestConfig.body = data;
       } else if (typeof data === 'object') {
         requestConfig.body = JSON.stringify(data);
       } else {
@@ -209,7 +224,7 @@ class HttpClient {
    */
   async handleResponse(response, responseType = 'json') {
     if (!response.ok) {
-      throw new Error(`HTTP Error: ${response.status} ${response.statusText}`);
+      throw await this.createHttpError(response);
     }
 
     let data;
@@ -242,6 +257,71 @@ class HttpClient {
     };
   }
 
+  /**
+   * 根据非 2xx 响应创建错误对象（附带状态码、响应体与 Retry-After）
+   * @param {Response} response - fetch响应
+   * @returns {Promise<Error>} 错误对象
+   */
+  async createHttpError(response) {
+    let data = null;
+    try {
+      const text = await response.text();
+      try {
+        data = JSON.parse(text);
+      } catch (parseError) {
+        data = text;
+      }
+    } catch (readError) {
+      // 响应体读取失败，忽略
+    }
+
+    const detail = data && typeof data === 'object' && data.message ? `: ${data.message}` : '';
+    const error = new Error(`HTTP Error: ${response.status} ${response.statusText}${detail}`);
+    error.status = response.status;
+    error.data = data;
+    error.headers = Object.fromEntries(response.headers.entries());
+    error.retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+
+    return error;
+  }
+
+  /**
+   * 解析 Retry-After 响应头
+   * @param {string|null} value - 秒数或 HTTP 日期
+   * @returns {number|null} 等待时间(ms)，无效时返回 null
+   */
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * 判断错误是否值得重试
+   * 网络异常、408、429 与 5xx 可重试；其余 4xx 为请求本身的问题，重试无意义
+   * @param {Error} error - 错误对象
+   * @returns {boolean} 是否重试
+   */
+  shouldRetry(error) {
+    if (error.name?.includes('AbortError')) {
+      return false;
+    }
+
+    if (!error.status) {
+      return true;
+    }
+
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+
   /**
    * 延迟函数
    * @param {number} ms - 延迟时间(ms)
@@ -309,15 +389,28 @@ class HttpClient {
       // 清理控制器
       this.abortControllers.delete(requestId);
 
-      // 重试逻辑
-      if (config.retries > 0 && !processedError.name?.includes('AbortError')) {
-        await this.delay(config.retryDelay || this.retryDelay);
-        return this.request({
-          ...config,
-          retries: config.retries - 1
-        });
+      // 重试逻辑（服务端返回 Retry-After 时按其等待，而不是固定延迟）
+      const retries = config.retries ?? this.retries;
+      if (retries > 0 && this.shouldRetry(processedError)) {
+        const delay = processedError.retryAfter ?? (config.retryDelay || this.retryDelay);
+
+        if (delay <= (config.maxRetryAfter || this.maxRetryAfter)) {
+          this.stats.retries++;
+          await this.delay(delay);
+          return this.request({
+            ...config,
+            retries: retries - 1,
+            isRetry: true
+          });
+        }
+      }
+
+      // HTTP 错误与启用了重试的请求已在此处按需重试，上层（如并发控制器）不应再次重试，避免两层重试次数相乘
+      if (processedError.status || retries > 0 || config.isRetry) {
+        processedError.retryable = false;
       }
 
+      this.stats.failures++;
       throw processedError;
     }
   }
@@ -0,0 +1,45 @@
+/**
+ * 图像类型工具类
+ * 按文件头（魔数）识别图像格式，不依赖调用方声明的 MIME 类型
+ */
+
+// 图像文件头（按字节偏移匹配）
+const IMAGE_SIGNATURES = [
+  { type: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50], riff: true },
+  { type: 'image/bmp', offset: 0, bytes: [0x42, 0x4d] },
+  { type: 'image/tiff', offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'image/tiff', offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: 'image/avif', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x61, 0x76, 0x69, 0x66] }
+];
+
+// RIFF 容器头（WebP）
+const RIFF_BYTES = [0x52, 0x49, 0x46, 0x46];
+
+/**
+ * 图像类型工具类
+ */
+class ImageTypeUtils {
+  /**
+   * 按文件头识别图像类型
+   * @param {Uint8Array} bytes - 文件内容（至少包含前 16 字节）
+   * @returns {string|null} MIME 类型，无法识别时返回 null
+   */
+  static sniff(bytes) {
+    const matches = (offset, expected) =>
+      bytes.length >= offset + expected.length &&
+      expected.every((byte, index) => bytes[offset + index] === byte);
+
+    const signature = IMAGE_SIGNATURES.find(({ offset, bytes: expected, riff }) =>
+      (!riff || matches(0, RIFF_BYTES)) && matches(offset, expected)
+    );
+
+    return signature ? signature.type : null;
+  }
+}
+
+// 导出
+export { ImageTypeUtils };
+export default ImageTypeUtils;
@@ -0,0 +1,86 @@
+/**
+ * LRU 缓存工具类
+ * 基于 Map 插入顺序实现的最近最少使用淘汰缓存
+ */
+
+/**
+ * LRU 缓存类
+ */
+class LRUCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+
+    // Map 保持插入顺序，首个键即最久未使用的条目
+    this.cache = new Map();
+  }
+
+  /**
+   * 获取缓存值（命中时将条目移动到最近使用位置）
+   * @param {string} key - 缓存键
+   * @returns {any} 缓存值，未命中时返回 undefined
+   */
+  get(key) {
+    if (!this.cache.has(key)) {
+      return undefined;
+    }
+
+    const value = this.cache.get(key);
+    this.cache.delete(key);
+    this.cache.set(key, value);
+    return value;
+  }
+
+  /**
+   * 设置缓存值（超出容量时淘汰最久未使用的条目）
+   * @param {string} key - 缓存键
+   * @param {any} value - 缓存值
+   */
+  set(key, value) {
+    if (this.cache.has(key)) {
+      this.cache.delete(key);
+    }
+    this.cache.set(key, value);
+
+    while (this.cache.size > this.maxEntries) {
+      const oldestKey = this.cache.keys().next().value;
+      this.cache.delete(oldestKey);
+    }
+  }
+
+  /**
+   * 检查缓存键是否存在（不影响使用顺序）
+   * @param {string} key - 缓存键
+   * @returns {boolean} 是否存在
+   */
+  has(key) {
+    return this.cache.has(key);
+  }
+
+  /**
+   * 删除缓存条目
+   * @param {string} key - 缓存键
+   * @returns {boolean} 是否删除成功
+   */
+  delete(key) {
+    return this.cache.delete(key);
+  }
+
+  /**
+   * 清空缓存
+   */
+  clear() {
+    this.cache.clear();
+  }
+
+  /**
+   * 当前缓存条目数量
+   * @returns {number} 条目数量
+   */
+  get size() {
+    return this.cache.size;
+  }
+}
+
+// 导出
+export { LRUCache };
+export default LRUCache;
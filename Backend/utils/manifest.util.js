@@ -0,0 +1,272 @@
+/**
+ * 清单文件读取工具类
+ * 流式读取 CSV / JSONL 清单，逐条返回记录与所在行号，不将整个文件载入内存
+ * CSV 按 RFC 4180 解析：首行为表头，支持引号包裹的字段（含逗号、换行与 "" 转义）、CRLF 换行与 UTF-8 BOM
+ */
+
+import { createReadStream } from 'fs';
+import path from 'path';
+
+// 支持的清单格式（按扩展名识别）
+const MANIFEST_FORMATS = {
+  '.csv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl'
+};
+
+/**
+ * CSV 增量解析器（按块输入文本，输出完整的行）
+ * @private
+ */
+class CsvParser {
+  constructor() {
+    this.field = '';
+    this.row = [];
+    this.inQuotes = false;
+    // 上一块以引号结尾，需结合下一块判断是否为 "" 转义
+    this.pendingQuote = false;
+    // 上一块以 \r 结尾，下一块开头的 \n 属于同一个换行
+    this.pendingCarriageReturn = false;
+    this.line = 1;
+    this.rowLine = 1;
+  }
+
+  /**
+   * 输入一块文本
+   * @param {string} text - 文本块
+   * @returns {Array<Object>} 已完成的行 [{ line, fields }]
+   */
+  feed(text) {
+    const rows = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.pendingCarriageReturn) {
+        this.pendingCarriageReturn = false;
+        if (char === '\n') {
+          continue;
+        }
+      }
+
+      if (this.pendingQuote) {
+        this.pendingQuote = false;
+        if (char === '"') {
+          this.field += '"';
+          continue;
+        }
+        this.inQuotes = false;
+      }
+
+      if (this.inQuotes) {
+        if (char === '"') {
+          this.pendingQuote = true;
+        } else {
+          if (char === '\n') {
+            this.line++;
+          }
+          this.field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && this.field === '') {
+        this.inQuotes = true;
+      } else if (char === ',') {
+        this.row.push(this.field);
+        this.field = '';
+      } else if (char === '\n' || char === '\r') {
+        this.pendingCarriageReturn = char === '\r';
+        this.endRow(rows);
+        this.line++;
+        this.rowLine = this.line;
+      } else {
+        this.field += char;
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * 结束输入，返回最后一行
+   * @returns {Array<Object>} 已完成的行
+   */
+  end() {
+    if (this.inQuotes && !this.pendingQuote) {
+      throw new Error(`第 ${this.rowLine} 行的引号未闭合`);
+    }
+
+    const rows = [];
+    this.endRow(rows);
+    return rows;
+  }
+
+  /**
+   * 完成当前行（跳过空行）
+   * @param {Array<Object>} rows - 已完成的行
+   * @private
+   */
+  endRow(rows) {
+    this.row.push(this.field);
+    if (this.row.length > 1 || this.row[0] !== '') {
+      rows.push({ line: this.rowLine, fields: this.row });
+    }
+    this.row = [];
+    this.field = '';
+  }
+}
+
+/**
+ * 清单文件读取类
+ */
+class ManifestReader {
+  /**
+   * 识别清单格式
+   * @param {string} filePath - 清单文件路径
+   * @param {string} [format] - 显式指定的格式 csv/jsonl
+   * @returns {string} 清单格式
+   * @throws {Error} 格式不支持时抛出
+   */
+  static resolveFormat(filePath, format) {
+    const resolved = format || MANIFEST_FORMATS[path.extname(filePath).toLowerCase()];
+    if (!Object.values(MANIFEST_FORMATS).includes(resolved)) {
+      throw new Error(`无法识别清单格式: ${format || path.basename(filePath)}（支持 csv/jsonl）`);
+    }
+    return resolved;
+  }
+
+  /**
+   * 逐条读取清单记录
+   * CSV 记录为 { 列名: 单元格文本 }，JSONL 记录为解析后的对象；单行格式错误时返回 error 而不中断读取
+   * @param {string} filePath - 清单文件路径
+   * @param {string} format - 清单格式 csv/jsonl
+   * @returns {AsyncGenerator<Object>} { line, record } 或 { line, error }
+   */
+  static async *readRecords(filePath, format) {
+    const source = format === 'csv'
+      ? ManifestReader.readCsvRows(filePath)
+      : ManifestReader.readJsonLines(filePath);
+
+    if (format === 'jsonl') {
+      yield* source;
+      return;
+    }
+
+    let header = null;
+    for await (const { line, fields } of source) {
+      if (!header) {
+        header = fields.map(name => name.trim());
+        const duplicated = header.find((name, index) => header.indexOf(name) !== index);
+        if (duplicated !== undefined) {
+          throw new Error(`CSV 表头列名重复: ${duplicated}`);
+        }
+        continue;
+      }
+
+      if (fields.length !== header.length) {
+        yield { line, error: `列数 ${fields.length} 与表头列数 ${header.length} 不一致` };
+        continue;
+      }
+
+      yield {
+        line,
+        record: Object.fromEntries(header.map((name, index) => [name, fields[index]]))
+      };
+    }
+  }
+
+  /**
+   * 读取清单表头（CSV 为列名，JSONL 返回 null）
+   * @param {string} filePath - 清单文件路径
+   * @param {string} format - 清单格式 csv/jsonl
+   * @returns {Promise<Array<string>|null>} 列名
+   */
+  static async readHeader(filePath, format) {
+    if (format !== 'csv') {
+      return null;
+    }
+
+    for await (const { fields } of ManifestReader.readCsvRows(filePath)) {
+      return fields.map(name => name.trim());
+    }
+    return [];
+  }
+
+  /**
+   * 逐行读取 CSV
+   * @param {string} filePath - 清单文件路径
+   * @returns {AsyncGenerator<Object>} { line, fields }
+   * @private
+   */
+  static async *readCsvRows(filePath) {
+    const parser = new CsvParser();
+    let first = true;
+
+    for await (let text of createReadStream(filePath, 'utf8')) {
+      if (first) {
+        text = text.replace(/^\uFEFF/, '');
+        first = false;
+      }
+      yield* parser.feed(text);
+    }
+
+    yield* parser.end();
+  }
+
+  /**
+   * 逐行读取 JSONL（跳过空行）
+   * @param {string} filePath - 清单文件路径
+   * @returns {AsyncGenerator<Object>} { line, record } 或 { line, error }
+   * @private
+   */
+  static async *readJsonLines(filePath) {
+    let buffer = '';
+    let line = 0;
+    let first = true;
+
+    const parse = (text) => {
+      line++;
+      const trimmed = text.trim();
+      if (trimmed === '') {
+        return null;
+      }
+      try {
+        const record = JSON.parse(trimmed);
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          return { line, error: '每行必须是 JSON 对象' };
+        }
+        return { line, record };
+      } catch (error) {
+        return { line, error: `JSON 解析失败: ${error.message}` };
+      }
+    };
+
+    for await (let text of createReadStream(filePath, 'utf8')) {
+      if (first) {
+        text = text.replace(/^\uFEFF/, '');
+        first = false;
+      }
+
+      buffer += text;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const content of lines) {
+        const entry = parse(content);
+        if (entry) {
+          yield entry;
+        }
+      }
+    }
+
+    const entry = parse(buffer);
+    if (entry) {
+      yield entry;
+    }
+  }
+}
+
+// 导出
+export { ManifestReader };
+export default ManifestReader;
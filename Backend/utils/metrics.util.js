@@ -0,0 +1,370 @@
+/**
+ * 指标工具类
+ * 提供计数器、仪表、直方图与 Prometheus 文本格式输出，以及 HTTP 请求指标中间件
+ */
+
+// Prometheus 文本格式的 Content-Type
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// 默认直方图桶（秒）
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * 转义标签值
+ * @param {any} value - 标签值
+ * @returns {string} 转义后的字符串
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * 格式化标签集合
+ * @param {Object} labels - 标签
+ * @returns {string} 形如 {a="1",b="2"} 的字符串，无标签时返回空字符串
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * 格式化数值
+ * @param {number} value - 数值
+ * @returns {string} Prometheus 数值表示
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * 指标基类（按标签值分组存储）
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * 规范化标签（仅保留声明的标签，缺失的标签取空字符串）
+   * @param {Object} labels - 标签
+   * @returns {Object} { key, labels }
+   * @protected
+   */
+  resolveLabels(labels = {}) {
+    const resolved = {};
+    for (const labelName of this.labelNames) {
+      resolved[labelName] = labels[labelName] ?? '';
+    }
+    return { key: JSON.stringify(Object.values(resolved)), labels: resolved };
+  }
+
+  /**
+   * 输出样本行
+   * @returns {Array<string>} 样本行
+   */
+  collect() {
+    return [...this.values.values()].map(({ labels, value }) =>
+      `${this.name}${formatLabels(labels)} ${formatValue(value)}`
+    );
+  }
+}
+
+/**
+ * 计数器（只增不减）
+ */
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * 增加计数
+   * @param {Object} [labels] - 标签
+   * @param {number} [value=1] - 增量
+   */
+  inc(labels, value = 1) {
+    const { key, labels: resolved } = this.resolveLabels(labels);
+    const entry = this.values.get(key) || { labels: resolved, value: 0 };
+    entry.value += value;
+    this.values.set(key, entry);
+  }
+
+  /**
+   * 同步外部累计值（用于抓取时从已有统计信息生成计数器）
+   * @param {Object} [labels] - 标签
+   * @param {number} value - 累计值
+   */
+  set(labels, value) {
+    const { key, labels: resolved } = this.resolveLabels(labels);
+    this.values.set(key, { labels: resolved, value });
+  }
+}
+
+/**
+ * 仪表（可任意设置）
+ */
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  /**
+   * 设置数值
+   * @param {Object} [labels] - 标签
+   * @param {number} value - 数值
+   */
+  set(labels, value) {
+    const { key, labels: resolved } = this.resolveLabels(labels);
+    this.values.set(key, { labels: resolved, value });
+  }
+}
+
+/**
+ * 直方图
+ */
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * 记录观测值
+   * @param {Object} [labels] - 标签
+   * @param {number} value - 观测值
+   */
+  observe(labels, value) {
+    const { key, labels: resolved } = this.resolveLabels(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels: resolved, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      entry.counts[index]++;
+    }
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * 开始计时，返回结束函数（结束时可补充标签）
+   * @param {Object} [labels] - 标签
+   * @returns {Function} 结束计时函数，返回耗时（秒）
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * 输出样本行（累计桶、总和与计数）
+   * @returns {Array<string>} 样本行
+   */
+  collect() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += counts[index];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * 指标注册表类
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    // 抓取时执行的采集函数（用于从已有统计信息生成仪表数据）
+    this.collectors = [];
+  }
+
+  /**
+   * 注册指标（同名指标只创建一次）
+   * @private
+   */
+  register(name, create) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, create());
+    }
+    return this.metrics.get(name);
+  }
+
+  /**
+   * 获取或创建计数器
+   * @param {string} name - 指标名称
+   * @param {string} help - 说明
+   * @param {Array<string>} [labelNames] - 标签名称
+   * @returns {Counter} 计数器
+   */
+  counter(name, help, labelNames) {
+    return this.register(name, () => new Counter(name, help, labelNames));
+  }
+
+  /**
+   * 获取或创建仪表
+   * @param {string} name - 指标名称
+   * @param {string} help - 说明
+   * @param {Array<string>} [labelNames] - 标签名称
+   * @returns {Gauge} 仪表
+   */
+  gauge(name, help, labelNames) {
+    return this.register(name, () => new Gauge(name, help, labelNames));
+  }
+
+  /**
+   * 获取或创建直方图
+   * @param {string} name - 指标名称
+   * @param {string} help - 说明
+   * @param {Array<string>} [labelNames] - 标签名称
+   * @param {Array<number>} [buckets] - 桶上界
+   * @returns {Histogram} 直方图
+   */
+  histogram(name, help, labelNames, buckets) {
+    return this.register(name, () => new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * 注册抓取时执行的采集函数
+   * @param {Function} collector - 采集函数（可为异步）
+   */
+  registerCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * 注册并发控制器指标（队列深度、运行中任务数与按结果统计的累计任务数）
+   * @param {string} name - 控制器名称（controller 标签值）
+   * @param {ConcurrencyController} controller - 并发控制器
+   */
+  registerConcurrencyController(name, controller) {
+    const queueDepth = this.gauge('concurrency_queue_depth', '并发控制器排队任务数', ['controller']);
+    const running = this.gauge('concurrency_running_tasks', '并发控制器运行中任务数', ['controller']);
+    const tasks = this.counter('concurrency_tasks_total', '并发控制器累计任务数（按结果）', ['controller', 'result']);
+
+    this.registerCollector(() => {
+      const { queueSize, runningTasks } = controller.getQueueStatus();
+      const { stats } = controller;
+
+      queueDepth.set({ controller: name }, queueSize);
+      running.set({ controller: name }, runningTasks);
+      tasks.set({ controller: name, result: 'submitted' }, stats.totalTasks);
+      tasks.set({ controller: name, result: 'completed' }, stats.completedTasks);
+      tasks.set({ controller: name, result: 'failed' }, stats.failedTasks);
+      tasks.set({ controller: name, result: 'retried' }, stats.retriedTasks);
+      tasks.set({ controller: name, result: 'rejected' }, stats.rejectedTasks);
+    });
+  }
+
+  /**
+   * 注册 HTTP 客户端指标（重试次数与最终失败次数）
+   * @param {string} name - 客户端名称（client 标签值）
+   * @param {HttpClient} httpClient - HTTP 客户端
+   */
+  registerHttpClient(name, httpClient) {
+    const retries = this.counter('http_client_retries_total', 'HTTP 客户端重试次数', ['client']);
+    const failures = this.counter('http_client_failures_total', 'HTTP 客户端最终失败的请求数', ['client']);
+
+    this.registerCollector(() => {
+      retries.set({ client: name }, httpClient.stats.retries);
+      failures.set({ client: name }, httpClient.stats.failures);
+    });
+  }
+
+  /**
+   * 创建 HTTP 请求指标中间件（按方法、路由模板与状态码统计请求数与耗时）
+   * @returns {Function} Express 中间件
+   */
+  httpMiddleware() {
+    const requests = this.counter('http_requests_total', 'HTTP 请求总数', ['method', 'route', 'status']);
+    const duration = this.histogram('http_request_duration_seconds', 'HTTP 请求耗时（秒）', ['method', 'route']);
+
+    return (req, res, next) => {
+      const endTimer = duration.startTimer({ method: req.method });
+
+      res.on('finish', () => {
+        // 使用路由模板而非实际路径，避免路径参数造成标签基数膨胀
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        endTimer({ route });
+        requests.inc({ method: req.method, route, status: res.statusCode });
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * 输出 Prometheus 文本格式
+   * @returns {Promise<string>} 指标文本
+   */
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        console.warn(`⚠️ 指标采集失败: ${error.message}`);
+      }
+    }
+
+    const blocks = [];
+    for (const metric of this.metrics.values()) {
+      blocks.push([
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.collect()
+      ].join('\n'));
+    }
+    return `${blocks.join('\n')}\n`;
+  }
+
+  /**
+   * 创建 /metrics 路由处理函数
+   * @returns {Function} Express 处理函数
+   */
+  handler() {
+    return async (req, res) => {
+      try {
+        res.set('Content-Type', PROMETHEUS_CONTENT_TYPE);
+        res.send(await this.render());
+      } catch (error) {
+        res.status(500).json({
+          success: false,
+          error: '获取指标失败',
+          message: error.message
+        });
+      }
+    };
+  }
+}
+
+// 进程级默认注册表（每个服务独立进程，共享同一注册表）
+const metricsRegistry = new MetricsRegistry();
+
+// 导出
+export { MetricsRegistry, Counter, Gauge, Histogram, PROMETHEUS_CONTENT_TYPE };
+export default metricsRegistry;
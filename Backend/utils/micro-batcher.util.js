@@ -0,0 +1,126 @@
+/**
+ * 微批处理工具类
+ * 将短时间窗口内到达的独立请求合并为一次批量调用，并将结果分发回各调用方
+ */
+
+/**
+ * 微批处理器类
+ */
+class MicroBatcher {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {Function} options.batchFn - 批量处理函数，接收条目数组，返回与之等长、按序对应的结果数组
+   * @param {number} [options.maxBatchSize=16] - 单批次最大条目数（达到后立即执行）
+   * @param {number} [options.maxWaitMs=10] - 首个条目到达后的最长等待时间(ms)
+   */
+  constructor(options = {}) {
+    if (typeof options.batchFn !== 'function') {
+      throw new Error('batchFn 必须是函数');
+    }
+
+    this.batchFn = options.batchFn;
+    this.maxBatchSize = options.maxBatchSize || 16;
+    this.maxWaitMs = options.maxWaitMs ?? 10;
+
+    // 当前窗口内等待执行的条目
+    this.pending = [];
+    this.timer = null;
+
+    this.stats = {
+      totalBatches: 0,
+      totalItems: 0,
+      maxObservedBatchSize: 0
+    };
+  }
+
+  /**
+   * 提交单个条目，等待所在批次执行完成
+   * @param {any} item - 条目
+   * @returns {Promise<any>} 该条目对应的结果
+   */
+  add(item) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ item, resolve, reject });
+
+      if (this.pending.length >= this.maxBatchSize) {
+        this.flush();
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.maxWaitMs);
+      }
+    });
+  }
+
+  /**
+   * 立即执行当前窗口内的条目
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const batch = this.pending.splice(0, this.maxBatchSize);
+    if (batch.length === 0) {
+      return;
+    }
+
+    // 超出单批次容量的条目进入下一个窗口
+    if (this.pending.length > 0) {
+      this.timer = setTimeout(() => this.flush(), this.maxWaitMs);
+    }
+
+    this.stats.totalBatches++;
+    this.stats.totalItems += batch.length;
+    this.stats.maxObservedBatchSize = Math.max(this.stats.maxObservedBatchSize, batch.length);
+
+    try {
+      const results = await this.batchFn(batch.map(entry => entry.item));
+      if (!Array.isArray(results) || results.length !== batch.length) {
+        throw new Error('批量处理结果与输入数量不匹配');
+      }
+
+      // 结果为 Error 实例时仅拒绝对应条目
+      batch.forEach((entry, index) => {
+        if (results[index] instanceof Error) {
+          entry.reject(results[index]);
+        } else {
+          entry.resolve(results[index]);
+        }
+      });
+    } catch (error) {
+      batch.forEach(entry => entry.reject(error));
+    }
+  }
+
+  /**
+   * 获取统计信息
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.pending.length,
+      averageBatchSize: this.stats.totalBatches > 0
+        ? this.stats.totalItems / this.stats.totalBatches
+        : 0
+    };
+  }
+
+  /**
+   * 停止批处理器，拒绝所有等待中的条目
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const pending = this.pending.splice(0);
+    pending.forEach(entry => entry.reject(new Error('微批处理器已停止')));
+  }
+}
+
+// 导出
+export { MicroBatcher };
+export default MicroBatcher;
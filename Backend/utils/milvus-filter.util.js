@@ -0,0 +1,334 @@
+/**
+ * Milvus 过滤表达式编译工具类
+ * 将结构化过滤条件（eq/ne/in/nin/范围/and/or/not/JSON 路径）编译为 Milvus 模板表达式
+ * 字段名按白名单校验；字符串取值作为模板参数（exprValues）传递，数字与布尔值校验类型后内联，表达式中不出现调用方提供的原始字符串
+ *
+ * 过滤条件节点：
+ *   { field: 'shop_id', eq: 'S01' }
+ *   { field: 'price', gte: 100, lte: 300 }
+ *   { field: 'extras.material', in: ['cotton', 'linen'] }
+ *   { and: [节点...] } / { or: [节点...] } / { not: 节点 }
+ */
+
+import ServiceUtils from './service.util.js';
+
+// 比较运算符 → 表达式运算符
+const COMPARISON_OPERATORS = { eq: '==', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// 集合运算符 → 表达式运算符
+const SET_OPERATORS = { in: 'in', nin: 'not in' };
+
+// 范围运算符（仅数值字段与 JSON 路径可用）
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+// 数值字段类型
+const NUMERIC_TYPES = ['Int64', 'Float', 'Double'];
+
+// JSON 路径片段（键名或数组下标）
+const JSON_PATH_SEGMENT = /^[A-Za-z0-9_]{1,64}$/;
+
+/**
+ * 判断是否为普通对象
+ * @param {any} value - 取值
+ * @returns {boolean} 是否为普通对象
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Milvus 过滤表达式编译类
+ */
+class MilvusFilterCompiler {
+  /**
+   * @param {Object} fields - 可过滤字段定义 { 字段名: { type, maxLength, values } }，type 为 VarChar/Int64/Float/Double/Bool/JSON，
+   *   maxLength 为 VarChar 最大长度，values 为字段的全部可能取值（如属性标签），超出时视为参数错误
+   * @param {Object} [options] - 编译选项
+   * @param {number} [options.maxDepth=8] - 逻辑条件最大嵌套层数
+   * @param {number} [options.maxConditions=64] - 比较条件最大数量
+   */
+  constructor(fields, options = {}) {
+    this.fields = fields;
+    this.maxDepth = options.maxDepth || 8;
+    this.maxConditions = options.maxConditions || 64;
+  }
+
+  /**
+   * 将字段映射形式的简写条件转换为过滤条件节点
+   * 值为数组时多值匹配，为对象时作为运算符集合，其余为等值匹配，不同字段按「且」合并
+   * @param {Object} map - 简写条件，如 { category: '连衣裙', season: ['夏季'], price: { lte: 300 } }
+   * @returns {Object|null} 过滤条件节点，无条件时返回 null
+   * @throws {Error} 简写条件不是对象时抛出 INVALID_FILTER
+   */
+  static fromFieldMap(map) {
+    if (!isPlainObject(map)) {
+      throw ServiceUtils.createError('filters 必须是对象', 'INVALID_FILTER');
+    }
+
+    const conditions = Object.entries(map).map(([field, value]) => {
+      if (Array.isArray(value)) {
+        return { field, in: value };
+      }
+      if (isPlainObject(value)) {
+        return { field, ...value };
+      }
+      return { field, eq: value };
+    });
+
+    if (conditions.length === 0) {
+      return null;
+    }
+    return conditions.length === 1 ? conditions[0] : { and: conditions };
+  }
+
+  /**
+   * 编译过滤条件
+   * @param {Object} filter - 过滤条件节点
+   * @returns {Object} { expr, exprValues, fields }，fields 为条件中使用的字段名集合
+   * @throws {Error} 条件不合法时抛出 INVALID_FILTER
+   */
+  compile(filter) {
+    const context = { exprValues: {}, fields: new Set(), conditions: 0 };
+    const expr = this.compileNode(filter, context, 0);
+    return { expr, exprValues: context.exprValues, fields: context.fields };
+  }
+
+  /**
+   * 编译过滤条件节点
+   * @param {Object} node - 过滤条件节点
+   * @param {Object} context - 编译上下文
+   * @param {number} depth - 当前嵌套层数
+   * @returns {string} 表达式
+   * @private
+   */
+  compileNode(node, context, depth) {
+    if (depth > this.maxDepth) {
+      throw ServiceUtils.createError(`过滤条件嵌套不能超过 ${this.maxDepth} 层`, 'INVALID_FILTER');
+    }
+    if (!isPlainObject(node)) {
+      throw ServiceUtils.createError('过滤条件必须是对象', 'INVALID_FILTER');
+    }
+
+    const keys = Object.keys(node);
+
+    if (keys.includes('and') || keys.includes('or')) {
+      if (keys.length !== 1) {
+        throw ServiceUtils.createError('逻辑条件只能包含 and 或 or 其中一个键', 'INVALID_FILTER');
+      }
+
+      const [operator] = keys;
+      const children = node[operator];
+      if (!Array.isArray(children) || children.length === 0) {
+        throw ServiceUtils.createError(`${operator} 必须是非空数组`, 'INVALID_FILTER');
+      }
+
+      const compiled = children.map(child => this.compileNode(child, context, depth + 1));
+      return compiled.length === 1
+        ? compiled[0]
+        : `(${compiled.join(operator === 'and' ? ' && ' : ' || ')})`;
+    }
+
+    if (keys.includes('not')) {
+      if (keys.length !== 1) {
+        throw ServiceUtils.createError('not 条件不能包含其他键', 'INVALID_FILTER');
+      }
+      return `not (${this.compileNode(node.not, context, depth + 1)})`;
+    }
+
+    if (keys.includes('field')) {
+      return this.compileCondition(node, context);
+    }
+
+    throw ServiceUtils.createError('过滤条件必须包含 field、and、or 或 not', 'INVALID_FILTER');
+  }
+
+  /**
+   * 编译字段比较条件（同一节点的多个运算符按「且」合并）
+   * @param {Object} node - 比较条件节点 { field, eq|ne|in|nin|gt|gte|lt|lte }
+   * @param {Object} context - 编译上下文
+   * @returns {string} 表达式
+   * @private
+   */
+  compileCondition(node, context) {
+    const { field: fieldPath, ...operators } = node;
+    const { name, path, type, definition } = this.resolveField(fieldPath);
+    const entries = Object.entries(operators);
+
+    if (entries.length === 0) {
+      throw ServiceUtils.createError(`字段 ${fieldPath} 缺少比较运算符`, 'INVALID_FILTER');
+    }
+
+    context.fields.add(name);
+    const target = name + path.map(segment =>
+      typeof segment === 'number' ? `[${segment}]` : `["${segment}"]`
+    ).join('');
+
+    const conditions = entries.map(([operator, value]) => {
+      context.conditions++;
+      if (context.conditions > this.maxConditions) {
+        throw ServiceUtils.createError(`过滤条件不能超过 ${this.maxConditions} 个`, 'INVALID_FILTER');
+      }
+
+      if (Object.prototype.hasOwnProperty.call(SET_OPERATORS, operator)) {
+        if (!Array.isArray(value) || value.length === 0) {
+          throw ServiceUtils.createError(`字段 ${fieldPath} 的 ${operator} 取值必须是非空数组`, 'INVALID_FILTER');
+        }
+
+        const values = value.map(item => this.checkAllowedValue(fieldPath, definition, this.coerceValue(fieldPath, type, item)));
+        if (new Set(values.map(item => typeof item)).size > 1) {
+          throw ServiceUtils.createError(`字段 ${fieldPath} 的 ${operator} 取值类型必须一致`, 'INVALID_FILTER');
+        }
+        return `${target} ${SET_OPERATORS[operator]} ${this.toOperand(values, context)}`;
+      }
+
+      if (Object.prototype.hasOwnProperty.call(COMPARISON_OPERATORS, operator)) {
+        const isRange = RANGE_OPERATORS.includes(operator);
+        if (isRange && type !== 'JSON' && !NUMERIC_TYPES.includes(type)) {
+          throw ServiceUtils.createError(`字段 ${fieldPath} 不支持范围比较`, 'INVALID_FILTER');
+        }
+
+        const coerced = this.checkAllowedValue(fieldPath, definition, this.coerceValue(fieldPath, type, value));
+        if (isRange && typeof coerced !== 'number') {
+          throw ServiceUtils.createError(`字段 ${fieldPath} 的范围比较取值必须是数字`, 'INVALID_FILTER');
+        }
+        return `${target} ${COMPARISON_OPERATORS[operator]} ${this.toOperand(coerced, context)}`;
+      }
+
+      throw ServiceUtils.createError(`不支持的运算符: ${operator}`, 'INVALID_FILTER');
+    });
+
+    return conditions.length === 1 ? conditions[0] : `(${conditions.join(' && ')})`;
+  }
+
+  /**
+   * 解析字段（JSON 字段以「字段.键.下标」形式指定路径）
+   * @param {string} fieldPath - 字段名或 JSON 路径
+   * @returns {Object} { name, path, type, definition }
+   * @private
+   */
+  resolveField(fieldPath) {
+    if (typeof fieldPath !== 'string' || fieldPath === '') {
+      throw ServiceUtils.createError('field 必须是非空字符串', 'INVALID_FILTER');
+    }
+
+    const [name, ...segments] = fieldPath.split('.');
+    if (!Object.prototype.hasOwnProperty.call(this.fields, name)) {
+      throw ServiceUtils.createError(`不支持的过滤字段: ${name}`, 'INVALID_FILTER');
+    }
+
+    const { type } = this.fields[name];
+    if (type === 'JSON' && segments.length === 0) {
+      throw ServiceUtils.createError(`JSON 字段 ${name} 需要指定路径，如 ${name}.key`, 'INVALID_FILTER');
+    }
+    if (type !== 'JSON' && segments.length > 0) {
+      throw ServiceUtils.createError(`字段 ${name} 不是 JSON 字段，不支持路径`, 'INVALID_FILTER');
+    }
+
+    const path = segments.map(segment => {
+      if (!JSON_PATH_SEGMENT.test(segment)) {
+        throw ServiceUtils.createError(`JSON 路径片段无效: ${segment}（仅支持字母、数字与下划线）`, 'INVALID_FILTER');
+      }
+      return /^\d+$/.test(segment) ? Number(segment) : segment;
+    });
+
+    return { name, path, type, definition: this.fields[name] };
+  }
+
+  /**
+   * 校验取值是否在字段的取值范围内（VarChar 最大长度、可能取值列表）
+   * @param {string} fieldPath - 字段名或 JSON 路径
+   * @param {Object} definition - 字段定义
+   * @param {string|number|boolean} value - 已转换的取值
+   * @returns {string|number|boolean} 取值
+   * @private
+   */
+  checkAllowedValue(fieldPath, definition, value) {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    if (definition.maxLength && value.length > definition.maxLength) {
+      throw ServiceUtils.createError(`字段 ${fieldPath} 的取值长度不能超过 ${definition.maxLength}`, 'INVALID_FILTER');
+    }
+    if (definition.values && !definition.values.includes(value)) {
+      throw ServiceUtils.createError(`字段 ${fieldPath} 的取值无效: ${value}，可选值: ${definition.values.join(', ')}`, 'INVALID_FILTER');
+    }
+    return value;
+  }
+
+  /**
+   * 按字段类型校验并转换比较取值
+   * @param {string} fieldPath - 字段名或 JSON 路径
+   * @param {string} type - 字段类型
+   * @param {any} value - 取值
+   * @returns {string|number|boolean} 转换后的取值
+   * @private
+   */
+  coerceValue(fieldPath, type, value) {
+    const invalid = (expected) => ServiceUtils.createError(`字段 ${fieldPath} 的取值必须是${expected}`, 'INVALID_FILTER');
+
+    switch (type) {
+      case 'VarChar':
+        if (typeof value === 'number' && Number.isFinite(value)) {
+          return String(value);
+        }
+        if (typeof value !== 'string') {
+          throw invalid('字符串');
+        }
+        return value;
+      case 'Int64': {
+        const number = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+        if (!Number.isSafeInteger(number)) {
+          throw invalid('整数');
+        }
+        return number;
+      }
+      case 'Float':
+      case 'Double': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+          throw invalid('数字');
+        }
+        return number;
+      }
+      case 'Bool':
+        if (value === 'true' || value === 'false') {
+          return value === 'true';
+        }
+        if (typeof value !== 'boolean') {
+          throw invalid('布尔值');
+        }
+        return value;
+      case 'JSON':
+        if (typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value))) {
+          return value;
+        }
+        throw invalid('字符串、数字或布尔值');
+      default:
+        throw ServiceUtils.createError(`字段 ${fieldPath} 的类型 ${type} 不支持过滤`, 'INVALID_FILTER');
+    }
+  }
+
+  /**
+   * 生成比较右侧的操作数（字符串作为模板参数，数字与布尔值内联）
+   * @param {string|number|boolean|Array} value - 已校验的取值
+   * @param {Object} context - 编译上下文
+   * @returns {string} 操作数
+   * @private
+   */
+  toOperand(value, context) {
+    const values = [].concat(value);
+
+    if (typeof values[0] === 'string') {
+      const name = `p${Object.keys(context.exprValues).length}`;
+      context.exprValues[name] = value;
+      return `{${name}}`;
+    }
+
+    const literals = values.map(item => String(item));
+    return Array.isArray(value) ? `[${literals.join(', ')}]` : literals[0];
+  }
+}
+
+// 导出
+export { MilvusFilterCompiler };
+export default MilvusFilterCompiler;
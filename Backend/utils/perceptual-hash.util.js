@@ -0,0 +1,59 @@
+/**
+ * 感知哈希工具类
+ * 提供感知哈希（pHash/dHash）的编码与汉明距离计算
+ */
+
+// 十六进制字符对应的置位数量
+const HEX_BIT_COUNTS = Array.from({ length: 16 }, (_, value) =>
+  value.toString(2).split('').filter(bit => bit === '1').length
+);
+
+/**
+ * 感知哈希工具类
+ */
+class PerceptualHashUtils {
+  /**
+   * 将比特数组编码为十六进制字符串
+   * @param {Array<boolean|number>} bits - 比特数组（长度需为 4 的倍数）
+   * @returns {string} 十六进制字符串
+   */
+  static bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+      const nibble = (bits[i] ? 8 : 0) | (bits[i + 1] ? 4 : 0) | (bits[i + 2] ? 2 : 0) | (bits[i + 3] ? 1 : 0);
+      hex += nibble.toString(16);
+    }
+    return hex;
+  }
+
+  /**
+   * 计算两个十六进制哈希的汉明距离
+   * @param {string} hashA - 哈希 A
+   * @param {string} hashB - 哈希 B
+   * @returns {number} 汉明距离，哈希无效或长度不一致时返回 Infinity
+   */
+  static hammingDistance(hashA, hashB) {
+    if (!PerceptualHashUtils.isValidHash(hashA) || !PerceptualHashUtils.isValidHash(hashB) || hashA.length !== hashB.length) {
+      return Infinity;
+    }
+
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i++) {
+      distance += HEX_BIT_COUNTS[parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16)];
+    }
+    return distance;
+  }
+
+  /**
+   * 检查是否为有效的十六进制哈希
+   * @param {any} hash - 哈希值
+   * @returns {boolean} 是否有效
+   */
+  static isValidHash(hash) {
+    return typeof hash === 'string' && hash.length > 0 && /^[0-9a-f]+$/i.test(hash);
+  }
+}
+
+// 导出
+export { PerceptualHashUtils };
+export default PerceptualHashUtils;
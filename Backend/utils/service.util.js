@@ -0,0 +1,52 @@
+/**
+ * 服务公共工具类
+ * 数据库服务与向量化服务共用的业务错误创建、并发任务失败原因解析与请求参数解析，
+ * 各处理器按错误码映射 HTTP 状态码，错误对象的结构只在此处定义
+ */
+
+/**
+ * 服务公共工具类
+ */
+class ServiceUtils {
+  /**
+   * 创建业务错误（参数、输入或状态错误，带错误码，并发控制器与调用方不再重试）
+   * @param {string} message - 错误消息
+   * @param {string} code - 错误码
+   * @param {Object} [details] - 错误详情
+   * @returns {Error} 错误对象
+   */
+  static createError(message, code, details) {
+    const error = new Error(message);
+    error.code = code;
+    error.retryable = false;
+    if (details) {
+      error.details = details;
+    }
+    return error;
+  }
+
+  /**
+   * 解析任务失败原因（并发控制器以任务结果对象拒绝，原始错误位于 error 字段）
+   * @param {any} error - 捕获的错误
+   * @returns {Error} 原始错误
+   */
+  static unwrapTaskError(error) {
+    return error?.error instanceof Error ? error.error : error;
+  }
+
+  /**
+   * 解析布尔参数（multipart 表单字段与查询参数为字符串）
+   * @param {any} value - 参数值
+   * @returns {boolean|undefined} 解析结果，未提供时返回 undefined
+   */
+  static parseBooleanParam(value) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+    return value === true || value === 'true' || value === '1';
+  }
+}
+
+// 导出
+export { ServiceUtils };
+export default ServiceUtils;
@@ -0,0 +1,363 @@
+/**
+ * 工作线程池工具类
+ * 将 CPU 密集型任务分派到 worker_threads 执行，避免阻塞主线程事件循环
+ */
+
+import { Worker } from 'worker_threads';
+
+/**
+ * 工作线程消息协议
+ * 主线程 -> 工作线程：{ id, ...payload }
+ * 工作线程 -> 主线程：{ id, result } 或 { id, error: { message, code, retryable, details } }（错误属性在主线程还原）
+ * @typedef {Object} WorkerMessage
+ */
+
+/**
+ * 工作线程池类
+ */
+class WorkerPool {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string|URL} options.workerFile - 工作线程脚本路径
+   * @param {number} [options.size=1] - 工作线程数量
+   * @param {string} [options.name='worker'] - 线程池名称（用于日志）
+   * @param {number} [options.maxRestarts=5] - 单个工作线程连续异常退出后的最大重启次数，达到后停止重启并标记线程池不健康
+   * @param {number} [options.restartDelay=1000] - 首次重启等待时间(ms)，之后每次加倍
+   * @param {number} [options.stableTime=60000] - 工作线程稳定运行超过该时间(ms)后退出，重启次数重新计算
+   */
+  constructor(options = {}) {
+    if (!options.workerFile) {
+      throw new Error('workerFile 是必需的');
+    }
+
+    this.workerFile = options.workerFile;
+    this.size = options.size || 1;
+    this.name = options.name || 'worker';
+    this.maxRestarts = options.maxRestarts ?? 5;
+    this.restartDelay = options.restartDelay ?? 1000;
+    this.stableTime = options.stableTime ?? 60000;
+
+    // 工作线程槽位与等待分派的任务
+    this.slots = [];
+    this.queue = [];
+    this.jobSequence = 0;
+    this.isRunning = false;
+  }
+
+  /**
+   * 启动线程池
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    for (let index = 0; index < this.size; index++) {
+      this.slots.push(this.createSlot(index));
+    }
+  }
+
+  /**
+   * 创建工作线程槽位
+   * @param {number} index - 槽位序号
+   * @param {number} [restarts=0] - 该槽位已重启次数
+   * @returns {Object} 槽位
+   * @private
+   */
+  createSlot(index, restarts = 0) {
+    const worker = new Worker(this.workerFile);
+    const slot = {
+      index,
+      worker,
+      // 正在执行的分派任务（每个工作线程同一时间只执行一个）
+      current: null,
+      // 已发送、等待回复的消息（包括广播消息）
+      pending: new Map(),
+      restarts,
+      // 是否已退出（等待重启或已停止重启）
+      exited: false,
+      // 是否因超过重启次数而停止重启
+      failed: false,
+      restartTimer: null,
+      startedAt: Date.now(),
+      busySince: null,
+      stats: {
+        completedJobs: 0,
+        failedJobs: 0,
+        busyTime: 0
+      }
+    };
+
+    worker.on('message', (message) => this.handleMessage(slot, message));
+    worker.on('error', (error) => this.handleWorkerExit(slot, error));
+    worker.on('exit', (code) => this.handleWorkerExit(slot, new Error(`工作线程异常退出，退出码: ${code}`)));
+
+    return slot;
+  }
+
+  /**
+   * 提交任务，由空闲的工作线程执行
+   * @param {Object} payload - 任务消息
+   * @param {Array} [transferList] - 转移所有权的对象列表
+   * @returns {Promise<any>} 工作线程返回的结果
+   */
+  run(payload, transferList = []) {
+    if (!this.isRunning) {
+      return Promise.reject(new Error(`${this.name} 线程池未启动`));
+    }
+    if (this.slots.every(slot => slot.failed)) {
+      return Promise.reject(this.createUnavailableError());
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: ++this.jobSequence, payload, transferList, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * 向所有运行中的工作线程发送消息（不占用执行槽位，如预加载或释放模型）
+   * 等待重启的工作线程收不到该消息，重启后由工作线程按需加载模型
+   * @param {Object} payload - 消息内容
+   * @returns {Promise<Array<any>>} 各工作线程的返回结果
+   */
+  broadcast(payload) {
+    if (!this.isRunning) {
+      return Promise.reject(new Error(`${this.name} 线程池未启动`));
+    }
+
+    return Promise.all(this.slots.filter(slot => !slot.exited).map(slot => new Promise((resolve, reject) => {
+      const id = ++this.jobSequence;
+      slot.pending.set(id, { resolve, reject });
+      slot.worker.postMessage({ id, ...payload });
+    })));
+  }
+
+  /**
+   * 将排队任务分派给空闲的工作线程
+   * @private
+   */
+  dispatch() {
+    for (const slot of this.slots) {
+      if (this.queue.length === 0) {
+        return;
+      }
+      if (slot.current || slot.exited) {
+        continue;
+      }
+
+      const job = this.queue.shift();
+      slot.current = job;
+      slot.busySince = Date.now();
+      slot.pending.set(job.id, job);
+
+      try {
+        slot.worker.postMessage({ id: job.id, ...job.payload }, job.transferList);
+      } catch (error) {
+        this.settle(slot, job.id, { error: { message: error.message } });
+      }
+    }
+  }
+
+  /**
+   * 处理工作线程返回的消息
+   * @param {Object} slot - 槽位
+   * @param {WorkerMessage} message - 消息
+   * @private
+   */
+  handleMessage(slot, message) {
+    if (!message || !slot.pending.has(message.id)) {
+      return;
+    }
+
+    this.settle(slot, message.id, message);
+  }
+
+  /**
+   * 完成一条消息并在槽位空闲后继续分派
+   * @param {Object} slot - 槽位
+   * @param {number} id - 消息ID
+   * @param {Object} message - 返回消息
+   * @private
+   */
+  settle(slot, id, message) {
+    const entry = slot.pending.get(id);
+    slot.pending.delete(id);
+
+    const isDispatchedJob = slot.current?.id === id;
+    if (isDispatchedJob) {
+      slot.stats.busyTime += Date.now() - slot.busySince;
+      slot.stats[message.error ? 'failedJobs' : 'completedJobs']++;
+      slot.current = null;
+      slot.busySince = null;
+    }
+
+    if (message.error) {
+      entry.reject(this.restoreError(message.error));
+    } else {
+      entry.resolve(message.result);
+    }
+
+    if (isDispatchedJob) {
+      this.dispatch();
+    }
+  }
+
+  /**
+   * 还原工作线程序列化的错误（保留错误码、是否可重试与详情，便于调用方区分错误类型）
+   * @param {Object} serialized - 序列化的错误 { message, code, retryable, details }
+   * @returns {Error} 错误对象
+   * @private
+   */
+  restoreError(serialized) {
+    const error = new Error(serialized.message);
+    if (serialized.code !== undefined) {
+      error.code = serialized.code;
+    }
+    if (serialized.retryable !== undefined) {
+      error.retryable = serialized.retryable;
+    }
+    if (serialized.details !== undefined) {
+      error.details = serialized.details;
+    }
+    return error;
+  }
+
+  /**
+   * 工作线程崩溃时拒绝其未完成的消息，按指数退避重新创建线程
+   * 连续重启达到 maxRestarts 次后停止重启，线程池标记为不健康
+   * @param {Object} slot - 槽位
+   * @param {Error} error - 错误
+   * @private
+   */
+  handleWorkerExit(slot, error) {
+    // error 与 exit 事件可能先后触发，只处理一次
+    if (this.slots[slot.index] !== slot || slot.exited) {
+      return;
+    }
+    slot.exited = true;
+
+    console.error(`❌ ${this.name} 工作线程 #${slot.index} 异常: ${error.message}`);
+
+    const pending = [...slot.pending.values()];
+    slot.pending.clear();
+    if (slot.current) {
+      slot.stats.failedJobs++;
+      slot.stats.busyTime += Date.now() - slot.busySince;
+      slot.current = null;
+      slot.busySince = null;
+    }
+    pending.forEach(entry => entry.reject(error));
+    slot.worker.terminate().catch(() => {});
+
+    if (!this.isRunning) {
+      return;
+    }
+
+    // 稳定运行一段时间后才退出的线程视为偶发异常，重新计算重启次数
+    const restarts = Date.now() - slot.startedAt >= this.stableTime ? 0 : slot.restarts;
+    if (restarts >= this.maxRestarts) {
+      slot.failed = true;
+      console.error(`❌ ${this.name} 工作线程 #${slot.index} 连续重启 ${restarts} 次后仍异常退出，已停止重启`);
+      this.rejectQueueIfUnavailable();
+      return;
+    }
+
+    const delay = this.restartDelay * 2 ** restarts;
+    console.warn(`⚠️ ${this.name} 工作线程 #${slot.index} 将在 ${delay}ms 后重启（第 ${restarts + 1} 次）`);
+    slot.restartTimer = setTimeout(() => {
+      if (!this.isRunning || this.slots[slot.index] !== slot) {
+        return;
+      }
+      this.slots[slot.index] = this.createSlot(slot.index, restarts + 1);
+      this.dispatch();
+    }, delay);
+  }
+
+  /**
+   * 所有工作线程都已停止重启时，拒绝排队中的任务
+   * @private
+   */
+  rejectQueueIfUnavailable() {
+    if (this.slots.every(slot => slot.failed)) {
+      const error = this.createUnavailableError();
+      this.queue.splice(0).forEach(job => job.reject(error));
+    }
+  }
+
+  /**
+   * 创建线程池不可用错误
+   * @returns {Error} 错误对象
+   * @private
+   */
+  createUnavailableError() {
+    const error = new Error(`${this.name} 线程池不可用：所有工作线程多次异常退出，已停止重启`);
+    error.code = 'WORKER_POOL_UNAVAILABLE';
+    return error;
+  }
+
+  /**
+   * 线程池是否健康（任一工作线程因超过重启次数停止重启时为 false）
+   * @returns {boolean} 是否健康
+   */
+  get healthy() {
+    return !this.slots.some(slot => slot.failed);
+  }
+
+  /**
+   * 获取统计信息（含每个工作线程的利用率）
+   * @returns {Object} 统计信息
+   */
+  getStats() {
+    const now = Date.now();
+
+    return {
+      size: this.size,
+      healthy: this.healthy,
+      queueSize: this.queue.length,
+      busyWorkers: this.slots.filter(slot => slot.current).length,
+      workers: this.slots.map(slot => {
+        const busyTime = slot.stats.busyTime + (slot.busySince ? now - slot.busySince : 0);
+        const uptime = Math.max(1, now - slot.startedAt);
+
+        return {
+          index: slot.index,
+          threadId: slot.worker.threadId,
+          busy: Boolean(slot.current),
+          alive: !slot.exited,
+          failed: slot.failed,
+          completedJobs: slot.stats.completedJobs,
+          failedJobs: slot.stats.failedJobs,
+          busyTime,
+          utilization: Number((busyTime / uptime).toFixed(4)),
+          restarts: slot.restarts
+        };
+      })
+    };
+  }
+
+  /**
+   * 停止线程池，拒绝所有未完成的任务并终止工作线程
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    const error = new Error(`${this.name} 线程池已停止`);
+
+    this.queue.splice(0).forEach(job => job.reject(error));
+
+    const slots = this.slots.splice(0);
+    slots.forEach(slot => {
+      clearTimeout(slot.restartTimer);
+      slot.pending.forEach(entry => entry.reject(error));
+      slot.pending.clear();
+    });
+
+    await Promise.all(slots.map(slot => slot.worker.terminate().catch(() => {})));
+  }
+}
+
+// 导出
+export { WorkerPool };
+export default WorkerPool;
@@ -11,6 +11,9 @@ export const testConfig = {
   testData: {
     sampleImageUrl: 'https://p1.mingdaoyun.cn/08e2825b-c10b-43b9-89b1-c7f5ba5a770a/43ec1c14-758c-441f-8a83-5ceeec13a369/688e02ab8b7cf09a3c293179/20251015/6J5F0H0FdH8I4R759Vft8Q6s5L9ldz7Pf02l1B3Z8T6A0F1w235Udv3Qch5sfR0w.jpg?e=1761464870&token=mN_sp-Y4_5zePppXZC8fTktRmKMNiYlC8jl_yeGZ:mV8Ytzr1e2BUBll6hfZmNoDL8eI=&imageView2/2/interlace/1',
     sampleRowId: 'test_' + Date.now(),
+    sampleQueryText: '服装',
+    // 包含引号与反斜杠的行ID（用于验证删除条件不会被注入，长度不超过 row_id 的 36 个字符）
+    quotedRowId: `q"]||row_id!=["\\_${Date.now()}`,
     batchSize: 10
   },
   
@@ -33,11 +36,13 @@ export const testConfig = {
   // API端点配置
   endpoints: {
     health: '/health',
+    metrics: '/metrics',
     stats: '/api/v1/milvus/stats',
     insert: '/api/v1/milvus/insert',
     sync: '/api/v1/milvus/sync',
     update: '/api/v1/milvus/update',
     search: '/api/v1/milvus/search',
+    searchText: '/api/v1/milvus/search/text',
     batchDelete: '/api/v1/milvus/batch-delete'
   },
   
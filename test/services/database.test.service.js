@@ -4,7 +4,93 @@
  */
 import HttpUtil from '../utils/http.util.js';
 import { testConfig } from '../config/test.config.js';
+import { MilvusFilterCompiler } from '../../Backend/utils/milvus-filter.util.js';
+import { ManifestReader } from '../../Backend/utils/manifest.util.js';
 import chalk from 'chalk';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// 清单文件读取的块大小（fs.createReadStream 默认 64KB），用于构造跨块边界的 CSV
+const READ_CHUNK_SIZE = 64 * 1024;
+
+// 过滤表达式编译测试使用的字段定义
+const FILTER_TEST_FIELDS = {
+  row_id: { type: 'VarChar', maxLength: 64 },
+  category: { type: 'VarChar', values: ['连衣裙', '衬衫'] },
+  price: { type: 'Double' },
+  in_stock: { type: 'Bool' },
+  extras: { type: 'JSON' }
+};
+
+// 过滤表达式编译用例：expect 为期望的 { expr, exprValues }，errorCode 为期望抛出的错误码
+const FILTER_COMPILER_CASES = [
+  {
+    name: '字符串取值中的引号与反斜杠作为模板参数传递',
+    filter: { field: 'row_id', eq: 'a"b\\c\'d' },
+    expect: { expr: 'row_id == {p0}', exprValues: { p0: 'a"b\\c\'d' } }
+  },
+  {
+    name: '注入式取值不会出现在表达式中',
+    filter: { field: 'row_id', eq: '" || row_id != "' },
+    expect: { expr: 'row_id == {p0}', exprValues: { p0: '" || row_id != "' } }
+  },
+  {
+    name: 'in 生成模板参数数组',
+    filter: { field: 'row_id', in: ['a"1', 'b\\2'] },
+    expect: { expr: 'row_id in {p0}', exprValues: { p0: ['a"1', 'b\\2'] } }
+  },
+  {
+    name: 'nin 数值内联',
+    filter: { field: 'price', nin: [1, 2.5] },
+    expect: { expr: 'price not in [1, 2.5]', exprValues: {} }
+  },
+  {
+    name: 'not 条件',
+    filter: { not: { field: 'in_stock', eq: true } },
+    expect: { expr: 'not (in_stock == true)', exprValues: {} }
+  },
+  {
+    name: 'and / or 组合与范围比较',
+    filter: { and: [{ field: 'price', gte: 100, lte: 300 }, { or: [{ field: 'category', eq: '连衣裙' }, { field: 'category', eq: '衬衫' }] }] },
+    expect: { expr: '((price >= 100 && price <= 300) && (category == {p0} || category == {p1}))', exprValues: { p0: '连衣裙', p1: '衬衫' } }
+  },
+  {
+    name: 'JSON 路径（键名与数组下标）',
+    filter: { field: 'extras.sizes.0', eq: 'M' },
+    expect: { expr: 'extras["sizes"][0] == {p0}', exprValues: { p0: 'M' } }
+  },
+  { name: '拒绝未知字段', filter: { field: 'password', eq: 'x' }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝未知字段（JSON 路径形式）', filter: { field: 'unknown.key', eq: 'x' }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝含引号的 JSON 路径片段', filter: { field: 'extras.a"]', eq: 'x' }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝含空格的 JSON 路径片段', filter: { field: 'extras.a b', eq: 'x' }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝空 JSON 路径片段', filter: { field: 'extras..a', eq: 'x' }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝缺少路径的 JSON 字段', filter: { field: 'extras', eq: 'x' }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝非 JSON 字段的路径', filter: { field: 'row_id.a', eq: 'x' }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝不支持的运算符', filter: { field: 'row_id', like: 'a%' }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝字符串字段的范围比较', filter: { field: 'row_id', gt: 'a' }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝超出可选值的取值', filter: { field: 'category', eq: '外套' }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝超出最大长度的取值', filter: { field: 'row_id', eq: 'x'.repeat(65) }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝空 in 数组', filter: { field: 'row_id', in: [] }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝 in 混合取值类型', filter: { field: 'extras.size', in: ['M', 1] }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝非数字的数值取值', filter: { field: 'price', eq: '1; drop' }, errorCode: 'INVALID_FILTER' },
+  { name: '拒绝同时包含 and 与 or', filter: { and: [{ field: 'price', eq: 1 }], or: [{ field: 'price', eq: 2 }] }, errorCode: 'INVALID_FILTER' },
+  {
+    name: '拒绝超过最大嵌套层数',
+    filter: Array.from({ length: 9 }).reduce(node => ({ not: node }), { field: 'price', eq: 1 }),
+    errorCode: 'INVALID_FILTER'
+  },
+  {
+    name: '允许最大嵌套层数',
+    filter: Array.from({ length: 8 }).reduce(node => ({ not: node }), { field: 'price', eq: 1 }),
+    expect: { expr: 'not ('.repeat(8) + 'price == 1' + ')'.repeat(8), exprValues: {} }
+  },
+  {
+    name: '拒绝超过最大条件数量',
+    filter: { or: Array.from({ length: 65 }, (_, i) => ({ field: 'price', eq: i })) },
+    errorCode: 'INVALID_FILTER'
+  }
+];
 
 export class DatabaseTestService {
   constructor() {
@@ -85,6 +171,51 @@ export class DatabaseTestService {
     }
   }
   
+  /**
+   * 指标接口测试（校验 Prometheus 文本格式与核心指标是否存在）
+   */
+  async testMetrics() {
+    console.log(chalk.blue('📈 测试指标接口...'));
+    
+    try {
+      const result = await this.httpUtil.getMetrics();
+      const text = typeof result.data === 'string' ? result.data : '';
+      const requiredMetrics = [
+        'http_requests_total',
+        'http_request_duration_seconds',
+        'concurrency_queue_depth',
+        'milvus_operation_duration_seconds',
+        'http_client_retries_total'
+      ];
+      const missingMetrics = requiredMetrics.filter(name => !text.includes(`# TYPE ${name} `));
+      
+      const testResult = {
+        testName: '指标接口',
+        endpoint: '/metrics',
+        success: result.success && missingMetrics.length === 0,
+        responseTime: 0,
+        status: result.status,
+        data: { missingMetrics },
+        error: result.error || (missingMetrics.length > 0 ? `缺少指标: ${missingMetrics.join(', ')}` : undefined)
+      };
+      
+      this.testResults.push(testResult);
+      
+      if (testResult.success) {
+        console.log(chalk.green('✅ 指标接口通过'));
+        console.log(chalk.gray(`   指标行数: ${text.split('\n').length}`));
+      } else {
+        console.log(chalk.red('❌ 指标接口失败'));
+        console.log(chalk.red(`   错误: ${testResult.error}`));
+      }
+      
+      return testResult;
+    } catch (error) {
+      console.error(chalk.red('❌ 指标接口异常:'), error);
+      return { testName: '指标接口', success: false, error: error.message };
+    }
+  }
+  
   /**
    * 插入向量测试
    */
@@ -248,6 +379,461 @@ export class DatabaseTestService {
     }
   }
   
+  /**
+   * 以文搜图排序测试
+   * 图像与文本特征均为单位向量，L2 距离应在 0~4 之间（未归一化的向量距离远大于该范围）且按升序排列
+   */
+  async testTextSearchRanking() {
+    console.log(chalk.blue('🔤 测试以文搜图排序...'));
+    
+    const text = testConfig.testData.sampleQueryText;
+    const limit = 20;
+    
+    try {
+      const result = await this.httpUtil.searchByText(text, limit);
+      const hits = result.data?.data || [];
+      const scores = hits.map(hit => hit.score);
+      
+      // 允许 Float32 精度误差
+      const epsilon = 1e-4;
+      const inRange = scores.every(score => score >= -epsilon && score <= 4 + epsilon);
+      const ascending = scores.every((score, i) => i === 0 || score >= scores[i - 1] - epsilon);
+      
+      let error = result.error;
+      if (result.success && !inRange) {
+        error = `距离超出单位向量范围 0~4: ${scores.join(', ')}`;
+      } else if (result.success && !ascending) {
+        error = `结果未按距离升序排列: ${scores.join(', ')}`;
+      }
+      
+      const testResult = {
+        testName: '以文搜图排序',
+        endpoint: '/api/v1/milvus/search/text',
+        success: result.success && !error,
+        responseTime: 0,
+        status: result.status,
+        data: result.data,
+        error,
+        requestData: { text, limit }
+      };
+      
+      this.testResults.push(testResult);
+      
+      if (testResult.success) {
+        console.log(chalk.green('✅ 以文搜图排序正确'));
+        console.log(chalk.gray(`   结果数量: ${hits.length}`));
+        console.log(chalk.gray(`   距离范围: ${scores[0]?.toFixed(4)} ~ ${scores[scores.length - 1]?.toFixed(4)}`));
+      } else {
+        console.log(chalk.red('❌ 以文搜图排序失败'));
+        console.log(chalk.red(`   错误: ${error}`));
+      }
+      
+      return testResult;
+    } catch (error) {
+      console.error(chalk.red('❌ 以文搜图排序异常:'), error);
+      return { testName: '以文搜图排序', success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * 过滤表达式编译测试（字段白名单、取值参数化、JSON 路径校验、嵌套与条件数量限制）
+   */
+  async testFilterCompiler() {
+    console.log(chalk.blue('🧩 测试过滤表达式编译...'));
+    
+    const compiler = new MilvusFilterCompiler(FILTER_TEST_FIELDS);
+    const failures = [];
+    
+    for (const testCase of FILTER_COMPILER_CASES) {
+      let compiled = null;
+      let error = null;
+      try {
+        compiled = compiler.compile(testCase.filter);
+      } catch (caught) {
+        error = caught;
+      }
+      
+      if (testCase.errorCode) {
+        if (error?.code !== testCase.errorCode) {
+          failures.push(`${testCase.name}: 期望错误码 ${testCase.errorCode}，实际 ${error ? error.code : compiled.expr}`);
+        }
+        continue;
+      }
+      
+      const actual = compiled && JSON.stringify({ expr: compiled.expr, exprValues: compiled.exprValues });
+      if (error || actual !== JSON.stringify(testCase.expect)) {
+        failures.push(`${testCase.name}: 期望 ${JSON.stringify(testCase.expect)}，实际 ${error ? error.message : actual}`);
+      }
+    }
+    
+    const testResult = {
+      testName: '过滤表达式编译',
+      endpoint: 'MilvusFilterCompiler',
+      success: failures.length === 0,
+      responseTime: 0,
+      status: null,
+      data: { total: FILTER_COMPILER_CASES.length, failed: failures.length },
+      error: failures.length > 0 ? failures.join('; ') : undefined
+    };
+    
+    this.testResults.push(testResult);
+    
+    if (testResult.success) {
+      console.log(chalk.green('✅ 过滤表达式编译正确'));
+      console.log(chalk.gray(`   用例数量: ${FILTER_COMPILER_CASES.length}`));
+    } else {
+      console.log(chalk.red('❌ 过滤表达式编译失败'));
+      failures.forEach(failure => console.log(chalk.red(`   ${failure}`)));
+    }
+    
+    return testResult;
+  }
+  
+  /**
+   * 构造在指定位置跨越读取块边界的 CSV：在 before 与 after 之间填充字符，使 after 的第一个字节恰好是第一块的最后一个字节
+   * @param {string} before - 填充前的内容
+   * @param {string} after - 填充后的内容
+   * @returns {Object} { content, padding }
+   */
+  buildSplitCsv(before, after) {
+    const padding = 'x'.repeat(READ_CHUNK_SIZE - 1 - Buffer.byteLength(before));
+    return { content: before + padding + after, padding };
+  }
+  
+  /**
+   * 清单 CSV 解析测试（"" 转义、\r\n 与引号内换行跨越读取块边界时的字段内容与行号）
+   */
+  async testManifestCsvParsing() {
+    console.log(chalk.blue('🧾 测试清单 CSV 解析...'));
+    
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-csv-'));
+    const failures = [];
+    
+    // 1. "" 转义的两个引号分别位于两个块
+    const escapedQuote = this.buildSplitCsv('row_id,note\nr1,"', '""tail"\nr2,"line1\nline2"\nr3,end\n');
+    // 2. \r\n 的 \r 与 \n 分别位于两个块
+    const crlf = this.buildSplitCsv('row_id,note\r\nr1,', '\r\nr2,"a\r\nb"\r\nr3,end\r\n');
+    // 3. 闭合引号位于第一块末尾，下一块以分隔符开头
+    const closingQuote = this.buildSplitCsv('row_id,note,size\nr1,"', '","M"\nr2,b,L\n');
+    // 4. 引号内换行位于块边界，后续行号仍正确
+    const quotedNewline = this.buildSplitCsv('\uFEFFrow_id,note\nr1,"', '\nnext"\nr2,"multi\nline\ncell"\nr3,end');
+    
+    const cases = [
+      {
+        name: '"" 转义跨越块边界',
+        content: escapedQuote.content,
+        expect: [
+          { line: 2, record: { row_id: 'r1', note: `${escapedQuote.padding}"tail` } },
+          { line: 3, record: { row_id: 'r2', note: 'line1\nline2' } },
+          { line: 5, record: { row_id: 'r3', note: 'end' } }
+        ]
+      },
+      {
+        name: '\\r\\n 跨越块边界',
+        content: crlf.content,
+        expect: [
+          { line: 2, record: { row_id: 'r1', note: crlf.padding } },
+          { line: 3, record: { row_id: 'r2', note: 'a\r\nb' } },
+          { line: 5, record: { row_id: 'r3', note: 'end' } }
+        ]
+      },
+      {
+        name: '闭合引号位于块末尾',
+        content: closingQuote.content,
+        expect: [
+          { line: 2, record: { row_id: 'r1', note: closingQuote.padding, size: 'M' } },
+          { line: 3, record: { row_id: 'r2', note: 'b', size: 'L' } }
+        ]
+      },
+      {
+        name: '引号内换行跨越块边界（含 BOM、末行无换行）',
+        content: quotedNewline.content,
+        expect: [
+          { line: 2, record: { row_id: 'r1', note: `${quotedNewline.padding}\nnext` } },
+          { line: 4, record: { row_id: 'r2', note: 'multi\nline\ncell' } },
+          { line: 7, record: { row_id: 'r3', note: 'end' } }
+        ]
+      },
+      {
+        name: '列数与表头不一致时逐行报告',
+        content: 'row_id,note\nr1,a,extra\nr2,"b"\n',
+        expect: [
+          { line: 2, error: '列数 3 与表头列数 2 不一致' },
+          { line: 3, record: { row_id: 'r2', note: 'b' } }
+        ]
+      },
+      {
+        name: '引号未闭合',
+        content: 'row_id,note\nr1,ok\nr2,"open\nr3,x\n',
+        expectError: '第 3 行的引号未闭合'
+      }
+    ];
+    
+    try {
+      for (const [index, testCase] of cases.entries()) {
+        const filePath = path.join(dir, `case-${index}.csv`);
+        await fs.writeFile(filePath, testCase.content);
+        
+        const actual = [];
+        let error = null;
+        try {
+          for await (const entry of ManifestReader.readRecords(filePath, 'csv')) {
+            actual.push(entry);
+          }
+        } catch (caught) {
+          error = caught;
+        }
+        
+        if (testCase.expectError) {
+          if (error?.message !== testCase.expectError) {
+            failures.push(`${testCase.name}: 期望错误 ${testCase.expectError}，实际 ${error ? error.message : '未抛出错误'}`);
+          }
+        } else if (error || JSON.stringify(actual) !== JSON.stringify(testCase.expect)) {
+          // 字段较长时只输出行号与字段长度
+          const summarize = entries => JSON.stringify(entries.map(({ line, record, error: rowError }) => ({
+            line,
+            ...(rowError && { error: rowError }),
+            ...(record && { lengths: Object.fromEntries(Object.entries(record).map(([key, value]) => [key, value.length])) })
+          })));
+          failures.push(`${testCase.name}: 期望 ${summarize(testCase.expect)}，实际 ${error ? error.message : summarize(actual)}`);
+        }
+      }
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+    
+    const testResult = {
+      testName: '清单 CSV 解析',
+      endpoint: 'ManifestReader',
+      success: failures.length === 0,
+      responseTime: 0,
+      status: null,
+      data: { total: cases.length, failed: failures.length },
+      error: failures.length > 0 ? failures.join('; ') : undefined
+    };
+    
+    this.testResults.push(testResult);
+    
+    if (testResult.success) {
+      console.log(chalk.green('✅ 清单 CSV 解析正确'));
+      console.log(chalk.gray(`   用例数量: ${cases.length}`));
+    } else {
+      console.log(chalk.red('❌ 清单 CSV 解析失败'));
+      failures.forEach(failure => console.log(chalk.red(`   ${failure}`)));
+    }
+    
+    return testResult;
+  }
+  
+  /**
+   * 清单校验测试（导入目录越界含符号链接、row_id 重复、任一行错误时整体拒绝）
+   * 在测试进程内直接调用导入服务（元数据校验需要连接 Milvus），任务服务替换为只记录提交的替身
+   */
+  async testManifestValidation() {
+    console.log(chalk.blue('🧾 测试清单校验...'));
+    
+    // 按需加载，避免其他测试也初始化数据库服务
+    const { CatalogImportService } = await import('../../Backend/services/database-service/services/import.service.js');
+    const { default: milvusService } = await import('../../Backend/services/database-service/services/milvus.service.js');
+    
+    const submitted = [];
+    const importService = new CatalogImportService({
+      maxItems: 1000,
+      resolveJobOptions: () => ({}),
+      submit: async (job) => {
+        submitted.push(job);
+        return { id: 'test-job' };
+      }
+    });
+    
+    const base = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-import-'));
+    const rootDir = path.join(base, 'root');
+    const outsideDir = path.join(base, 'outside');
+    const failures = [];
+    
+    /**
+     * 断言异步调用抛出指定错误码
+     */
+    const expectErrorCode = async (name, promise, code) => {
+      try {
+        await promise;
+        failures.push(`${name}: 期望错误码 ${code}，实际未抛出错误`);
+        return null;
+      } catch (error) {
+        if (error.code !== code) {
+          failures.push(`${name}: 期望错误码 ${code}，实际 ${error.code || error.message}`);
+        }
+        return error;
+      }
+    };
+    
+    try {
+      await fs.mkdir(path.join(rootDir, 'images'), { recursive: true });
+      await fs.mkdir(outsideDir, { recursive: true });
+      await fs.writeFile(path.join(rootDir, 'images', 'ok.jpg'), 'image');
+      await fs.writeFile(path.join(outsideDir, 'secret.jpg'), 'secret');
+      await fs.writeFile(path.join(outsideDir, 'manifest.csv'), 'row_id,image_path\nr1,secret.jpg\n');
+      // 导入目录内指向目录外的符号链接
+      await fs.symlink(outsideDir, path.join(rootDir, 'linked'));
+      await fs.symlink(path.join(outsideDir, 'secret.jpg'), path.join(rootDir, 'images', 'secret-link.jpg'));
+      await fs.symlink(path.join(outsideDir, 'manifest.csv'), path.join(rootDir, 'manifest-link.csv'));
+      
+      // 1. 清单本身经由符号链接或 .. 位于导入目录之外
+      await expectErrorCode('清单为指向导入目录外的符号链接',
+        importService.validateManifest(path.join(rootDir, 'manifest-link.csv'), { rootDir }), 'INVALID_PARAMS');
+      await expectErrorCode('清单位于经由符号链接目录的导入目录外',
+        importService.validateManifest(path.join(rootDir, 'linked', 'manifest.csv'), { rootDir }), 'INVALID_PARAMS');
+      await expectErrorCode('清单路径包含 ..',
+        importService.validateManifest(path.join(rootDir, '..', 'outside', 'manifest.csv'), { rootDir }), 'INVALID_PARAMS');
+      
+      // 2. 逐行校验：image_path 越界（符号链接文件、符号链接目录、..）与 row_id 重复
+      const manifestPath = path.join(rootDir, 'manifest.csv');
+      await fs.writeFile(manifestPath, [
+        'row_id,image_path',
+        'ok-1,images/ok.jpg',
+        'escape-file,images/secret-link.jpg',
+        'escape-dir,linked/secret.jpg',
+        'escape-parent,../outside/secret.jpg',
+        'ok-1,images/ok.jpg',
+        'ok-2,images/ok.jpg'
+      ].join('\n') + '\n');
+      
+      const report = await importService.validateManifest(manifestPath, { rootDir });
+      const errorLines = report.errors.map(item => item.line);
+      if (JSON.stringify(errorLines) !== JSON.stringify([3, 4, 5, 6])) {
+        failures.push(`逐行校验: 期望错误行 [3,4,5,6]，实际 ${JSON.stringify(report.errors)}`);
+      }
+      if (!report.errors.slice(0, 3).every(item => item.error.includes('不在导入目录内'))) {
+        failures.push(`符号链接越界: 错误信息不正确 ${JSON.stringify(report.errors.slice(0, 3))}`);
+      }
+      if (!report.errors[3]?.error.includes('与第 2 行重复')) {
+        failures.push(`row_id 重复: 错误信息不正确 ${JSON.stringify(report.errors[3])}`);
+      }
+      if (JSON.stringify(report.items.map(item => item.rowId)) !== JSON.stringify(['ok-1', 'ok-2'])) {
+        failures.push(`逐行校验: 有效条目不正确 ${JSON.stringify(report.items.map(item => item.rowId))}`);
+      }
+      
+      // 3. 任一行错误时整体拒绝，不提交任务
+      const rejected = await expectErrorCode('存在错误行时拒绝导入',
+        importService.submitImport(manifestPath, { rootDir }), 'MANIFEST_INVALID');
+      if (rejected && rejected.errors?.length !== 4) {
+        failures.push(`整体拒绝: 期望返回 4 个错误行，实际 ${rejected.errors?.length}`);
+      }
+      if (submitted.length > 0) {
+        failures.push('整体拒绝: 清单存在错误行时仍提交了任务');
+      }
+      
+      // 4. 全部通过时提交全部条目
+      const validPath = path.join(rootDir, 'valid.csv');
+      await fs.writeFile(validPath, 'row_id,image_path\nv1,images/ok.jpg\nv2,images/ok.jpg\n');
+      await importService.submitImport(validPath, { rootDir });
+      if (submitted.length !== 1 || submitted[0].items.length !== 2) {
+        failures.push(`全部通过: 期望提交 1 个含 2 个条目的任务，实际 ${JSON.stringify(submitted.map(job => job.items.length))}`);
+      }
+    } catch (error) {
+      failures.push(`测试异常: ${error.message}`);
+    } finally {
+      await fs.rm(base, { recursive: true, force: true });
+      milvusService.stop();
+    }
+    
+    const testResult = {
+      testName: '清单校验',
+      endpoint: 'CatalogImportService.validateManifest',
+      success: failures.length === 0,
+      responseTime: 0,
+      status: null,
+      data: { failed: failures.length },
+      error: failures.length > 0 ? failures.join('; ') : undefined
+    };
+    
+    this.testResults.push(testResult);
+    
+    if (testResult.success) {
+      console.log(chalk.green('✅ 清单校验正确'));
+    } else {
+      console.log(chalk.red('❌ 清单校验失败'));
+      failures.forEach(failure => console.log(chalk.red(`   ${failure}`)));
+    }
+    
+    return testResult;
+  }
+  
+  /**
+   * 按行ID过滤搜索，判断行是否存在
+   * @param {string} rowId - 行ID
+   * @returns {Promise<boolean>} 是否存在
+   */
+  async rowExists(rowId) {
+    const result = await this.httpUtil.searchVector(testConfig.testData.sampleImageUrl, 1, {
+      filters: { row_id: rowId }
+    });
+    if (!result.success) {
+      throw new Error(`按行ID搜索失败: ${result.error}`);
+    }
+    return (result.data?.data || []).some(hit => hit.row_id === rowId);
+  }
+  
+  /**
+   * 含引号行ID的批量删除测试（只删除该行，其他行不受影响）
+   */
+  async testBatchDeleteQuotedRowId() {
+    console.log(chalk.blue('🗑️ 测试含引号行ID的批量删除...'));
+    
+    const rowId = testConfig.testData.quotedRowId;
+    const bystanderRowId = testConfig.testData.sampleRowId;
+    
+    try {
+      // 与测试图像内容相同，关闭重复检测以免被拒绝
+      const inserted = await this.httpUtil.insertVector(rowId, testConfig.testData.sampleImageUrl, { duplicateMode: 'off' });
+      let error = inserted.success ? null : `插入失败: ${inserted.error}`;
+      
+      let result = inserted;
+      if (!error) {
+        result = await this.httpUtil.batchDelete([rowId]);
+        error = result.success ? null : result.error;
+      }
+      
+      // 删除在搜索中可见前可能有短暂延迟，轮询确认
+      let deleted = false;
+      for (let attempt = 0; !error && attempt < 10 && !deleted; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        deleted = !(await this.rowExists(rowId));
+      }
+      
+      if (!error && !deleted) {
+        error = `行未被删除: ${rowId}`;
+      } else if (!error && !(await this.rowExists(bystanderRowId))) {
+        error = `删除条件影响了其他行: ${bystanderRowId}`;
+      }
+      
+      const testResult = {
+        testName: '含引号行ID的批量删除',
+        endpoint: '/api/v1/milvus/batch-delete',
+        success: !error,
+        responseTime: 0,
+        status: result.status,
+        data: result.data,
+        error: error || undefined,
+        requestData: { rowIds: [rowId] }
+      };
+      
+      this.testResults.push(testResult);
+      
+      if (testResult.success) {
+        console.log(chalk.green('✅ 含引号行ID删除成功，其他行未受影响'));
+      } else {
+        console.log(chalk.red('❌ 含引号行ID删除失败'));
+        console.log(chalk.red(`   错误: ${error}`));
+      }
+      
+      return testResult;
+    } catch (error) {
+      console.error(chalk.red('❌ 含引号行ID删除异常:'), error);
+      return { testName: '含引号行ID的批量删除', success: false, error: error.message };
+    }
+  }
+  
   /**
    * 批量删除测试
    */
@@ -300,7 +886,13 @@ export class DatabaseTestService {
       () => this.testSync(),
       () => this.testUpdate(),
       () => this.testSearch(),
-      () => this.testBatchDelete()
+      () => this.testTextSearchRanking(),
+      () => this.testFilterCompiler(),
+      () => this.testManifestCsvParsing(),
+      () => this.testManifestValidation(),
+      () => this.testBatchDeleteQuotedRowId(),
+      () => this.testBatchDelete(),
+      () => this.testMetrics()
     ];
     
     const results = [];
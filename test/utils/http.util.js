@@ -96,6 +96,13 @@ export class HttpUtil {
     return await this.get('/health');
   }
   
+  /**
+   * 获取 Prometheus 指标（文本格式）
+   */
+  async getMetrics() {
+    return await this.get('/metrics');
+  }
+  
   /**
    * 获取集合统计
    */
@@ -104,12 +111,13 @@ export class HttpUtil {
   }
   
   /**
-   * 插入向量
+   * 插入向量（options 可包含 duplicateMode、tagAttributes、metadata）
    */
-  async insertVector(rowId, imageInput) {
+  async insertVector(rowId, imageInput, options = {}) {
     return await this.post('/api/v1/milvus/insert', {
       rowId,
-      imageInput
+      imageInput,
+      ...options
     });
   }
   
@@ -134,11 +142,22 @@ export class HttpUtil {
   }
   
   /**
-   * 搜索向量
+   * 搜索向量（options 可包含 filters、filter、outputFields）
    */
-  async searchVector(imageInput, limit = 20) {
+  async searchVector(imageInput, limit = 20, options = {}) {
     return await this.post('/api/v1/milvus/search', {
       imageInput,
+      limit,
+      ...options
+    });
+  }
+  
+  /**
+   * 以文搜图
+   */
+  async searchByText(text, limit = 20) {
+    return await this.post('/api/v1/milvus/search/text', {
+      text,
       limit
     });
   }